@@ -0,0 +1,593 @@
+/**
+ * 自回归文本生成
+ *
+ * 管理 decoder 模型的 past_key_values 输入/输出，支持贪心解码、温度采样、
+ * top-k / top-p 采样和重复惩罚，并以增量文本的形式流式输出
+ *
+ * 约定的模型输入输出（Optimum / transformers.js 导出格式）：
+ * - 输入：input_ids、attention_mask、position_ids（可选）、use_cache_branch（可选）、
+ *   past_key_values.{i}.key / past_key_values.{i}.value（可选）
+ * - 输出：logits、present.{i}.key / present.{i}.value（可选）
+ */
+
+/**
+ * 生成默认配置
+ */
+export const GENERATION_DEFAULTS = {
+  maxNewTokens: 128,
+  doSample: false,
+  temperature: 1.0,
+  topK: 0,
+  topP: 1.0,
+  repetitionPenalty: 1.0,
+  stopTokens: null,
+  addSpecialTokens: true,
+  skipSpecialTokens: true,
+  random: Math.random,
+  signal: null
+};
+
+/**
+ * 未配置 stopTokens 时按顺序查找的结束 token
+ */
+const DEFAULT_EOS_TOKENS = ['<|endoftext|>', '</s>', '<eos>', '<|im_end|>'];
+
+const PAST_KEY_VALUES_PREFIX = 'past_key_values';
+const PRESENT_PREFIX = 'present';
+
+/**
+ * IEEE 754 半精度转单精度（float16 logits 以 Uint16Array 返回）
+ * @param {number} half
+ * @returns {number}
+ */
+function halfToFloat(half) {
+  const sign = half & 0x8000 ? -1 : 1;
+  const exponent = (half >> 10) & 0x1f;
+  const fraction = half & 0x03ff;
+
+  if (exponent === 0) return sign * 2 ** -14 * (fraction / 1024);
+  if (exponent === 0x1f) return fraction ? NaN : sign * Infinity;
+  return sign * 2 ** (exponent - 15) * (1 + fraction / 1024);
+}
+
+/**
+ * 取 logits 最后一个位置的分数
+ * @param {{data: ArrayLike<number>, dims: readonly number[], type: string}} logits - 形状 [1, seq, vocab]
+ * @returns {Float32Array}
+ */
+export function lastTokenLogits(logits) {
+  const vocabSize = logits.dims[logits.dims.length - 1];
+  const offset = logits.data.length - vocabSize;
+  const scores = new Float32Array(vocabSize);
+
+  for (let i = 0; i < vocabSize; i++) {
+    const value = logits.data[offset + i];
+    scores[i] = logits.type === 'float16' && logits.data instanceof Uint16Array
+      ? halfToFloat(value)
+      : Number(value);
+  }
+  return scores;
+}
+
+/**
+ * Logits 采样器：重复惩罚 -> 贪心 / 温度 + top-k + top-p 采样
+ */
+export class LogitsSampler {
+  /**
+   * @param {object} options
+   * @param {boolean} [options.doSample=false] - false 时使用贪心解码
+   * @param {number} [options.temperature=1.0] - 采样温度
+   * @param {number} [options.topK=0] - 只保留分数最高的 k 个候选，0 表示不限制
+   * @param {number} [options.topP=1.0] - 只保留累计概率达到 p 的候选
+   * @param {number} [options.repetitionPenalty=1.0] - 已出现 token 的惩罚系数，1.0 表示不惩罚
+   * @param {() => number} [options.random=Math.random] - [0, 1) 随机数生成器，可传入带种子的实现
+   */
+  constructor(options = {}) {
+    const {
+      doSample,
+      temperature,
+      topK,
+      topP,
+      repetitionPenalty,
+      random
+    } = { ...GENERATION_DEFAULTS, ...options };
+
+    if (doSample && !(temperature > 0)) {
+      throw new Error(`temperature must be positive when sampling, got ${temperature}`);
+    }
+    if (!(topP > 0 && topP <= 1)) {
+      throw new Error(`topP must be in (0, 1], got ${topP}`);
+    }
+    if (!(repetitionPenalty > 0)) {
+      throw new Error(`repetitionPenalty must be positive, got ${repetitionPenalty}`);
+    }
+
+    this.doSample = doSample;
+    this.temperature = temperature;
+    this.topK = topK;
+    this.topP = topP;
+    this.repetitionPenalty = repetitionPenalty;
+    this.random = random;
+  }
+
+  /**
+   * 从 logits 中选出下一个 token
+   * @param {Float32Array} scores - 最后一个位置的 logits（会被原地修改）
+   * @param {number[]} tokenIds - 已有的 token（prompt + 已生成），用于重复惩罚
+   * @returns {number}
+   */
+  sample(scores, tokenIds) {
+    this._applyRepetitionPenalty(scores, tokenIds);
+
+    if (!this.doSample) {
+      return argmax(scores);
+    }
+
+    // softmax 的分子（减去最大值避免溢出）
+    const maxScore = scores[argmax(scores)];
+    const weight = id => Math.exp((scores[id] - maxScore) / this.temperature);
+
+    // 不限制 top-k / top-p 时直接按完整分布采样，不需要排序
+    if (this.topK <= 0 && this.topP >= 1) {
+      let total = 0;
+      for (let id = 0; id < scores.length; id++) total += weight(id);
+      return this._pick(scores.keys(), id => weight(id) / total);
+    }
+
+    let candidates;
+    let total = 0;
+    if (this.topK > 0) {
+      // top-k：部分选择 k 个候选，softmax 只在候选中归一化
+      candidates = topKIndices(scores, Math.min(this.topK, scores.length));
+      for (const id of candidates) total += weight(id);
+    } else {
+      for (let id = 0; id < scores.length; id++) total += weight(id);
+      candidates = this._nucleusCandidates(scores, id => weight(id) / total);
+    }
+
+    // top-p：按概率从高到低累计，至少保留概率最高的一个
+    if (this.topP < 1) {
+      let cumulative = 0;
+      let keep = 0;
+      while (keep < candidates.length && cumulative < this.topP) {
+        cumulative += weight(candidates[keep++]) / total;
+      }
+      candidates = candidates.slice(0, keep);
+      total *= cumulative;
+    }
+
+    return this._pick(candidates, id => weight(id) / total);
+  }
+
+  /**
+   * 只有 top-p 时的候选：逐步扩大部分选择的范围，直到累计概率达到 topP，只排序这部分候选
+   * @private
+   * @param {Float32Array} scores
+   * @param {(id: number) => number} probability
+   * @returns {number[]} 按概率从高到低排序
+   */
+  _nucleusCandidates(scores, probability) {
+    for (let k = Math.min(64, scores.length); ; k = Math.min(k * 4, scores.length)) {
+      const candidates = topKIndices(scores, k);
+      let cumulative = 0;
+      for (const id of candidates) cumulative += probability(id);
+      if (cumulative >= this.topP || k === scores.length) return candidates;
+    }
+  }
+
+  /**
+   * 按概率抽取一个候选
+   * @private
+   * @param {Iterable<number>} candidates
+   * @param {(id: number) => number} probability - 候选的概率（和为 1）
+   * @returns {number}
+   */
+  _pick(candidates, probability) {
+    let threshold = this.random();
+    let last = -1;
+    for (const id of candidates) {
+      threshold -= probability(id);
+      if (threshold < 0) return id;
+      last = id;
+    }
+    return last;
+  }
+
+  /**
+   * 重复惩罚（CTRL）：正分数除以系数，负分数乘以系数
+   * @private
+   */
+  _applyRepetitionPenalty(scores, tokenIds) {
+    if (this.repetitionPenalty === 1) return;
+
+    for (const id of new Set(tokenIds)) {
+      if (id < 0 || id >= scores.length) continue;
+      scores[id] = scores[id] < 0
+        ? scores[id] * this.repetitionPenalty
+        : scores[id] / this.repetitionPenalty;
+    }
+  }
+}
+
+/**
+ * 分数最高的 k 个 token：用大小为 k 的小顶堆做部分选择，O(V log k)
+ *
+ * @param {Float32Array} scores
+ * @param {number} k
+ * @returns {number[]} 按分数从高到低排序，分数相同时 id 小的在前
+ */
+function topKIndices(scores, k) {
+  // a 比 b 更应该被淘汰
+  const worse = (a, b) => scores[a] < scores[b] || (scores[a] === scores[b] && a > b);
+  const heap = [];
+
+  const siftDown = (index) => {
+    while (true) {
+      const left = index * 2 + 1;
+      const right = left + 1;
+      let smallest = index;
+      if (left < heap.length && worse(heap[left], heap[smallest])) smallest = left;
+      if (right < heap.length && worse(heap[right], heap[smallest])) smallest = right;
+      if (smallest === index) return;
+      [heap[index], heap[smallest]] = [heap[smallest], heap[index]];
+      index = smallest;
+    }
+  };
+
+  for (let id = 0; id < scores.length; id++) {
+    if (heap.length < k) {
+      heap.push(id);
+      for (let index = heap.length - 1; index > 0;) {
+        const parent = (index - 1) >> 1;
+        if (!worse(heap[index], heap[parent])) break;
+        [heap[index], heap[parent]] = [heap[parent], heap[index]];
+        index = parent;
+      }
+    } else if (k > 0 && worse(heap[0], id)) {
+      heap[0] = id;
+      siftDown(0);
+    }
+  }
+
+  return heap.sort((a, b) => scores[b] - scores[a] || a - b);
+}
+
+/**
+ * @param {Float32Array} scores
+ * @returns {number}
+ */
+function argmax(scores) {
+  let best = 0;
+  for (let i = 1; i < scores.length; i++) {
+    if (scores[i] > scores[best]) best = i;
+  }
+  return best;
+}
+
+/**
+ * 增量解码：每生成一个 token 返回新增的文本
+ *
+ * decoder 会跨 token 改写文本（WordPiece 把 " ." 清理为 "."、Metaspace 去掉开头的 ▁），
+ * 完整解码的结果不一定只在末尾增长。因此只解码上一个稳定位置之后的 tokens，
+ * 并带上前一段已输出的 tokens 作为上下文：新文本以上下文的解码结果为前缀时才输出增量。
+ * 字节级 BPE 的多字节字符可能跨多个 token，解码结果以 "�" 结尾时暂不输出，等后续 token 补齐
+ */
+export class TextStreamDecoder {
+  /**
+   * @param {import('./tokenizer.js').ITokenizer} tokenizer
+   * @param {{skipSpecialTokens?: boolean}} [options]
+   */
+  constructor(tokenizer, options = {}) {
+    this.tokenizer = tokenizer;
+    this.skipSpecialTokens = options.skipSpecialTokens ?? true;
+    this.tokenIds = [];
+
+    // tokenIds[prefixOffset, readOffset) 是上一段已输出的 tokens，readOffset 之后尚未输出
+    this.prefixOffset = 0;
+    this.readOffset = 0;
+  }
+
+  /**
+   * 完整解码的文本
+   * @returns {string}
+   */
+  get text() {
+    return this._decode(this.tokenIds);
+  }
+
+  /**
+   * 追加一个 token
+   * @param {number} tokenId
+   * @returns {string} 新增的文本（可能为空）
+   */
+  push(tokenId) {
+    this.tokenIds.push(tokenId);
+    return this._emit(false);
+  }
+
+  /**
+   * 输出剩余的文本（包括未补齐的字符）
+   * @returns {string}
+   */
+  flush() {
+    return this._emit(true);
+  }
+
+  /** @private */
+  _decode(tokenIds) {
+    return this.tokenizer.decode(tokenIds, { skipSpecialTokens: this.skipSpecialTokens });
+  }
+
+  /**
+   * @private
+   * @param {boolean} final - 是否输出未补齐的字符
+   * @returns {string}
+   */
+  _emit(final) {
+    const prefixText = this._decode(this.tokenIds.slice(this.prefixOffset, this.readOffset));
+    const text = this._decode(this.tokenIds.slice(this.prefixOffset));
+    if (!final && text.endsWith('�')) return '';
+
+    const delta = text.startsWith(prefixText)
+      ? text.slice(prefixText.length)
+      : this._rewrittenDelta();
+    if (!delta) return '';
+
+    this.prefixOffset = this.readOffset;
+    this.readOffset = this.tokenIds.length;
+    return delta;
+  }
+
+  /**
+   * 新 token 改写了上下文（如 WordPiece 把 " 's" 清理为 "'s"）时已输出的文本无法撤回：
+   * 逐步缩短上下文，取第一个仍是前缀的上下文计算增量。
+   * 新 tokens 不能脱离上下文单独解码，否则 WordPiece 会输出开头的 "##"
+   * @private
+   * @returns {string}
+   */
+  _rewrittenDelta() {
+    for (let start = this.prefixOffset + 1; start < this.readOffset; start++) {
+      const prefixText = this._decode(this.tokenIds.slice(start, this.readOffset));
+      const text = this._decode(this.tokenIds.slice(start));
+      if (text.startsWith(prefixText)) return text.slice(prefixText.length);
+    }
+    return this._decode(this.tokenIds.slice(this.readOffset));
+  }
+}
+
+/**
+ * Decoder 会话：维护 attention_mask、position_ids 和 past_key_values
+ *
+ * 模型没有 past_key_values 输入时，每一步重新输入完整序列
+ */
+export class DecoderSession {
+  /**
+   * @param {object} session - ort.InferenceSession
+   * @param {object} ort - onnxruntime-web 模块（用于创建 Tensor）
+   * @param {object} [options]
+   * @param {number} [options.numHeads] - KV 头数；模型元数据不含该信息时必填
+   * @param {number} [options.headDim] - 每个头的维度；模型元数据不含该信息时必填
+   * @param {'float32'|'float16'} [options.kvDtype] - 空 past_key_values 的类型，默认从模型元数据推断
+   * @param {Record<string, object>} [options.extraFeeds] - 每一步都附加的输入（如 encoder_hidden_states）
+   */
+  constructor(session, ort, options = {}) {
+    this.session = session;
+    this.ort = ort;
+    this.extraFeeds = options.extraFeeds || {};
+
+    this.pastNames = session.inputNames.filter(name => name.startsWith(`${PAST_KEY_VALUES_PREFIX}.`));
+    this.useCache = this.pastNames.length > 0;
+    this.logitsName = session.outputNames.includes('logits') ? 'logits' : session.outputNames[0];
+
+    this.past = this.useCache ? this._createEmptyPast(options) : null;
+    this.pastLength = 0;
+    this.tokenIds = [];
+  }
+
+  /**
+   * 输入新 token，返回最后一个位置的 logits
+   * @param {number[]} newTokenIds
+   * @returns {Promise<Float32Array>}
+   */
+  async step(newTokenIds) {
+    this.tokenIds.push(...newTokenIds);
+
+    const inputIds = this.useCache ? newTokenIds : this.tokenIds;
+    const totalLength = this.tokenIds.length;
+    const startPosition = totalLength - inputIds.length;
+
+    const feeds = { ...this.extraFeeds };
+    const inputNames = this.session.inputNames;
+
+    feeds.input_ids = this._int64Tensor(inputIds);
+    if (inputNames.includes('attention_mask')) {
+      feeds.attention_mask = this._int64Tensor(new Array(totalLength).fill(1));
+    }
+    if (inputNames.includes('position_ids')) {
+      feeds.position_ids = this._int64Tensor(inputIds.map((_, i) => startPosition + i));
+    }
+    if (inputNames.includes('use_cache_branch')) {
+      feeds.use_cache_branch = new this.ort.Tensor('bool', new Uint8Array([this.pastLength > 0 ? 1 : 0]), [1]);
+    }
+    if (this.useCache) {
+      Object.assign(feeds, this.past);
+    }
+
+    const results = await this.session.run(feeds);
+
+    if (this.useCache) {
+      this._updatePast(results);
+      this.pastLength = totalLength;
+    }
+
+    return lastTokenLogits(results[this.logitsName]);
+  }
+
+  /**
+   * 释放 past_key_values 张量
+   */
+  dispose() {
+    for (const tensor of Object.values(this.past || {})) {
+      tensor.dispose?.();
+    }
+    this.past = null;
+  }
+
+  /**
+   * 用 present.* 输出替换对应的 past_key_values.* 输入
+   *
+   * 没有对应输出的项（如 decoder_with_past 中的 encoder KV）保持不变
+   * @private
+   */
+  _updatePast(results) {
+    for (const name of this.pastNames) {
+      const presentName = PRESENT_PREFIX + name.slice(PAST_KEY_VALUES_PREFIX.length);
+      const present = results[presentName];
+      if (!present) continue;
+
+      if (this.past[name] !== present) this.past[name].dispose?.();
+      this.past[name] = present;
+    }
+  }
+
+  /**
+   * 创建序列长度为 0 的 past_key_values：[1, numHeads, 0, headDim]
+   * @private
+   */
+  _createEmptyPast(options) {
+    const metadata = this._inputMetadata();
+    const past = {};
+
+    for (const name of this.pastNames) {
+      const meta = metadata.get(name);
+      const shape = meta?.shape || [];
+      const numHeads = options.numHeads ?? (typeof shape[1] === 'number' ? shape[1] : null);
+      const headDim = options.headDim ?? (typeof shape[3] === 'number' ? shape[3] : null);
+
+      if (numHeads === null || headDim === null) {
+        throw new Error(
+          `Cannot infer shape of '${name}' from model metadata. Pass numHeads and headDim in generate() options.`
+        );
+      }
+
+      const dtype = options.kvDtype || (meta?.type === 'float16' ? 'float16' : 'float32');
+      const data = dtype === 'float16' ? new Uint16Array(0) : new Float32Array(0);
+      past[name] = new this.ort.Tensor(dtype, data, [1, numHeads, 0, headDim]);
+    }
+
+    return past;
+  }
+
+  /**
+   * 输入元数据（onnxruntime-web 较新版本提供 session.inputMetadata）
+   * @private
+   * @returns {Map<string, {shape?: Array<number|string>, type?: string}>}
+   */
+  _inputMetadata() {
+    const metadata = new Map();
+    const source = this.session.inputMetadata;
+    if (!source) return metadata;
+
+    if (Array.isArray(source)) {
+      source.forEach((meta, index) => metadata.set(meta.name ?? this.session.inputNames[index], meta));
+    } else {
+      for (const [name, meta] of Object.entries(source)) metadata.set(name, meta);
+    }
+    return metadata;
+  }
+
+  /** @private */
+  _int64Tensor(values) {
+    return new this.ort.Tensor('int64', BigInt64Array.from(values, BigInt), [1, values.length]);
+  }
+}
+
+/**
+ * 解析结束 token：支持 token 字符串或 id，未配置时使用 tokenizer 的 eos token
+ * @param {import('./tokenizer.js').ITokenizer} tokenizer
+ * @param {Array<number|string>|number|string|null} stopTokens
+ * @returns {Set<number>}
+ */
+export function resolveStopTokenIds(tokenizer, stopTokens) {
+  if (stopTokens === null || stopTokens === undefined) {
+    const { eosToken } = tokenizer.getSpecialTokens();
+    for (const token of [eosToken, ...DEFAULT_EOS_TOKENS]) {
+      const id = token !== undefined ? tokenizer.tokenToId(token) : null;
+      if (id !== null) return new Set([id]);
+    }
+    return new Set();
+  }
+
+  const ids = new Set();
+  for (const token of [].concat(stopTokens)) {
+    if (typeof token === 'number') {
+      ids.add(token);
+      continue;
+    }
+    const id = tokenizer.tokenToId(token);
+    if (id === null) {
+      throw new Error(`Stop token '${token}' is not in the vocabulary`);
+    }
+    ids.add(id);
+  }
+  return ids;
+}
+
+/**
+ * 流式生成文本
+ *
+ * 每生成一个 token 产出新增的文本片段；生成器的返回值包含完整结果
+ *
+ * @param {object} session - ort.InferenceSession
+ * @param {object} ort - onnxruntime-web 模块
+ * @param {import('./tokenizer.js').ITokenizer} tokenizer
+ * @param {string|number[]} prompt - 文本或已编码的 token IDs（如 T5 decoder 的 [decoder_start_token_id]）
+ * @param {object} [options] - 见 GENERATION_DEFAULTS 及 DecoderSession 选项；signal 中止后在下一步之前停止
+ * @returns {AsyncGenerator<string, {text: string, tokenIds: number[], finishReason: 'stop'|'length'}>}
+ */
+export async function* generateText(session, ort, tokenizer, prompt, options = {}) {
+  const config = { ...GENERATION_DEFAULTS, ...options };
+
+  const promptIds = typeof prompt === 'string'
+    ? tokenizer.encode(prompt, { addSpecialTokens: config.addSpecialTokens }).ids
+    : Array.from(prompt);
+  if (promptIds.length === 0) {
+    throw new Error('prompt must contain at least one token');
+  }
+
+  const sampler = new LogitsSampler(config);
+  const stopTokenIds = resolveStopTokenIds(tokenizer, config.stopTokens);
+  const decoder = new DecoderSession(session, ort, config);
+  const streamer = new TextStreamDecoder(tokenizer, config);
+
+  const generatedIds = [];
+  let finishReason = 'length';
+
+  try {
+    let nextInput = promptIds;
+    while (generatedIds.length < config.maxNewTokens) {
+      config.signal?.throwIfAborted();
+
+      const scores = await decoder.step(nextInput);
+      const tokenId = sampler.sample(scores, decoder.tokenIds);
+
+      if (stopTokenIds.has(tokenId)) {
+        finishReason = 'stop';
+        break;
+      }
+
+      generatedIds.push(tokenId);
+      const delta = streamer.push(tokenId);
+      if (delta) yield delta;
+
+      nextInput = [tokenId];
+    }
+
+    const rest = streamer.flush();
+    if (rest) yield rest;
+  } finally {
+    decoder.dispose();
+  }
+
+  return { text: streamer.text, tokenIds: generatedIds, finishReason };
+}
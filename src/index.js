@@ -15,22 +15,65 @@ export {
   ONNXWorkerProxy
 } from './worker-proxy.js';
 
+export {
+  createOnnxWorkerPool,
+  ONNXWorkerPool
+} from './worker-pool.js';
+
 export {
   WorkerMessageType,
   InitializeConfig,
   LoadModelRequest,
+  UnloadModelRequest,
+  GetModelInfoRequest,
   RunInferenceRequest,
+  LoadTokenizerRequest,
+  TokenizeRequest,
+  DetokenizeRequest,
+  RunTextRequest,
+  GenerateRequest,
+  CancelRequest,
   WorkerResponse,
   ModelInfo,
-  TensorData
+  TokenizerInfo,
+  TensorData,
+  TENSOR_ARRAY_TYPES,
+  inferTensorDataType,
+  toTensorArray
 } from './worker-types.js';
 
 // ========== ✨ NEW: Tokenizer API (v2.1.0) ==========
 export {
   ITokenizer,
   JSONTokenizer,
+  WordPieceTokenizer,
+  UnigramTokenizer,
   TokenizerLoader,
   tokenizerLoader,
   loadTokenizer,
-  createTokenizer
-} from './tokenizer.js';
\ No newline at end of file
+  createTokenizer,
+  toTensorFeeds
+} from './tokenizer.js';
+
+export {
+  createNormalizer,
+  createPreTokenizer,
+  createPostProcessor,
+  createDecoder,
+  NormalizedString
+} from './tokenizer-pipeline.js';
+
+export {
+  generateText,
+  LogitsSampler,
+  TextStreamDecoder,
+  DecoderSession,
+  GENERATION_DEFAULTS
+} from './generation.js';
+
+export {
+  readModelMetadata,
+  parseOnnxGraphMetadata,
+  validateFeeds,
+  FeedValidationError
+} from './model-metadata.js';
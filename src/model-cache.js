@@ -1,26 +1,203 @@
 /**
  * 模型缓存管理器
  * 使用IndexedDB缓存模型文件，支持HTTP Range请求
+ * tokenizer.json 等文本文件存放在单独的 files 存储中，每次加载时按 ETag 重新验证
  */
 
+import { downloadFile, safeExecute } from './utils.js';
+
+/**
+ * 模型加载进度
+ *
+ * phase 依次为 cache-hit（命中缓存）或 downloading → caching，框架创建会话时再报告 creating-session
+ *
+ * @typedef {Object} ModelLoadProgress
+ * @property {string} url - 模型URL
+ * @property {'cache-hit' | 'downloading' | 'caching' | 'creating-session'} phase - 当前阶段
+ * @property {number} loaded - 已获取的字节数
+ * @property {number | null} total - 总字节数，服务器未返回 Content-Length 时为 null
+ * @property {number | null} eta - 预计剩余下载时间（秒），无法估算时为 null
+ */
+
+/**
+ * 创建进度报告函数：补充 url 并按已用时间和平均速度估算剩余时间
+ *
+ * @param {string} url - 模型URL
+ * @param {((progress: ModelLoadProgress) => void) | null} onProgress - 进度回调
+ * @returns {(phase: ModelLoadProgress['phase'], loaded: number, total: number | null, downloaded?: number) => void}
+ *   downloaded 为本次实际从网络下载的字节数（断点续传时不含已缓存的分块），默认等于 loaded
+ */
+function createProgressReporter(url, onProgress) {
+  const startTime = Date.now();
+
+  return (phase, loaded, total, downloaded = loaded) => {
+    if (!onProgress) return;
+
+    let eta = null;
+    if (phase !== 'downloading') {
+      eta = 0;
+    } else if (total && downloaded > 0) {
+      const elapsed = (Date.now() - startTime) / 1000;
+      eta = Math.max(0, elapsed * (total - loaded) / downloaded);
+    }
+
+    onProgress({ url, phase, loaded, total, eta });
+  };
+}
+
+/**
+ * 解析 Cache-Control 响应头
+ *
+ * @param {string | null} header - Cache-Control 响应头
+ * @returns {Record<string, number | true>} 指令名（小写）到秒数的映射，没有值的指令为 true
+ */
+function parseCacheControl(header) {
+  const directives = {};
+  for (const part of (header || '').split(',')) {
+    const [name, value] = part.trim().split('=');
+    if (!name) continue;
+    const seconds = parseInt(value?.replace(/"/g, ''), 10);
+    directives[name.toLowerCase()] = Number.isNaN(seconds) ? true : seconds;
+  }
+  return directives;
+}
+
+/**
+ * 按响应头计算缓存策略
+ *
+ * 新鲜期依次取 Cache-Control 的 max-age、Expires，都没有时使用 defaultMaxAge；
+ * no-cache 表示每次使用前都要重新验证，no-store 表示不缓存
+ *
+ * @param {Headers} headers - 响应头
+ * @param {number} defaultMaxAge - 默认新鲜期（毫秒）
+ * @returns {{cacheable: boolean, etag: string | null, lastModified: string | null, freshUntil: number, staleUntil: number}}
+ *   staleUntil 为 stale-while-revalidate 指令允许先返回旧缓存的截止时间
+ */
+function getCachePolicy(headers, defaultMaxAge) {
+  const now = Date.now();
+  const cacheControl = parseCacheControl(headers.get('Cache-Control'));
+
+  let freshUntil = now + defaultMaxAge;
+  if (cacheControl['no-cache']) {
+    freshUntil = now;
+  } else if (typeof cacheControl['max-age'] === 'number') {
+    freshUntil = now + cacheControl['max-age'] * 1000;
+  } else if (headers.get('Expires')) {
+    const expires = Date.parse(headers.get('Expires'));
+    freshUntil = Number.isNaN(expires) ? now : expires;
+  }
+
+  const swr = cacheControl['stale-while-revalidate'];
+  return {
+    cacheable: !cacheControl['no-store'],
+    etag: headers.get('ETag'),
+    lastModified: headers.get('Last-Modified'),
+    freshUntil,
+    staleUntil: typeof swr === 'number' ? freshUntil + swr * 1000 : freshUntil
+  };
+}
+
+/**
+ * 分块下载过程中服务器上的文件被替换（重试无意义）
+ */
+class ModelChangedError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ModelChangedError';
+  }
+}
+
+/**
+ * 按弱比较规则比较 ETag（忽略 W/ 前缀）
+ * @param {string} a
+ * @param {string} b
+ * @returns {boolean}
+ */
+function etagMatches(a, b) {
+  return a.replace(/^W\//, '') === b.replace(/^W\//, '');
+}
+
+/**
+ * 校验分块的 206 响应与 HEAD 请求描述的是同一个文件
+ *
+ * 跨域响应没有通过 Access-Control-Expose-Headers 暴露 Content-Range / ETag 时读不到，跳过对应检查
+ *
+ * @param {Response} response - 分块响应
+ * @param {{start: number, end: number, totalSize: number, etag: string | null}} expected - 请求的区间和 HEAD 响应的值
+ * @throws {ModelChangedError} 区间、文件大小或 ETag 不一致时
+ */
+function checkChunkResponse(response, { start, end, totalSize, etag }) {
+  const contentRange = response.headers.get('Content-Range');
+  if (contentRange) {
+    const match = /^bytes (\d+)-(\d+)\/(\d+|\*)$/.exec(contentRange.trim());
+    if (!match || Number(match[1]) !== start || Number(match[2]) !== end ||
+        (match[3] !== '*' && Number(match[3]) !== totalSize)) {
+      throw new ModelChangedError(`Unexpected Content-Range '${contentRange}' for bytes ${start}-${end}/${totalSize}, the model may have changed`);
+    }
+  }
+
+  const responseEtag = response.headers.get('ETag');
+  if (etag && responseEtag && !etagMatches(etag, responseEtag)) {
+    throw new ModelChangedError(`ETag changed from ${etag} to ${responseEtag} during download`);
+  }
+}
+
+/**
+ * 重新验证后保存在 access 存储中的字段（见 ModelCache.updateFreshness）
+ */
+const FRESHNESS_FIELDS = ['etag', 'lastModified', 'freshUntil', 'staleUntil'];
+
 class ModelCache {
-  constructor() {
+  /**
+   * @param {Object} [options] - 分块下载配置
+   * @param {number} [options.chunkSize=1048576] - 分块大小（字节）
+   * @param {number} [options.concurrency=4] - 同时下载的分块数
+   * @param {number} [options.retries=3] - 每个分块失败后的重试次数
+   * @param {number} [options.retryDelay=500] - 第一次重试前的等待时间（毫秒），之后每次加倍
+   * @param {number} [options.maxAge=86400000] - 服务器没有返回 Cache-Control / Expires 时的新鲜期（毫秒），默认 24 小时
+   * @param {boolean} [options.staleWhileRevalidate=false] - 缓存过期时先返回旧模型，在后台重新验证并更新缓存
+   * @param {number | null} [options.maxCacheSize=null] - 模型缓存总大小上限（字节），超出时按最近最少使用（LRU）淘汰，null 表示只受浏览器配额限制
+   * @param {boolean} [options.persist=false] - 初始化时调用 navigator.storage.persist() 申请持久化存储，避免浏览器在空间不足时清除缓存
+   */
+  constructor(options = {}) {
     this.dbName = 'ONNXModelCache';
-    this.dbVersion = 1;
+    this.dbVersion = 4;
     this.storeName = 'models';
+    this.fileStoreName = 'files';
+    this.chunkStoreName = 'chunks';
+    this.accessStoreName = 'access';
     this.db = null;
+
+    this.chunkSize = options.chunkSize || 1024 * 1024; // 1MB chunks
+    this.concurrency = options.concurrency || 4;
+    this.retries = options.retries ?? 3;
+    this.retryDelay = options.retryDelay ?? 500;
+
+    this.maxAge = options.maxAge ?? 24 * 60 * 60 * 1000; // 24小时
+    this.staleWhileRevalidate = options.staleWhileRevalidate || false;
+
+    this.maxCacheSize = options.maxCacheSize || null;
+    this.persist = options.persist || false;
+
+    // 进行中的后台重新验证，避免同一 URL 重复请求
+    this.revalidations = new Map(); // url -> Promise
   }
 
   /**
    * 初始化缓存数据库
    */
   async init() {
-    return new Promise((resolve, reject) => {
+    await new Promise((resolve, reject) => {
       const request = indexedDB.open(this.dbName, this.dbVersion);
 
       request.onerror = () => reject(request.error);
       request.onsuccess = () => {
         this.db = request.result;
+        // 其他页面升级数据库时释放连接，下次使用时重新打开
+        this.db.onversionchange = () => {
+          this.db.close();
+          this.db = null;
+        };
         resolve();
       };
 
@@ -31,152 +208,725 @@ class ModelCache {
           store.createIndex('timestamp', 'timestamp', { unique: false });
           store.createIndex('etag', 'etag', { unique: false });
         }
+        // v2：tokenizer 等文本文件
+        if (!db.objectStoreNames.contains(this.fileStoreName)) {
+          const fileStore = db.createObjectStore(this.fileStoreName, { keyPath: 'url' });
+          fileStore.createIndex('timestamp', 'timestamp', { unique: false });
+        }
+        // v3：分块下载中已完成的分块，用于断点续传
+        if (!db.objectStoreNames.contains(this.chunkStoreName)) {
+          const chunkStore = db.createObjectStore(this.chunkStoreName, { keyPath: ['url', 'index'] });
+          chunkStore.createIndex('url', 'url', { unique: false });
+          chunkStore.createIndex('timestamp', 'timestamp', { unique: false });
+        }
+        // v4：模型大小和最近访问时间，用于 LRU 淘汰；重新验证后的 ETag 和新鲜期也存在这里（与模型数据分开存放，更新时不重写模型）
+        if (!db.objectStoreNames.contains(this.accessStoreName)) {
+          const accessStore = db.createObjectStore(this.accessStoreName, { keyPath: 'url' });
+          accessStore.createIndex('lastAccess', 'lastAccess', { unique: false });
+
+          // 已缓存的模型以缓存时间作为最近访问时间
+          if (event.oldVersion > 0) {
+            const transaction = event.target.transaction;
+            transaction.objectStore(this.storeName).openCursor().onsuccess = (cursorEvent) => {
+              const cursor = cursorEvent.target.result;
+              if (!cursor) return;
+              const { url, size, timestamp } = cursor.value;
+              accessStore.put({ url, size, lastAccess: timestamp });
+              cursor.continue();
+            };
+          }
+        }
       };
     });
+
+    if (this.persist) {
+      await this.requestPersistence();
+    }
+  }
+
+  /**
+   * 申请持久化存储
+   *
+   * 持久化存储不会在磁盘空间不足时被浏览器自动清除；Worker 中不可用（persist() 只在页面中提供）
+   *
+   * @returns {Promise<boolean>} 是否已获得持久化存储
+   */
+  async requestPersistence() {
+    const storage = globalThis.navigator?.storage;
+    if (!storage?.persist) return false;
+
+    try {
+      if (await storage.persisted()) return true;
+      const persisted = await storage.persist();
+      console.log(persisted ? '🔒 Persistent storage granted' : '⚠️  Persistent storage denied');
+      return persisted;
+    } catch (error) {
+      console.warn('⚠️  Failed to request persistent storage:', error);
+      return false;
+    }
   }
 
   /**
-   * 检查模型是否已缓存
+   * 查询浏览器存储用量（navigator.storage.estimate()）
+   *
+   * @returns {Promise<{usage: number, quota: number, persisted: boolean} | null>} 不支持时为 null
+   */
+  async getStorageEstimate() {
+    const storage = globalThis.navigator?.storage;
+    if (!storage?.estimate) return null;
+
+    try {
+      const { usage = 0, quota = Infinity } = await storage.estimate();
+      const persisted = storage.persisted ? await storage.persisted() : false;
+      return { usage, quota, persisted };
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * 读取缓存的模型（不论是否过期）
+   *
+   * 重新验证后更新的 ETag 和新鲜期保存在 access 存储中，覆盖模型记录里的旧值
+   *
+   * @param {string} url - 模型URL
+   * @returns {Promise<{url: string, data: ArrayBuffer | Uint8Array, timestamp: number, etag: string | null, lastModified?: string | null, freshUntil?: number, staleUntil?: number, size: number} | null>}
    */
   async isCached(url) {
     if (!this.db) await this.init();
 
     return new Promise((resolve) => {
-      const transaction = this.db.transaction([this.storeName], 'readonly');
-      const store = transaction.objectStore(this.storeName);
-      const request = store.get(url);
+      const transaction = this.db.transaction([this.storeName, this.accessStoreName], 'readonly');
+      const request = transaction.objectStore(this.storeName).get(url);
+      const accessRequest = transaction.objectStore(this.accessStoreName).get(url);
 
-      request.onsuccess = () => {
-        const cached = request.result;
-        if (!cached) {
+      transaction.oncomplete = () => {
+        if (!request.result) {
           resolve(null);
           return;
         }
 
-        // 检查缓存是否过期（24小时）
-        const maxAge = 24 * 60 * 60 * 1000; // 24小时
-        if (Date.now() - cached.timestamp > maxAge) {
-          this.removeFromCache(url);
-          resolve(null);
-          return;
+        const freshness = {};
+        for (const key of FRESHNESS_FIELDS) {
+          if (accessRequest.result?.[key] !== undefined) freshness[key] = accessRequest.result[key];
         }
-
-        resolve(cached);
+        resolve({ ...request.result, ...freshness });
       };
+      transaction.onabort = () => resolve(null);
+    });
+  }
+
+  /**
+   * 缓存是否仍在新鲜期内
+   *
+   * 旧版本写入的记录没有 freshUntil，按 timestamp + maxAge 计算
+   *
+   * @param {{timestamp: number, freshUntil?: number}} cached - 缓存记录
+   * @returns {boolean}
+   */
+  isFresh(cached) {
+    const freshUntil = cached.freshUntil ?? cached.timestamp + this.maxAge;
+    return Date.now() < freshUntil;
+  }
 
-      request.onerror = () => resolve(null);
+  /**
+   * 向服务器重新验证缓存的模型
+   *
+   * 带 If-None-Match / If-Modified-Since 发送 HEAD 请求：304 或验证器未变化时刷新新鲜期并返回 true；
+   * 模型已更新时返回 false 和 HEAD 响应（用于重新下载）
+   *
+   * @param {string} url - 模型URL
+   * @param {Object} cached - 缓存记录
+   * @returns {Promise<{valid: boolean, headResponse: Response}>}
+   */
+  async revalidate(url, cached) {
+    const headers = {};
+    if (cached.etag) headers['If-None-Match'] = cached.etag;
+    if (cached.lastModified) headers['If-Modified-Since'] = cached.lastModified;
+
+    const headResponse = await fetch(url, { method: 'HEAD', headers });
+    if (headResponse.status >= 500) {
+      throw new Error(`Server error ${headResponse.status}`);
+    }
+
+    // 部分服务器对 HEAD 忽略条件请求头，直接比较验证器
+    const etag = headResponse.headers.get('ETag');
+    const lastModified = headResponse.headers.get('Last-Modified');
+    const unchanged = headResponse.status === 304 || (headResponse.ok && (
+      cached.etag ? etag === cached.etag : !!cached.lastModified && lastModified === cached.lastModified
+    ));
+
+    if (!unchanged) {
+      // 模型已从服务器删除
+      if (headResponse.status === 404 || headResponse.status === 410) {
+        await this.removeFromCache(url);
+      }
+      return { valid: false, headResponse };
+    }
+
+    // 只刷新新鲜期，不重写模型数据（也不需要腾出空间）
+    const policy = getCachePolicy(headResponse.headers, this.maxAge);
+    await this.updateFreshness(url, cached.size ?? cached.data.byteLength, {
+      etag: cached.etag,
+      lastModified: cached.lastModified,
+      freshUntil: policy.freshUntil,
+      staleUntil: policy.staleUntil
     });
+    return { valid: true, headResponse };
+  }
+
+  /**
+   * 在后台重新验证缓存的模型，模型已更新时重新下载并更新缓存
+   *
+   * @param {string} url - 模型URL
+   * @param {Object} cached - 缓存记录
+   * @returns {Promise<void>}
+   */
+  revalidateInBackground(url, cached) {
+    if (!this.revalidations.has(url)) {
+      const task = (async () => {
+        const { valid, headResponse } = await this.revalidate(url, cached);
+        if (!valid) {
+          console.log(`🔄 Model updated on server, refreshing cache in background: ${url}`);
+          await this.downloadModel(url, headResponse, { cache: true });
+        }
+      })()
+        .catch(error => console.warn(`⚠️  Background revalidation failed for ${url}:`, error))
+        .finally(() => this.revalidations.delete(url));
+      this.revalidations.set(url, task);
+    }
+    return this.revalidations.get(url);
+  }
+
+  /**
+   * 获取模型文件：URL 以 .onnx 结尾时优先尝试同名的 .ort 格式，不可用时回退到 ONNX 格式
+   *
+   * 主线程（ONNXWebFramework）和 Worker（ONNXWorkerRuntime）共用，两者读写同一个 IndexedDB 缓存
+   *
+   * @param {string} url - 模型URL
+   * @param {Object} [options] - 选项（同 getModel）
+   * @returns {Promise<{data: ArrayBuffer | Uint8Array, format: 'ort' | 'onnx', url: string}>}
+   */
+  async fetchModel(url, options = {}) {
+    const ortUrl = url.replace(/\.onnx$/, '.ort');
+
+    if (ortUrl !== url) {
+      try {
+        const data = await this.getModel(ortUrl, options);
+        console.log(`✅ Using ORT format model: ${ortUrl}`);
+        return { data, format: 'ort', url: ortUrl };
+      } catch (ortError) {
+        console.log(`⚠️  ORT format not available, using ONNX format`);
+      }
+    }
+
+    const data = await this.getModel(url, options);
+    return { data, format: /\.ort$/.test(url) ? 'ort' : 'onnx', url };
   }
 
   /**
    * 获取模型文件，支持HTTP Range请求
+   *
+   * 新鲜期内的缓存直接返回；过期的缓存先向服务器重新验证（If-None-Match / If-Modified-Since），
+   * 未变化时继续使用，网络不可用或服务端出错时回退到旧缓存。启用 staleWhileRevalidate
+   * （或服务器返回 stale-while-revalidate 指令）时过期缓存立即返回，在后台重新验证
+   *
+   * @param {string} url - 模型URL
+   * @param {Object} [options]
+   * @param {boolean} [options.cache=true] - 是否读写 IndexedDB 缓存
+   * @param {(progress: ModelLoadProgress) => void} [options.onProgress] - 进度回调（cache-hit / downloading / caching）
    */
-  async getModel(url) {
+  async getModel(url, { cache = true, onProgress = null } = {}) {
     try {
       // 首先检查缓存
-      const cached = await this.isCached(url);
-      if (cached) {
-        console.log(`📦 Loading model from cache: ${url}`);
-        return cached.data;
-      }
+      const cached = cache ? await this.isCached(url) : null;
+      let headResponse = null;
 
-      console.log(`⬇️  Fetching model from network: ${url}`);
+      if (cached) {
+        const size = cached.size ?? cached.data.byteLength;
+        const reportCacheHit = () => {
+          createProgressReporter(url, onProgress)('cache-hit', size, size);
+          // 更新最近访问时间（LRU），失败不影响加载
+          this.touch(url, size).catch(() => {});
+        };
 
-      // 检查是否支持Range请求
-      const headResponse = await fetch(url, { method: 'HEAD' });
-      const supportsRange = headResponse.headers.get('Accept-Ranges') === 'bytes';
-      const contentLength = headResponse.headers.get('Content-Length');
-      const etag = headResponse.headers.get('ETag');
+        if (this.isFresh(cached)) {
+          console.log(`📦 Loading model from cache: ${url}`);
+          reportCacheHit();
+          return cached.data;
+        }
 
-      let modelArray;
+        if (this.staleWhileRevalidate || Date.now() < (cached.staleUntil ?? 0)) {
+          console.log(`📦 Loading stale model from cache, revalidating in background: ${url}`);
+          this.revalidateInBackground(url, cached);
+          reportCacheHit();
+          return cached.data;
+        }
 
-      if (supportsRange && contentLength && parseInt(contentLength) > 10 * 1024 * 1024) {
-        // 大文件使用分块下载
-        modelArray = await this.downloadInChunks(url, contentLength);
-      } else {
-        // 小文件直接下载
-        const response = await fetch(url);
-        if (!response.ok) {
-          throw new Error(`Failed to fetch model: ${response.statusText}`);
+        try {
+          const result = await this.revalidate(url, cached);
+          if (result.valid) {
+            console.log(`📦 Loading model from cache (not modified): ${url}`);
+            reportCacheHit();
+            return cached.data;
+          }
+          headResponse = result.headResponse;
+          console.log(`🔄 Model updated on server: ${url}`);
+        } catch (error) {
+          console.warn(`⚠️  Revalidation failed, loading stale model from cache: ${url}`, error);
+          reportCacheHit();
+          return cached.data;
         }
-        modelArray = await response.arrayBuffer();
       }
 
-      // 缓存模型
-      await this.cacheModel(url, modelArray, etag);
+      console.log(`⬇️  Fetching model from network: ${url}`);
+
+      // 检查是否支持Range请求（重新验证时已经拿到 HEAD 响应）
+      if (!headResponse?.ok) {
+        headResponse = await fetch(url, { method: 'HEAD' });
+      }
 
-      return modelArray;
+      return await this.downloadModel(url, headResponse, {
+        cache,
+        report: createProgressReporter(url, onProgress)
+      });
     } catch (error) {
       console.error(`Failed to get model ${url}:`, error);
       throw error;
     }
   }
 
+  /**
+   * 下载模型并按响应头的缓存策略写入缓存
+   *
+   * @param {string} url - 模型URL
+   * @param {Response} headResponse - HEAD 响应
+   * @param {Object} options
+   * @param {boolean} options.cache - 是否写入 IndexedDB 缓存
+   * @param {ReturnType<typeof createProgressReporter>} [options.report] - 进度报告函数
+   * @returns {Promise<ArrayBuffer | Uint8Array>}
+   */
+  async downloadModel(url, headResponse, { cache, report = () => {} }) {
+    const supportsRange = headResponse.headers.get('Accept-Ranges') === 'bytes';
+    const contentLength = headResponse.headers.get('Content-Length');
+    const policy = getCachePolicy(headResponse.headers, this.maxAge);
+    let store = cache && policy.cacheable;
+
+    // 超过 maxCacheSize 的模型不缓存（也不保存续传分块）；淘汰其他模型留到下载完成、写入前（storeModel）
+    if (store && contentLength) {
+      store = this.fitsInCache(url, Number(contentLength));
+    }
+
+    let modelArray;
+
+    if (supportsRange && contentLength && parseInt(contentLength) > 10 * 1024 * 1024) {
+      // 大文件使用分块下载，启用缓存时已完成的分块写入 IndexedDB，中断后可以续传
+      modelArray = await this.downloadInChunks(url, contentLength, report, { etag: policy.etag, resume: store });
+    } else {
+      // 小文件直接下载，按响应流报告进度
+      modelArray = await downloadFile(url, (fraction, loaded, total) => {
+        report('downloading', loaded, total);
+      });
+    }
+
+    // 缓存模型（Cache-Control: no-store 时不缓存）
+    if (store) {
+      report('caching', modelArray.byteLength, modelArray.byteLength);
+      await this.storeModel(url, modelArray, policy.etag, policy);
+    }
+
+    return modelArray;
+  }
+
   /**
    * 分块下载大文件
+   *
+   * 分块并行下载，失败的分块按指数退避重试；resume 为 true 且服务器返回 ETag 时，
+   * 每个完成的分块写入 IndexedDB，下次下载同一 URL 时跳过 ETag 相同的已完成分块
+   *
+   * @param {string} url - 模型URL
+   * @param {string | number} contentLength - 文件大小
+   * @param {(phase: 'downloading', loaded: number, total: number, downloaded: number) => void} [report] - 每下载一块调用一次
+   * @param {Object} [options]
+   * @param {string | null} [options.etag] - HEAD 响应的 ETag，用于校验已保存的分块和每个分块的响应
+   * @param {boolean} [options.resume=false] - 是否保存分块以便断点续传
+   * @returns {Promise<Uint8Array>}
    */
-  async downloadInChunks(url, contentLength) {
-    const chunkSize = 1024 * 1024; // 1MB chunks
-    const chunks = [];
+  async downloadInChunks(url, contentLength, report = null, { etag = null, resume = false } = {}) {
+    const totalSize = Number(contentLength);
+    const chunkSize = this.chunkSize;
+    const chunkCount = Math.ceil(totalSize / chunkSize);
+    const modelArray = new Uint8Array(totalSize);
+
+    // 没有 ETag 时无法确认服务器上的文件没有变化，不续传
+    const persist = resume && !!etag;
+    const completed = persist
+      ? await this.restoreChunks(url, { etag, chunkSize, totalSize }, modelArray).catch((error) => {
+        console.warn(`⚠️  Failed to restore downloaded chunks for ${url}:`, error);
+        return new Set();
+      })
+      : new Set();
+
+    let loaded = 0;
     let downloaded = 0;
+    const pending = [];
+    for (let index = 0; index < chunkCount; index++) {
+      if (completed.has(index)) {
+        loaded += Math.min(chunkSize, totalSize - index * chunkSize);
+      } else {
+        pending.push(index);
+      }
+    }
+
+    if (completed.size > 0) {
+      console.log(`📥 Resuming download: ${completed.size}/${chunkCount} chunks already downloaded`);
+    } else {
+      console.log(`📥 Downloading large model in chunks (${chunkCount} chunks)`);
+    }
 
-    console.log(`📥 Downloading large model in chunks (${Math.ceil(contentLength / chunkSize)} chunks)`);
+    // 服务器忽略 Range 返回完整文件（200）时改为一次性流式下载
+    let rangeIgnored = false;
 
-    for (let start = 0; start < contentLength; start += chunkSize) {
-      const end = Math.min(start + chunkSize - 1, contentLength - 1);
+    const downloadChunk = async (index) => {
+      const start = index * chunkSize;
+      const end = Math.min(start + chunkSize, totalSize) - 1;
       const range = `bytes=${start}-${end}`;
 
-      const response = await fetch(url, {
-        headers: { Range: range }
+      // 只发送 Range（CORS 安全列表中的请求头，不触发预检）；不使用 If-Range：
+      // 它会让每个分块都发送预检请求，而且弱 ETag 下服务器总是返回完整文件。
+      // 文件是否在下载过程中被替换改由 206 响应的 Content-Range 和 ETag 判断
+      const chunk = await safeExecute(async () => {
+        const response = await fetch(url, { headers: { Range: range } });
+        if (!response.ok) {
+          throw new Error(`Failed to download chunk ${range}: ${response.statusText}`);
+        }
+        if (response.status !== 206) {
+          await response.body?.cancel();
+          return null;
+        }
+        checkChunkResponse(response, { start, end, totalSize, etag });
+
+        const data = new Uint8Array(await response.arrayBuffer());
+        if (data.byteLength !== end - start + 1) {
+          throw new Error(`Chunk ${range} has unexpected size ${data.byteLength}`);
+        }
+        return data;
+      }, {
+        retries: this.retries,
+        retryDelay: this.retryDelay,
+        backoff: 2,
+        shouldRetry: (error) => !(error instanceof ModelChangedError),
+        onRetry: (attempt) => console.warn(`⚠️  Retrying chunk ${range} (attempt ${attempt}/${this.retries})`)
       });
 
-      if (!response.ok) {
-        throw new Error(`Failed to download chunk ${range}: ${response.statusText}`);
+      if (!chunk) {
+        rangeIgnored = true;
+        return;
       }
 
-      const chunk = await response.arrayBuffer();
-      chunks.push(chunk);
+      modelArray.set(chunk, start);
+      if (persist) {
+        await this.saveChunk({ url, index, etag, chunkSize, totalSize, data: chunk }).catch((error) => {
+          console.warn(`⚠️  Failed to save chunk ${range}:`, error);
+        });
+      }
+
+      loaded += chunk.byteLength;
       downloaded += chunk.byteLength;
 
       // 更新进度
-      const progress = (downloaded / contentLength * 100).toFixed(1);
-      console.log(`⏳ Download progress: ${progress}% (${downloaded}/${contentLength} bytes)`);
-    }
+      const progress = (loaded / totalSize * 100).toFixed(1);
+      console.log(`⏳ Download progress: ${progress}% (${loaded}/${totalSize} bytes)`);
+      report?.('downloading', loaded, totalSize, downloaded);
+    };
 
-    // 合并所有块
-    const totalSize = chunks.reduce((sum, chunk) => sum + chunk.byteLength, 0);
-    const modelArray = new Uint8Array(totalSize);
-    let offset = 0;
+    // concurrency 个下载循环依次领取分块，任一分块重试后仍失败时整体失败（已完成的分块保留）
+    let failed = false;
+    const workers = Array.from({ length: Math.min(this.concurrency, pending.length) }, async () => {
+      while (pending.length > 0 && !failed && !rangeIgnored) {
+        try {
+          await downloadChunk(pending.shift());
+        } catch (error) {
+          failed = true;
+          throw error;
+        }
+      }
+    });
+    await Promise.all(workers);
 
-    for (const chunk of chunks) {
-      modelArray.set(new Uint8Array(chunk), offset);
-      offset += chunk.byteLength;
+    if (persist) {
+      await this.clearChunks(url).catch(() => {});
+    }
+
+    if (rangeIgnored) {
+      console.warn(`⚠️  Server ignored the Range header for ${url}, downloading the whole file`);
+      return downloadFile(url, (fraction, loaded, total) => {
+        report?.('downloading', loaded, total ?? totalSize);
+      });
     }
 
     return modelArray;
   }
 
+  /**
+   * 读取已保存的分块并写入 target，返回已完成的分块序号
+   *
+   * ETag、分块大小或文件大小与本次下载不一致的分块全部丢弃
+   *
+   * @param {string} url - 模型URL
+   * @param {{etag: string, chunkSize: number, totalSize: number}} expected - 本次下载的参数
+   * @param {Uint8Array} target - 模型数据缓冲区
+   * @returns {Promise<Set<number>>}
+   */
+  async restoreChunks(url, { etag, chunkSize, totalSize }, target) {
+    if (!this.db) await this.init();
+
+    const completed = new Set();
+    let stale = false;
+
+    await new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([this.chunkStoreName], 'readonly');
+      const index = transaction.objectStore(this.chunkStoreName).index('url');
+      const request = index.openCursor(IDBKeyRange.only(url));
+
+      request.onsuccess = (event) => {
+        const cursor = event.target.result;
+        if (!cursor) {
+          resolve();
+          return;
+        }
+
+        const chunk = cursor.value;
+        if (chunk.etag === etag && chunk.chunkSize === chunkSize && chunk.totalSize === totalSize) {
+          target.set(new Uint8Array(chunk.data), chunk.index * chunkSize);
+          completed.add(chunk.index);
+        } else {
+          stale = true;
+        }
+        cursor.continue();
+      };
+      request.onerror = () => reject(request.error);
+    });
+
+    if (stale) {
+      console.log(`🔄 Model changed on server, discarding downloaded chunks: ${url}`);
+      await this.clearChunks(url);
+      return new Set();
+    }
+    return completed;
+  }
+
+  /**
+   * 保存已完成的分块
+   *
+   * @param {{url: string, index: number, etag: string, chunkSize: number, totalSize: number, data: Uint8Array}} chunk
+   */
+  async saveChunk(chunk) {
+    if (!this.db) await this.init();
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([this.chunkStoreName], 'readwrite');
+      const request = transaction.objectStore(this.chunkStoreName).put({ ...chunk, timestamp: Date.now() });
+
+      request.onsuccess = () => resolve();
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /**
+   * 删除 URL 的所有已保存分块
+   *
+   * @param {string} url - 模型URL
+   */
+  async clearChunks(url) {
+    if (!this.db) await this.init();
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([this.chunkStoreName], 'readwrite');
+      const store = transaction.objectStore(this.chunkStoreName);
+      const request = store.delete(IDBKeyRange.bound([url, 0], [url, Infinity]));
+
+      request.onsuccess = () => resolve();
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /**
+   * 腾出空间后缓存模型，配额不足时放弃缓存
+   *
+   * @param {string} url - 模型URL
+   * @param {ArrayBuffer | Uint8Array} data - 模型数据
+   * @param {string | null} etag - ETag
+   * @param {Object} policy - 缓存策略（同 cacheModel）
+   * @returns {Promise<boolean>} 是否已缓存
+   */
+  async storeModel(url, data, etag, policy) {
+    const size = data.byteLength || data.length;
+    if (!(await this.ensureSpace(url, size))) {
+      return false;
+    }
+
+    try {
+      await this.cacheModel(url, data, etag, policy);
+      return true;
+    } catch (error) {
+      if (error?.name !== 'QuotaExceededError') throw error;
+
+      console.warn(`⚠️  Storage quota exceeded, model loaded without caching: ${url}`);
+      await this.removeFromCache(url).catch(() => {});
+      await this.clearChunks(url).catch(() => {});
+      return false;
+    }
+  }
+
+  /**
+   * 模型是否不超过 maxCacheSize（只检查，不淘汰）
+   *
+   * @param {string} url - 模型URL
+   * @param {number} size - 模型大小（字节）
+   * @returns {boolean}
+   */
+  fitsInCache(url, size) {
+    if (this.maxCacheSize && size > this.maxCacheSize) {
+      console.warn(`⚠️  Model larger than maxCacheSize (${size} > ${this.maxCacheSize} bytes), not caching: ${url}`);
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * 按最近最少使用（LRU）顺序淘汰其他模型，直到能写入 size 字节
+   *
+   * maxCacheSize 是硬上限：模型本身超过上限时不缓存；浏览器配额（navigator.storage.estimate()）
+   * 只是估算，淘汰后仍不足时照常尝试写入，由 QuotaExceededError 兜底
+   *
+   * @param {string} url - 要写入的模型URL（不会被淘汰）
+   * @param {number} size - 要写入的字节数
+   * @returns {Promise<boolean>} 是否可以写入
+   */
+  async ensureSpace(url, size) {
+    if (!this.fitsInCache(url, size)) {
+      return false;
+    }
+
+    const entries = await this.getAccessEntries();
+    const current = entries.find(entry => entry.url === url);
+    const others = entries.filter(entry => entry.url !== url);
+
+    let used = others.reduce((sum, entry) => sum + (entry.size || 0), 0);
+    const estimate = await this.getStorageEstimate();
+    // 覆盖写入同一 URL 时旧数据的空间会被释放
+    let available = estimate ? estimate.quota - estimate.usage + (current?.size || 0) : Infinity;
+
+    for (const entry of others) {
+      const overLimit = this.maxCacheSize && used + size > this.maxCacheSize;
+      if (!overLimit && size <= available) break;
+
+      console.log(`🗑️  Evicting least recently used model: ${entry.url}`);
+      await this.removeFromCache(entry.url);
+      used -= entry.size || 0;
+      available += entry.size || 0;
+    }
+
+    return true;
+  }
+
+  /**
+   * 更新模型的最近访问时间
+   *
+   * @param {string} url - 模型URL
+   * @param {number} size - 模型大小（字节）
+   */
+  async touch(url, size) {
+    return this.updateAccessEntry(url, { size, lastAccess: Date.now() });
+  }
+
+  /**
+   * 重新验证后更新模型的 ETag 和新鲜期
+   *
+   * 写入 access 存储而不是模型记录，避免为几个字段重写整个模型
+   *
+   * @param {string} url - 模型URL
+   * @param {number} size - 模型大小（字节）
+   * @param {{etag: string | null, lastModified?: string | null, freshUntil: number, staleUntil: number}} freshness - 新的验证器和新鲜期
+   */
+  async updateFreshness(url, size, { etag, lastModified = null, freshUntil, staleUntil }) {
+    return this.updateAccessEntry(url, { size, etag, lastModified, freshUntil, staleUntil });
+  }
+
+  /**
+   * 合并更新模型的 access 记录，保留未指定的字段
+   *
+   * @param {string} url - 模型URL
+   * @param {Object} fields - 要更新的字段
+   */
+  async updateAccessEntry(url, fields) {
+    if (!this.db) await this.init();
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([this.accessStoreName], 'readwrite');
+      const store = transaction.objectStore(this.accessStoreName);
+      const request = store.get(url);
+
+      request.onsuccess = () => {
+        store.put({ lastAccess: Date.now(), ...request.result, ...fields, url });
+      };
+
+      transaction.oncomplete = () => resolve();
+      transaction.onabort = () => reject(transaction.error);
+    });
+  }
+
+  /**
+   * 读取所有模型的大小和最近访问时间，按最近访问时间从早到晚排序
+   *
+   * @returns {Promise<Array<{url: string, size: number, lastAccess: number}>>}
+   */
+  async getAccessEntries() {
+    if (!this.db) await this.init();
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([this.accessStoreName], 'readonly');
+      const request = transaction.objectStore(this.accessStoreName).index('lastAccess').getAll();
+
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
   /**
    * 缓存模型文件
+   *
+   * @param {string} url - 模型URL
+   * @param {ArrayBuffer | Uint8Array} data - 模型数据
+   * @param {string | null} [etag] - ETag
+   * @param {{lastModified?: string | null, freshUntil?: number, staleUntil?: number}} [policy] - 缓存策略，默认新鲜期为 maxAge
    */
-  async cacheModel(url, data, etag = null) {
+  async cacheModel(url, data, etag = null, { lastModified = null, freshUntil, staleUntil } = {}) {
     if (!this.db) await this.init();
 
     return new Promise((resolve, reject) => {
-      const transaction = this.db.transaction([this.storeName], 'readwrite');
+      const transaction = this.db.transaction([this.storeName, this.accessStoreName], 'readwrite');
       const store = transaction.objectStore(this.storeName);
 
+      const timestamp = Date.now();
       const modelRecord = {
         url,
         data,
-        timestamp: Date.now(),
+        timestamp,
         etag,
+        lastModified,
+        freshUntil: freshUntil ?? timestamp + this.maxAge,
+        staleUntil: staleUntil ?? freshUntil ?? timestamp + this.maxAge,
         size: data.byteLength || data.length
       };
 
-      const request = store.put(modelRecord);
-      request.onsuccess = () => resolve();
-      request.onerror = () => reject(request.error);
+      store.put(modelRecord);
+      transaction.objectStore(this.accessStoreName).put({ url, size: modelRecord.size, lastAccess: timestamp });
+
+      // 配额不足（QuotaExceededError）时事务中止，等事务提交后才算写入成功
+      transaction.oncomplete = () => resolve();
+      transaction.onabort = () => reject(transaction.error);
     });
   }
 
@@ -187,9 +937,157 @@ class ModelCache {
     if (!this.db) await this.init();
 
     return new Promise((resolve, reject) => {
-      const transaction = this.db.transaction([this.storeName], 'readwrite');
-      const store = transaction.objectStore(this.storeName);
-      const request = store.delete(url);
+      const transaction = this.db.transaction([this.storeName, this.accessStoreName], 'readwrite');
+      transaction.objectStore(this.storeName).delete(url);
+      transaction.objectStore(this.accessStoreName).delete(url);
+
+      transaction.oncomplete = () => resolve();
+      transaction.onabort = () => reject(transaction.error);
+    });
+  }
+
+  /**
+   * 获取文本文件（tokenizer.json、vocab.txt 等），带 ETag / Last-Modified 重新验证
+   *
+   * 有缓存时发送条件请求，304 直接使用缓存（只更新验证器和缓存时间）；网络不可用或服务端出错时回退到缓存，
+   * 因此文件加载过一次后可以离线使用。IndexedDB 不可用时退化为普通 fetch
+   * @param {string} url - 文件URL
+   * @returns {Promise<string>}
+   */
+  async fetchText(url) {
+    const cached = await this.getFile(url).catch(() => null);
+
+    const headers = {};
+    if (cached?.etag) headers['If-None-Match'] = cached.etag;
+    if (cached?.lastModified) headers['If-Modified-Since'] = cached.lastModified;
+
+    let response;
+    try {
+      try {
+        response = await fetch(url, { headers });
+      } catch (error) {
+        // 条件请求头不在 CORS 白名单内，部分静态服务器的预检会失败，去掉后重试
+        if (!cached) throw error;
+        response = await fetch(url);
+      }
+    } catch (error) {
+      if (cached) {
+        console.log(`📦 Network unavailable, loading file from cache: ${url}`);
+        return cached.text;
+      }
+      throw error;
+    }
+
+    if (response.status === 304 && cached) {
+      console.log(`📦 Loading file from cache (not modified): ${url}`);
+      // 304 可能带有新的验证器，缺失时沿用缓存的值
+      await this.touchFile(url, {
+        etag: response.headers.get('ETag') ?? cached.etag,
+        lastModified: response.headers.get('Last-Modified') ?? cached.lastModified
+      }).catch(() => {});
+      return cached.text;
+    }
+
+    if (!response.ok) {
+      if (cached && response.status >= 500) {
+        console.warn(`⚠️  Server error ${response.status}, loading file from cache: ${url}`);
+        return cached.text;
+      }
+      throw new Error(`Failed to fetch file: ${response.status} ${response.statusText}`);
+    }
+
+    const text = await response.text();
+    try {
+      await this.cacheFile(
+        url,
+        text,
+        response.headers.get('ETag'),
+        response.headers.get('Last-Modified')
+      );
+    } catch (error) {
+      console.warn(`⚠️  Failed to cache file ${url}:`, error);
+    }
+
+    return text;
+  }
+
+  /**
+   * 读取缓存的文本文件
+   * @param {string} url - 文件URL
+   * @returns {Promise<{url: string, text: string, etag: string|null, lastModified: string|null, timestamp: number, size: number}|null>}
+   */
+  async getFile(url) {
+    if (!this.db) await this.init();
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([this.fileStoreName], 'readonly');
+      const store = transaction.objectStore(this.fileStoreName);
+      const request = store.get(url);
+
+      request.onsuccess = () => resolve(request.result || null);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /**
+   * 缓存文本文件
+   */
+  async cacheFile(url, text, etag = null, lastModified = null) {
+    if (!this.db) await this.init();
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([this.fileStoreName], 'readwrite');
+      const store = transaction.objectStore(this.fileStoreName);
+
+      const fileRecord = {
+        url,
+        text,
+        etag,
+        lastModified,
+        timestamp: Date.now(),
+        size: text.length
+      };
+
+      const request = store.put(fileRecord);
+      request.onsuccess = () => resolve();
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /**
+   * 重新验证后更新文本文件的 ETag / Last-Modified 和缓存时间，保留缓存的内容
+   *
+   * @param {string} url - 文件URL
+   * @param {{etag: string | null, lastModified: string | null}} validators - 新的验证器
+   */
+  async touchFile(url, { etag, lastModified }) {
+    if (!this.db) await this.init();
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([this.fileStoreName], 'readwrite');
+      const store = transaction.objectStore(this.fileStoreName);
+      const request = store.get(url);
+
+      request.onsuccess = () => {
+        if (request.result) {
+          store.put({ ...request.result, etag, lastModified, timestamp: Date.now() });
+        }
+      };
+
+      transaction.oncomplete = () => resolve();
+      transaction.onabort = () => reject(transaction.error);
+    });
+  }
+
+  /**
+   * 清空缓存的文本文件
+   */
+  async clearFiles() {
+    if (!this.db) await this.init();
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([this.fileStoreName], 'readwrite');
+      const request = transaction.objectStore(this.fileStoreName).clear();
 
       request.onsuccess = () => resolve();
       request.onerror = () => reject(request.error);
@@ -198,39 +1096,62 @@ class ModelCache {
 
   /**
    * 清理过期缓存
+   *
+   * 超过 maxAge 未验证且没有 ETag / Last-Modified（无法重新验证）的模型，以及长时间未完成的分块下载；
+   * 有验证器的过期模型保留，下次使用时重新验证。之后按 LRU 淘汰超出 maxCacheSize 的模型
    */
   async cleanup() {
     if (!this.db) await this.init();
 
-    const maxAge = 24 * 60 * 60 * 1000; // 24小时
-    const cutoffTime = Date.now() - maxAge;
+    const cutoffTime = Date.now() - this.maxAge;
 
-    return new Promise((resolve, reject) => {
-      const transaction = this.db.transaction([this.storeName], 'readwrite');
-      const store = transaction.objectStore(this.storeName);
+    const cleanStore = (storeName, shouldDelete) => new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([storeName], 'readwrite');
+      const store = transaction.objectStore(storeName);
       const index = store.index('timestamp');
       const request = index.openCursor(IDBKeyRange.upperBound(cutoffTime));
+      const deleted = [];
 
       request.onsuccess = (event) => {
         const cursor = event.target.result;
         if (cursor) {
-          cursor.delete();
+          if (shouldDelete(cursor.value)) {
+            deleted.push(cursor.value.url);
+            cursor.delete();
+          }
           cursor.continue();
         } else {
-          resolve();
+          resolve(deleted);
         }
       };
 
       request.onerror = () => reject(request.error);
     });
+
+    const expired = await cleanStore(this.storeName, model => !this.isFresh(model) && !model.etag && !model.lastModified);
+    for (const url of expired) {
+      await this.removeFromCache(url);
+    }
+    await cleanStore(this.chunkStoreName, () => true);
+
+    if (this.maxCacheSize) {
+      await this.ensureSpace(null, 0);
+    }
   }
 
   /**
    * 获取缓存统计信息
+   *
+   * 包含每个模型的最近访问时间、maxCacheSize 和浏览器存储用量（navigator.storage.estimate()，不支持时为 null）
    */
   async getStats() {
     if (!this.db) await this.init();
 
+    const lastAccess = new Map(
+      (await this.getAccessEntries().catch(() => [])).map(entry => [entry.url, entry.lastAccess])
+    );
+    const storage = await this.getStorageEstimate();
+
     return new Promise((resolve) => {
       const transaction = this.db.transaction([this.storeName], 'readonly');
       const store = transaction.objectStore(this.storeName);
@@ -242,17 +1163,20 @@ class ModelCache {
         const stats = {
           count: models.length,
           totalSize,
+          maxCacheSize: this.maxCacheSize,
+          storage,
           models: models.map(model => ({
             url: model.url,
             size: model.size,
             timestamp: model.timestamp,
-            age: Date.now() - model.timestamp
+            age: Date.now() - model.timestamp,
+            lastAccess: lastAccess.get(model.url) ?? model.timestamp
           }))
         };
         resolve(stats);
       };
 
-      request.onerror = () => resolve({ count: 0, totalSize: 0, models: [] });
+      request.onerror = () => resolve({ count: 0, totalSize: 0, maxCacheSize: this.maxCacheSize, storage, models: [] });
     });
   }
 }
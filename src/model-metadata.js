@@ -0,0 +1,459 @@
+/**
+ * 模型输入输出元数据
+ *
+ * 加载模型时读取每个输入/输出的元素类型和形状（符号维度保留为字符串，如 'batch_size'），
+ * 用于自动构造类型正确的输入张量
+ *
+ * 优先使用 onnxruntime-web 较新版本提供的 session.inputMetadata / outputMetadata，
+ * 不可用时直接解析 ONNX 模型的 protobuf 图定义；ORT 格式模型无法解析时只保留名称
+ *
+ * 推理前按元数据校验输入（validateFeeds），代替 WASM 抛出的难以理解的错误
+ */
+
+import { inferTensorDataType } from './worker-types.js';
+
+/**
+ * ONNX TensorProto.DataType 到 ort.Tensor 类型的映射
+ */
+const ONNX_ELEMENT_TYPES = {
+  1: 'float32',
+  2: 'uint8',
+  3: 'int8',
+  4: 'uint16',
+  5: 'int16',
+  6: 'int32',
+  7: 'int64',
+  8: 'string',
+  9: 'bool',
+  10: 'float16',
+  11: 'float64',
+  12: 'uint32',
+  13: 'uint64',
+  14: 'complex64',
+  15: 'complex128',
+  16: 'bfloat16'
+};
+
+/**
+ * protobuf 字段编号（onnx.proto）
+ */
+const MODEL_GRAPH = 7;
+const GRAPH_INPUT = 11;
+const GRAPH_OUTPUT = 12;
+const VALUE_INFO_NAME = 1;
+const VALUE_INFO_TYPE = 2;
+const TYPE_TENSOR = 1;
+const TENSOR_ELEM_TYPE = 1;
+const TENSOR_SHAPE = 2;
+const SHAPE_DIM = 1;
+const DIM_VALUE = 1;
+const DIM_PARAM = 2;
+
+/**
+ * ORT 格式（flatbuffers）模型的文件标识，位于第 4~7 字节
+ */
+const ORT_FILE_IDENTIFIER = 'ORTM';
+
+/**
+ * 最小 protobuf 读取器，只支持遍历字段
+ * @private
+ */
+class ProtoReader {
+  /**
+   * @param {Uint8Array} bytes
+   * @param {number} [start]
+   * @param {number} [end]
+   */
+  constructor(bytes, start = 0, end = bytes.length) {
+    this.bytes = bytes;
+    this.pos = start;
+    this.end = end;
+  }
+
+  /**
+   * 读取 varint；超出安全整数范围（如负数）时返回 null
+   * @returns {number | null}
+   */
+  varint() {
+    let value = 0;
+    let scale = 1;
+    for (let i = 0; i < 10; i++) {
+      if (this.pos >= this.end) {
+        throw new Error('Truncated varint');
+      }
+      const byte = this.bytes[this.pos++];
+      value += (byte & 0x7f) * scale;
+      if ((byte & 0x80) === 0) {
+        return Number.isSafeInteger(value) ? value : null;
+      }
+      scale *= 128;
+    }
+    throw new Error('Invalid varint');
+  }
+
+  /**
+   * 遍历字段，回调参数为字段编号、wire type，以及长度字段的子读取器
+   * @param {(field: number, wireType: number, reader: ProtoReader | null) => void} callback
+   */
+  forEachField(callback) {
+    while (this.pos < this.end) {
+      const key = this.varint();
+      const field = Math.floor(key / 8);
+      const wireType = key % 8;
+
+      switch (wireType) {
+        case 0: {
+          const start = this.pos;
+          this.varint();
+          callback(field, wireType, new ProtoReader(this.bytes, start, this.pos));
+          break;
+        }
+        case 1:
+          this.pos += 8;
+          break;
+        case 2: {
+          const length = this.varint();
+          const start = this.pos;
+          this.pos += length;
+          if (length === null || this.pos > this.end) {
+            throw new Error('Truncated length-delimited field');
+          }
+          callback(field, wireType, new ProtoReader(this.bytes, start, this.pos));
+          break;
+        }
+        case 5:
+          this.pos += 4;
+          break;
+        default:
+          throw new Error(`Unsupported wire type ${wireType}`);
+      }
+    }
+  }
+
+  /**
+   * 以 UTF-8 字符串读取剩余内容
+   * @returns {string}
+   */
+  string() {
+    return new TextDecoder().decode(this.bytes.subarray(this.pos, this.end));
+  }
+}
+
+/**
+ * 解析 ValueInfoProto
+ * @private
+ * @returns {{name: string, metadata: {type: string | null, shape: Array<number|string|null> | null}}}
+ */
+function parseValueInfo(reader) {
+  let name = '';
+  const metadata = { type: null, shape: null };
+
+  reader.forEachField((field, wireType, value) => {
+    if (field === VALUE_INFO_NAME && wireType === 2) {
+      name = value.string();
+    } else if (field === VALUE_INFO_TYPE && wireType === 2) {
+      value.forEachField((typeField, typeWire, tensorType) => {
+        if (typeField === TYPE_TENSOR && typeWire === 2) {
+          parseTensorType(tensorType, metadata);
+        }
+      });
+    }
+  });
+
+  return { name, metadata };
+}
+
+/**
+ * 解析 TypeProto.Tensor
+ * @private
+ */
+function parseTensorType(reader, metadata) {
+  reader.forEachField((field, wireType, value) => {
+    if (field === TENSOR_ELEM_TYPE && wireType === 0) {
+      metadata.type = ONNX_ELEMENT_TYPES[value.varint()] ?? null;
+    } else if (field === TENSOR_SHAPE && wireType === 2) {
+      metadata.shape = [];
+      value.forEachField((shapeField, shapeWire, dim) => {
+        if (shapeField === SHAPE_DIM && shapeWire === 2) {
+          metadata.shape.push(parseDimension(dim));
+        }
+      });
+    }
+  });
+}
+
+/**
+ * 解析 TensorShapeProto.Dimension：固定维度为数字，符号维度为字符串，未知为 null
+ * @private
+ * @returns {number | string | null}
+ */
+function parseDimension(reader) {
+  let dim = null;
+  reader.forEachField((field, wireType, value) => {
+    if (field === DIM_VALUE && wireType === 0) {
+      const size = value.varint();
+      dim = size !== null && size >= 0 ? size : null;
+    } else if (field === DIM_PARAM && wireType === 2) {
+      dim = value.string();
+    }
+  });
+  return dim;
+}
+
+/**
+ * 从 ONNX 模型（protobuf）中读取图的输入输出元数据
+ *
+ * 旧版本模型的图输入包含 initializer，调用方应按 session.inputNames 过滤
+ *
+ * @param {ArrayBuffer | Uint8Array} modelBytes - ONNX 模型数据
+ * @returns {{inputs: Record<string, TensorMetadata>, outputs: Record<string, TensorMetadata>}}
+ *
+ * @example
+ * const { inputs } = parseOnnxGraphMetadata(modelBuffer)
+ * console.log(inputs.input_ids) // { type: 'int64', shape: ['batch_size', 'sequence_length'] }
+ */
+export function parseOnnxGraphMetadata(modelBytes) {
+  const bytes = modelBytes instanceof Uint8Array ? modelBytes : new Uint8Array(modelBytes);
+  if (String.fromCharCode(...bytes.subarray(4, 8)) === ORT_FILE_IDENTIFIER) {
+    throw new Error('ORT format models do not contain an ONNX graph');
+  }
+
+  const inputs = {};
+  const outputs = {};
+
+  new ProtoReader(bytes).forEachField((field, wireType, graph) => {
+    if (field !== MODEL_GRAPH || wireType !== 2) return;
+
+    graph.forEachField((graphField, graphWire, valueInfo) => {
+      if (graphWire !== 2 || (graphField !== GRAPH_INPUT && graphField !== GRAPH_OUTPUT)) return;
+
+      const { name, metadata } = parseValueInfo(valueInfo);
+      (graphField === GRAPH_INPUT ? inputs : outputs)[name] = metadata;
+    });
+  });
+
+  return { inputs, outputs };
+}
+
+/**
+ * 把 session 提供的元数据（数组或对象）转换为按名称索引的对象
+ * @private
+ */
+function normalizeSessionMetadata(source, names) {
+  if (!source) return null;
+
+  const entries = Array.isArray(source)
+    ? source.map((meta, index) => [meta.name ?? names[index], meta])
+    : Object.entries(source);
+
+  const metadata = {};
+  for (const [name, meta] of entries) {
+    metadata[name] = meta.isTensor === false
+      ? { type: null, shape: null }
+      : { type: meta.type ?? null, shape: meta.shape ? Array.from(meta.shape) : null };
+  }
+  return metadata;
+}
+
+/**
+ * 按名称列表挑选元数据，缺失的项类型和形状为 null
+ * @private
+ */
+function pickMetadata(names, source) {
+  const metadata = {};
+  for (const name of names) {
+    metadata[name] = source?.[name] ?? { type: null, shape: null };
+  }
+  return metadata;
+}
+
+/**
+ * 读取已加载模型的输入输出元数据
+ *
+ * @param {{inputNames: readonly string[], outputNames: readonly string[], inputMetadata?: any, outputMetadata?: any}} session - ort.InferenceSession
+ * @param {ArrayBuffer | Uint8Array | null} [modelBytes] - 模型数据；session 不提供元数据时从中解析
+ * @returns {{inputMetadata: Record<string, TensorMetadata>, outputMetadata: Record<string, TensorMetadata>}}
+ *
+ * @example
+ * const session = await ort.InferenceSession.create(modelBuffer)
+ * const { inputMetadata } = readModelMetadata(session, modelBuffer)
+ */
+export function readModelMetadata(session, modelBytes = null) {
+  let inputs = normalizeSessionMetadata(session.inputMetadata, session.inputNames);
+  let outputs = normalizeSessionMetadata(session.outputMetadata, session.outputNames);
+
+  if ((!inputs || !outputs) && modelBytes) {
+    try {
+      const graph = parseOnnxGraphMetadata(modelBytes);
+      inputs = inputs || graph.inputs;
+      outputs = outputs || graph.outputs;
+    } catch (error) {
+      // ORT 格式模型或损坏的数据，只保留名称
+      console.warn('⚠️  Failed to read model metadata:', error.message);
+    }
+  }
+
+  return {
+    inputMetadata: pickMetadata(session.inputNames, inputs),
+    outputMetadata: pickMetadata(session.outputNames, outputs)
+  };
+}
+
+/**
+ * 输入校验失败的错误
+ *
+ * issues 逐项列出问题，可跨 Worker 边界序列化（toJSON / fromJSON）
+ */
+export class FeedValidationError extends Error {
+  /**
+   * @param {string} modelName - 模型名称
+   * @param {FeedIssue[]} issues - 校验问题列表
+   */
+  constructor(modelName, issues) {
+    super(`Invalid feeds for model '${modelName}': ${issues.map(describeIssue).join('; ')}`);
+    this.name = 'FeedValidationError';
+
+    /**
+     * 模型名称
+     * @type {string}
+     */
+    this.modelName = modelName;
+
+    /**
+     * 校验问题列表
+     * @type {FeedIssue[]}
+     */
+    this.issues = issues;
+  }
+
+  /**
+   * 序列化为可通过 postMessage 传递的对象
+   * @returns {{name: string, modelName: string, issues: FeedIssue[]}}
+   */
+  toJSON() {
+    return { name: this.name, modelName: this.modelName, issues: this.issues };
+  }
+
+  /**
+   * 从 toJSON() 的结果还原
+   * @param {{modelName: string, issues: FeedIssue[]}} data
+   * @returns {FeedValidationError}
+   */
+  static fromJSON(data) {
+    return new FeedValidationError(data.modelName, data.issues);
+  }
+}
+
+/**
+ * 形状格式化为 [1, 3, 'height', ?]
+ * @private
+ */
+function formatShape(shape) {
+  return `[${shape.map(dim => (dim === null ? '?' : typeof dim === 'string' ? `'${dim}'` : dim)).join(', ')}]`;
+}
+
+/**
+ * 单个问题的描述
+ * @private
+ */
+function describeIssue(issue) {
+  switch (issue.reason) {
+    case 'missing':
+      return `missing input '${issue.input}'`;
+    case 'unexpected':
+      return `unexpected input '${issue.input}'`;
+    case 'type':
+      return `input '${issue.input}' expected type ${issue.expectedType} but got ${issue.actualType}`;
+    case 'shape':
+      return `input '${issue.input}' expected shape ${formatShape(issue.expectedShape)} but got ${formatShape(issue.actualShape)}`;
+    case 'size':
+      return `input '${issue.input}' with shape ${formatShape(issue.actualShape)} expects ${issue.expectedSize} elements but data has ${issue.actualSize}`;
+    default:
+      return `invalid input '${issue.input}'`;
+  }
+}
+
+/**
+ * 形状是否匹配：秩必须相同，固定维度必须相等，符号维度和未知维度接受任意值
+ * @private
+ */
+function shapeMatches(expected, actual) {
+  return expected.length === actual.length &&
+    expected.every((dim, index) => typeof dim !== 'number' || dim === actual[index]);
+}
+
+/**
+ * 按模型元数据校验输入
+ *
+ * 检查缺少和多余的输入、元素类型、固定维度（符号维度接受任意值），以及数据长度与形状是否一致；
+ * 元数据中类型或形状未知时跳过对应检查，张量未指定 type 时按数据数组推断
+ *
+ * @param {string} modelName - 模型名称（用于错误信息）
+ * @param {Record<string, {type: string, dims: readonly number[], data: {length: number}, location?: string}>} feeds - 输入张量（ort.Tensor 或 TensorData）
+ * @param {Record<string, TensorMetadata>} inputMetadata - 模型输入元数据
+ * @throws {FeedValidationError} 存在任何问题时
+ *
+ * @example
+ * validateFeeds('resnet', { input: tensor }, info.inputMetadata)
+ */
+export function validateFeeds(modelName, feeds, inputMetadata) {
+  /** @type {FeedIssue[]} */
+  const issues = [];
+
+  for (const input of Object.keys(inputMetadata)) {
+    if (!(input in feeds)) {
+      issues.push({ input, reason: 'missing' });
+    }
+  }
+
+  for (const [input, tensor] of Object.entries(feeds)) {
+    const meta = inputMetadata[input];
+    if (!meta) {
+      issues.push({ input, reason: 'unexpected' });
+      continue;
+    }
+
+    // 未指定 type 的 TensorData 按数据数组推断，与 Worker 中创建 ort.Tensor 时一致
+    const type = tensor.type ?? (tensor.data ? inferTensorDataType(tensor.data) : null);
+    if (meta.type && type && type !== meta.type) {
+      issues.push({ input, reason: 'type', expectedType: meta.type, actualType: type });
+    }
+
+    const dims = Array.from(tensor.dims ?? []);
+    if (meta.shape && !shapeMatches(meta.shape, dims)) {
+      issues.push({ input, reason: 'shape', expectedShape: meta.shape, actualShape: dims });
+      continue;
+    }
+
+    // GPU 上的张量（location 为 'gpu-buffer' 等）读取 data 会抛错，只检查 CPU 张量
+    const onCpu = !tensor.location || tensor.location.startsWith('cpu');
+    const elements = dims.reduce((size, dim) => size * dim, 1);
+    // int4 / uint4 每字节存放两个值
+    const expectedSize = type === 'int4' || type === 'uint4' ? Math.ceil(elements / 2) : elements;
+    if (onCpu && tensor.data && tensor.data.length !== expectedSize) {
+      issues.push({ input, reason: 'size', actualShape: dims, expectedSize, actualSize: tensor.data.length });
+    }
+  }
+
+  if (issues.length > 0) {
+    throw new FeedValidationError(modelName, issues);
+  }
+}
+
+/**
+ * @typedef {Object} FeedIssue
+ * @property {string} input - 输入名称
+ * @property {'missing'|'unexpected'|'type'|'shape'|'size'} reason - 问题类型
+ * @property {string} [expectedType] - 期望的元素类型（reason 为 'type'）
+ * @property {string} [actualType] - 实际的元素类型（reason 为 'type'）
+ * @property {Array<number|string|null>} [expectedShape] - 期望的形状（reason 为 'shape'）
+ * @property {number[]} [actualShape] - 实际的形状（reason 为 'shape' / 'size'）
+ * @property {number} [expectedSize] - 按形状计算的元素数（reason 为 'size'）
+ * @property {number} [actualSize] - 数据的实际长度（reason 为 'size'）
+ */
+
+/**
+ * @typedef {Object} TensorMetadata
+ * @property {string | null} type - 元素类型（ort.Tensor 类型，如 'float32'、'int64'），未知时为 null
+ * @property {Array<number|string|null> | null} shape - 形状：固定维度为数字，符号维度为字符串，未知为 null
+ */
@@ -1,9 +1,17 @@
 /**
  * ONNX Web Framework
  * 基于ONNX Runtime Web构建，支持模型缓存
+ *
+ * 两种后端使用相同的 API：backend 为 'main'（默认）时在主线程创建会话；
+ * 为 'worker' 时模型仍在主线程下载和缓存，会话在 Web Worker 中创建和运行，
+ * 预处理、后处理和结果格式（ort.Tensor）不变
  */
 
 import ModelCache from './model-cache.js';
+import { generateText } from './generation.js';
+import { readModelMetadata, validateFeeds } from './model-metadata.js';
+import { createOnnxWorkerProxy } from './worker-proxy.js';
+import { WorkerSession } from './worker-session.js';
 
 // 确保ort在全局可用
 // 浏览器环境：通过 <script> 标签加载 UMD 版本
@@ -39,7 +47,14 @@ class ONNXWebFramework {
     this.options = {
       // 缓存配置
       enableCache: options.enableCache !== false, // 默认启用缓存
-      cacheMaxAge: options.cacheMaxAge || 24 * 60 * 60 * 1000, // 24小时
+      cacheMaxAge: options.cacheMaxAge || 24 * 60 * 60 * 1000, // 服务器未返回 Cache-Control 时的新鲜期，默认24小时
+      staleWhileRevalidate: options.staleWhileRevalidate || false, // 过期缓存先返回，在后台重新验证
+      maxCacheSize: options.maxCacheSize || null, // 缓存总大小上限（字节），超出时按 LRU 淘汰
+      persistCache: options.persistCache || false, // 申请持久化存储（navigator.storage.persist()）
+
+      // 大文件分块下载配置
+      downloadConcurrency: options.downloadConcurrency || 4, // 同时下载的分块数
+      downloadRetries: options.downloadRetries ?? 3, // 每个分块的重试次数（指数退避）
 
       // ORT配置
       executionProviders: options.executionProviders || ['wasm'],
@@ -48,6 +63,16 @@ class ONNXWebFramework {
       logLevel: options.logLevel || 'warning',
       numThreads: options.numThreads || 0,
 
+      // 执行后端：'main' 在主线程推理，'worker' 在 Web Worker 中推理
+      backend: options.backend || 'main',
+      workerUrl: options.workerUrl || null, // backend 为 'worker' 时的 Worker 脚本 URL
+      workerOptions: options.workerOptions || { type: 'module' },
+      worker: options.worker || null, // 自定义 Worker 实例或工厂函数，提供时忽略 workerUrl
+      supervisor: options.supervisor || null, // Worker 崩溃恢复配置（见 ONNXWorkerProxy）
+
+      // 推理前按模型元数据校验输入（名称、类型、固定维度）
+      validateFeeds: options.validateFeeds !== false,
+
       // WASM路径配置（可选，默认让打包工具自动处理）
       // 只有在需要自定义路径时才设置为字符串
       wasmPaths: options.wasmPaths || null,
@@ -59,11 +84,28 @@ class ONNXWebFramework {
       ...options
     };
 
+    if (this.options.backend !== 'main' && this.options.backend !== 'worker') {
+      throw new Error(`Unknown backend '${this.options.backend}'. Use 'main' or 'worker'.`);
+    }
+
     // 缓存和模型
-    this.modelCache = new ModelCache();
+    this.modelCache = new ModelCache({
+      concurrency: this.options.downloadConcurrency,
+      retries: this.options.downloadRetries,
+      maxAge: this.options.cacheMaxAge,
+      staleWhileRevalidate: this.options.staleWhileRevalidate,
+      maxCacheSize: this.options.maxCacheSize,
+      persist: this.options.persistCache
+    });
     this.models = new Map();
     this.isInitialized = false;
 
+    // Worker 后端的代理，initialize() 时创建
+    this.workerProxy = null;
+
+    // 事件监听器注册表
+    this.listeners = new Map(); // eventName -> Set<listener>
+
     // 预处理和后处理器注册表
     this.preprocessors = new Map(); // modelName -> function
     this.postprocessors = new Map(); // modelName -> function
@@ -86,7 +128,9 @@ class ONNXWebFramework {
 
       // 不设置 wasmPaths，让打包工具自动处理
       // 如需自定义路径，可通过 options.wasmPaths 传入
-      if (this.options.wasmPaths && typeof this.options.wasmPaths === 'string') {
+      if (this.options.backend === 'worker') {
+        await this._initializeWorker();
+      } else if (this.options.wasmPaths && typeof this.options.wasmPaths === 'string') {
         ort.env.wasm.wasmPaths = this.options.wasmPaths;
         console.log(`📁 Using custom WASM paths: ${this.options.wasmPaths}`);
       } else {
@@ -118,6 +162,18 @@ class ONNXWebFramework {
 
   /**
    * 加载模型
+   *
+   * 加载进度同时传给 sessionOptions.onProgress 和 'progress' 事件监听器（见 on()）
+   *
+   * @param {string} name - 模型名称
+   * @param {string | Uint8Array | ArrayBuffer} modelSource - 模型 URL 或模型数据
+   * @param {Object} [sessionOptions] - Session 配置选项
+   * @param {(progress: {modelName: string} & import('./model-cache.js').ModelLoadProgress) => void} [sessionOptions.onProgress] - 加载进度回调
+   *
+   * @example
+   * await framework.loadModel('model', '/models/model.onnx', {
+   *   onProgress: ({ phase, loaded, total, eta }) => console.log(phase, loaded, total, eta)
+   * });
    */
   async loadModel(name, modelSource, sessionOptions = {}) {
     if (!this.isInitialized) {
@@ -126,25 +182,28 @@ class ONNXWebFramework {
 
     console.log(`📦 Loading model '${name}'...`);
 
+    const { onProgress = null, ...ortOptions } = sessionOptions;
+    const reportProgress = (progress) => {
+      const event = { modelName: name, ...progress };
+      onProgress?.(event);
+      this._emit('progress', event);
+    };
+
     try {
       // 获取模型数据
       let modelArray;
+      let modelUrl = null;
       let modelFormat = 'unknown';
 
       if (typeof modelSource === 'string') {
-        // 优先尝试ORT格式
-        const ortSource = modelSource.replace(/\.onnx$/, '.ort');
-
-        try {
-          modelArray = await this.modelCache.getModel(ortSource);
-          modelFormat = 'ort';
-          console.log(`✅ Using ORT format model: ${ortSource}`);
-        } catch (ortError) {
-          // 回退到ONNX格式
-          console.log(`⚠️  ORT format not available, using ONNX format`);
-          modelArray = await this.modelCache.getModel(modelSource);
-          modelFormat = 'onnx';
-        }
+        // 优先尝试ORT格式，不可用时回退到ONNX格式
+        const model = await this.modelCache.fetchModel(modelSource, {
+          cache: this.options.enableCache,
+          onProgress: reportProgress
+        });
+        modelArray = model.data;
+        modelUrl = model.url;
+        modelFormat = model.format;
       } else if (modelSource instanceof Uint8Array || modelSource instanceof ArrayBuffer) {
         modelArray = modelSource;
         modelFormat = 'array';
@@ -152,15 +211,29 @@ class ONNXWebFramework {
         throw new Error('Invalid model source. Must be URL, Uint8Array, or ArrayBuffer.');
       }
 
-      // 在主线程加载模型
-      console.log('⚠️  Loading model in main thread (UI may be blocked during inference)');
       const finalOptions = {
-        executionProviders: sessionOptions.executionProviders || this.options.executionProviders,
-        enableProfiling: sessionOptions.enableProfiling || this.options.enableProfiling,
-        ...sessionOptions
+        executionProviders: ortOptions.executionProviders || this.options.executionProviders,
+        enableProfiling: ortOptions.enableProfiling || this.options.enableProfiling,
+        ...ortOptions
       };
 
-      const session = await ort.InferenceSession.create(modelArray, finalOptions);
+      const size = modelArray.byteLength;
+      reportProgress({ url: modelUrl, phase: 'creating-session', loaded: size, total: size, eta: 0 });
+
+      let session;
+      if (this.options.backend === 'worker') {
+        // 从 URL 下载的数据直接转移给 Worker，调用方传入的 buffer 复制一份
+        const info = await this.workerProxy.loadModel(name, modelArray, {
+          ...finalOptions,
+          transfer: typeof modelSource === 'string'
+        });
+        session = new WorkerSession(this.workerProxy, info, ort);
+      } else {
+        // 在主线程加载模型
+        console.log('⚠️  Loading model in main thread (UI may be blocked during inference)');
+        session = await ort.InferenceSession.create(modelArray, finalOptions);
+      }
+      const { inputMetadata, outputMetadata } = readModelMetadata(session, modelArray);
 
       // 保存模型信息
       this.models.set(name, {
@@ -168,7 +241,9 @@ class ONNXWebFramework {
         modelFormat,
         modelPath: modelSource,
         inputNames: session.inputNames,
-        outputNames: session.outputNames
+        outputNames: session.outputNames,
+        inputMetadata,
+        outputMetadata
       });
 
       console.log(`✅ Model '${name}' loaded successfully (${modelFormat})`);
@@ -176,7 +251,9 @@ class ONNXWebFramework {
         modelName: name,
         loaded: true,
         inputNames: session.inputNames,
-        outputNames: session.outputNames
+        outputNames: session.outputNames,
+        inputMetadata,
+        outputMetadata
       };
 
     } catch (error) {
@@ -187,6 +264,8 @@ class ONNXWebFramework {
 
   /**
    * 执行推理
+   *
+   * 启用 validateFeeds 时先按模型元数据校验输入，不匹配时抛出 FeedValidationError
    */
   async run(modelName, feeds) {
     if (!this.isInitialized) {
@@ -198,6 +277,10 @@ class ONNXWebFramework {
       throw new Error(`Model '${modelName}' not loaded`);
     }
 
+    if (this.options.validateFeeds) {
+      validateFeeds(modelName, feeds, model.inputMetadata);
+    }
+
     try {
       // 在主线程执行推理
       const result = await model.session.run(feeds);
@@ -268,10 +351,60 @@ class ONNXWebFramework {
     }
   }
 
+  /**
+   * 流式自回归文本生成（GPT-2、Phi、Qwen、T5 decoder 等 decoder 模型）
+   *
+   * 自动管理 past_key_values 输入输出，每生成一个 token 产出新增的文本片段
+   *
+   * @param {string} modelName - 模型名称
+   * @param {import('./tokenizer.js').ITokenizer} tokenizer - 分词器
+   * @param {string|number[]} prompt - 提示文本或 token IDs
+   * @param {object} [options] - 生成选项
+   * @param {number} [options.maxNewTokens=128] - 最多生成的 token 数
+   * @param {boolean} [options.doSample=false] - 是否采样，false 为贪心解码
+   * @param {number} [options.temperature=1.0] - 采样温度
+   * @param {number} [options.topK=0] - top-k 采样，0 表示不限制
+   * @param {number} [options.topP=1.0] - top-p（nucleus）采样
+   * @param {number} [options.repetitionPenalty=1.0] - 重复惩罚系数
+   * @param {Array<number|string>} [options.stopTokens] - 结束 token（id 或 token 字符串），默认使用 eos token
+   * @param {number} [options.numHeads] - KV 头数（模型元数据不含 past_key_values 形状时必填）
+   * @param {number} [options.headDim] - 每个头的维度（同上）
+   * @param {Record<string, object>} [options.extraFeeds] - 每一步附加的输入，如 encoder_hidden_states
+   * @param {AbortSignal} [options.signal] - 中止后在下一步之前停止生成，并抛出 AbortError
+   * @returns {AsyncGenerator<string, {text: string, tokenIds: number[], finishReason: 'stop'|'length'}>}
+   *
+   * @example
+   * for await (const text of framework.generate('gpt2', tokenizer, 'Once upon a time', { maxNewTokens: 50 })) {
+   *   output.textContent += text;
+   * }
+   */
+  async *generate(modelName, tokenizer, prompt, options = {}) {
+    if (!this.isInitialized) {
+      throw new Error('Framework not initialized. Call initialize() first.');
+    }
+
+    const model = this.models.get(modelName);
+    if (!model) {
+      throw new Error(`Model '${modelName}' not loaded`);
+    }
+    if (!tokenizer) {
+      throw new Error('tokenizer is required');
+    }
+
+    console.log(`✍️  Generating with model '${modelName}'...`);
+
+    const result = yield* generateText(model.session, ort, tokenizer, prompt, options);
+
+    console.log(`✅ Generation finished (${result.tokenIds.length} tokens, ${result.finishReason})`);
+    return result;
+  }
+
   /**
    * 预处理输入数据
+   *
+   * @param {object} model - this.models 中的模型信息，按 inputMetadata 逐个生成输入
    */
-  async preprocessInput(model, rawData, preprocessOptions) {
+  async preprocessInput(model, rawData, preprocessOptions = {}) {
     const processed = {};
 
     for (const [inputName, inputMeta] of Object.entries(model.inputMetadata)) {
@@ -282,9 +415,11 @@ class ONNXWebFramework {
         inputTensor = await this.preprocessImage(rawData, inputMeta, preprocessOptions);
       } else if (Array.isArray(rawData) || rawData instanceof Float32Array) {
         // 数组数据
+        // 符号维度（如 'batch_size'）无法直接使用，此时按一维数据处理
+        const staticShape = inputMeta.shape?.every(dim => typeof dim === 'number') ? inputMeta.shape : null;
         inputTensor = {
           data: rawData,
-          shape: preprocessOptions.resize || inputMeta.shape || [1, rawData.length]
+          shape: preprocessOptions.resize || staticShape || [1, rawData.length]
         };
       } else if (typeof rawData === 'object' && rawData[inputName]) {
         // 已经是处理过的对象
@@ -345,7 +480,7 @@ class ONNXWebFramework {
   }
 
   /**
-   * 获取模型信息
+   * 获取模型信息，包含 inputMetadata / outputMetadata（每个输入输出的元素类型和形状）
    */
   getModelInfo(modelName) {
     return this.models.get(modelName);
@@ -431,19 +566,102 @@ class ONNXWebFramework {
     console.log(`🗑️  Postprocessor unregistered for '${modelName}'`);
   }
 
+  /**
+   * 注册事件监听器
+   *
+   * 事件：
+   * - 'progress'：模型加载进度 {modelName, url, phase, loaded, total, eta}，
+   *   phase 为 'cache-hit' | 'downloading' | 'caching' | 'creating-session'
+   *
+   * @param {string} eventName - 事件名称
+   * @param {function} listener - 监听函数
+   * @returns {() => void} 取消注册的函数
+   *
+   * @example
+   * const off = framework.on('progress', ({ modelName, phase, loaded, total }) => {
+   *   console.log(modelName, phase, total ? `${(loaded / total * 100).toFixed(1)}%` : loaded);
+   * });
+   */
+  on(eventName, listener) {
+    if (!this.listeners.has(eventName)) {
+      this.listeners.set(eventName, new Set());
+    }
+    this.listeners.get(eventName).add(listener);
+    return () => this.off(eventName, listener);
+  }
+
+  /**
+   * 取消注册事件监听器
+   * @param {string} eventName - 事件名称
+   * @param {function} listener - 监听函数
+   */
+  off(eventName, listener) {
+    this.listeners.get(eventName)?.delete(listener);
+  }
+
+  /**
+   * 触发事件，监听器抛出的错误不影响加载流程
+   * @private
+   */
+  _emit(eventName, data) {
+    for (const listener of this.listeners.get(eventName) || []) {
+      try {
+        listener(data);
+      } catch (error) {
+        console.warn(`⚠️  '${eventName}' listener failed:`, error);
+      }
+    }
+  }
+
+  /**
+   * 创建 Worker 后端的代理并初始化 Worker 环境
+   * @private
+   */
+  async _initializeWorker() {
+    const { worker, workerUrl, workerOptions, supervisor } = this.options;
+    if (!worker && !workerUrl) {
+      throw new Error("backend 'worker' requires workerUrl or worker");
+    }
+    // Worker 实例崩溃后无法重新创建，supervisor 需要 workerUrl 或工厂函数
+    if (supervisor && worker && typeof worker !== 'function') {
+      throw new Error('supervisor requires workerUrl or a worker factory function, not a Worker instance');
+    }
+
+    // 配置了 supervisor 时传入工厂函数，Worker 崩溃后可以重新创建
+    const createWorker = () => new Worker(workerUrl, workerOptions);
+    const source = worker || (supervisor ? createWorker : createWorker());
+    this.workerProxy = createOnnxWorkerProxy(source, supervisor ? { supervisor } : {});
+
+    await this.workerProxy.initialize({
+      wasmPaths: this.options.wasmPaths,
+      numThreads: this.options.numThreads,
+      enableProfiling: this.options.enableProfiling,
+      executionProviders: this.options.executionProviders
+    });
+    console.log('✅ Worker backend initialized');
+  }
+
   /**
    * 清理所有资源
    */
   async dispose() {
-    // 清理Worker
-    if (this.workerManager) {
-      await this.workerManager.dispose();
-      this.workerManager = null;
+    // 释放模型会话
+    for (const [modelName, model] of this.models.entries()) {
+      try {
+        await model.session.release();
+      } catch (error) {
+        console.warn(`⚠️  Failed to release model '${modelName}':`, error);
+      }
     }
-
-    // 清理模型
     this.models.clear();
 
+    // 清理Worker
+    if (this.workerProxy) {
+      await this.workerProxy.dispose();
+      this.workerProxy = null;
+    }
+
+    this.isInitialized = false;
     console.log('🧹 ONNX Web Framework disposed');
   }
 }
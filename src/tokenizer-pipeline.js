@@ -0,0 +1,1166 @@
+/**
+ * Tokenizer 处理流水线
+ *
+ * 实现 HuggingFace tokenizer.json 中 normalizer / pre_tokenizer /
+ * post_processor / decoder 四个阶段的常用组件，按配置组合使用
+ */
+
+// ============ 公共工具 ============
+
+/**
+ * 构建字节 -> 可见 Unicode 字符的映射（GPT-2 bytes_to_unicode）
+ *
+ * 可打印字节映射到自身，其余字节顺延映射到 U+0100 之后，
+ * 保证每个字节都对应一个非空白、非控制字符
+ * @returns {string[]} 下标为字节值
+ */
+function bytesToUnicode() {
+  const bs = [];
+  for (let b = 0x21; b <= 0x7e; b++) bs.push(b);
+  for (let b = 0xa1; b <= 0xac; b++) bs.push(b);
+  for (let b = 0xae; b <= 0xff; b++) bs.push(b);
+
+  const byteEncoder = new Array(256);
+  for (const b of bs) {
+    byteEncoder[b] = String.fromCharCode(b);
+  }
+
+  let n = 0;
+  for (let b = 0; b < 256; b++) {
+    if (byteEncoder[b] === undefined) {
+      byteEncoder[b] = String.fromCharCode(256 + n);
+      n++;
+    }
+  }
+
+  return byteEncoder;
+}
+
+const BYTE_ENCODER = bytesToUnicode();
+const BYTE_DECODER = new Map(BYTE_ENCODER.map((char, byte) => [char, byte]));
+
+/**
+ * GPT-2 字节级预分词正则（与 HuggingFace ByteLevel pre_tokenizer 一致）
+ */
+const BYTE_LEVEL_SPLIT_REGEX = /'s|'t|'re|'ve|'m|'ll|'d| ?\p{L}+| ?\p{N}+| ?[^\s\p{L}\p{N}]+|\s+(?!\S)|\s+/gu;
+
+const BYTE_TOKEN_REGEX = /^<0x([0-9A-Fa-f]{2})>$/;
+
+const textEncoder = new TextEncoder();
+const textDecoder = new TextDecoder('utf-8');
+
+/**
+ * 字节转为字节回退 token（如 0x0A -> "<0x0A>"）
+ * @param {number} byte
+ * @returns {string}
+ */
+export function byteToToken(byte) {
+  return `<0x${byte.toString(16).toUpperCase().padStart(2, '0')}>`;
+}
+
+/**
+ * 判断是否为 CJK 统一表意文字（BERT 会在其两侧加空格，按字切分）
+ * @param {number} cp - Unicode 码点
+ * @returns {boolean}
+ */
+function isChineseChar(cp) {
+  return (cp >= 0x4e00 && cp <= 0x9fff) ||
+    (cp >= 0x3400 && cp <= 0x4dbf) ||
+    (cp >= 0x20000 && cp <= 0x2a6df) ||
+    (cp >= 0x2a700 && cp <= 0x2b73f) ||
+    (cp >= 0x2b740 && cp <= 0x2b81f) ||
+    (cp >= 0x2b820 && cp <= 0x2ceaf) ||
+    (cp >= 0xf900 && cp <= 0xfaff) ||
+    (cp >= 0x2f800 && cp <= 0x2fa1f);
+}
+
+/**
+ * 判断是否为标点（ASCII 非字母数字符号也视为标点，与 BERT 一致）
+ * @param {string} char
+ * @returns {boolean}
+ */
+function isPunctuation(char) {
+  const cp = char.codePointAt(0);
+  if ((cp >= 33 && cp <= 47) || (cp >= 58 && cp <= 64) ||
+      (cp >= 91 && cp <= 96) || (cp >= 123 && cp <= 126)) {
+    return true;
+  }
+  return /\p{P}/u.test(char);
+}
+
+/**
+ * 判断是否为控制字符（\t \n \r 按空白处理）
+ * @param {string} char
+ * @returns {boolean}
+ */
+function isControl(char) {
+  if (char === '\t' || char === '\n' || char === '\r') return false;
+  return /[\p{Cc}\p{Cf}]/u.test(char);
+}
+
+/**
+ * 将 tokenizer.json 中的 pattern（{String} 或 {Regex}）转换为全局正则
+ *
+ * Rust 正则的 (?i:...) 内联忽略大小写在 JS 中不可用，展开为字符类
+ * @param {{String?: string, Regex?: string}} pattern
+ * @returns {RegExp}
+ */
+function createPattern(pattern) {
+  if (pattern.String !== undefined) {
+    return new RegExp(pattern.String.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'gu');
+  }
+
+  const source = pattern.Regex.replace(/\(\?i:([^)]*)\)/g, (_, body) =>
+    '(?:' + body.replace(/[a-zA-Z]/g, c => `[${c.toLowerCase()}${c.toUpperCase()}]`) + ')'
+  );
+  return new RegExp(source, 'gu');
+}
+
+/**
+ * 按正则把文本切分为区间，并标记是否为匹配部分
+ * @param {string} text
+ * @param {RegExp} regex - 带 g 标志的正则
+ * @param {boolean} invert - 是否把非匹配部分视为分隔符
+ * @returns {{start: number, end: number, isMatch: boolean}[]}
+ */
+function splitByRegex(text, regex, invert = false) {
+  const segments = [];
+  let last = 0;
+
+  for (const match of text.matchAll(regex)) {
+    if (match[0] === '') continue;
+    if (match.index > last) {
+      segments.push({ start: last, end: match.index, isMatch: invert });
+    }
+    segments.push({ start: match.index, end: match.index + match[0].length, isMatch: !invert });
+    last = match.index + match[0].length;
+  }
+  if (last < text.length) {
+    segments.push({ start: last, end: text.length, isMatch: invert });
+  }
+
+  return segments;
+}
+
+/**
+ * 按字符（码点）切分为区间，相邻的非匹配字符合并为一段，匹配字符保持单字符
+ * @param {string} text
+ * @param {(char: string) => boolean} predicate
+ * @returns {{start: number, end: number, isMatch: boolean}[]}
+ */
+function splitByChar(text, predicate) {
+  const segments = [];
+  let index = 0;
+
+  for (const char of text) {
+    const isMatch = predicate(char);
+    const last = segments[segments.length - 1];
+    if (last && !last.isMatch && !isMatch) {
+      last.end += char.length;
+    } else {
+      segments.push({ start: index, end: index + char.length, isMatch });
+    }
+    index += char.length;
+  }
+
+  return segments;
+}
+
+/**
+ * 按 HuggingFace SplitDelimiterBehavior 组合区间
+ * @param {{start: number, end: number, isMatch: boolean}[]} segments
+ * @param {'Removed'|'Isolated'|'MergedWithPrevious'|'MergedWithNext'|'Contiguous'} behavior
+ * @returns {Array<[number, number]>}
+ */
+function applySplitBehavior(segments, behavior) {
+  const result = [];
+
+  switch (behavior) {
+    case 'Removed':
+      for (const s of segments) {
+        if (!s.isMatch) result.push([s.start, s.end]);
+      }
+      break;
+
+    case 'MergedWithPrevious':
+      segments.forEach((s, i) => {
+        if (s.isMatch && i > 0 && !segments[i - 1].isMatch) {
+          result[result.length - 1][1] = s.end;
+        } else {
+          result.push([s.start, s.end]);
+        }
+      });
+      break;
+
+    case 'MergedWithNext': {
+      let pending = null;
+      for (const s of segments) {
+        if (s.isMatch) {
+          if (pending) result.push(pending);
+          pending = [s.start, s.end];
+        } else {
+          result.push([pending ? pending[0] : s.start, s.end]);
+          pending = null;
+        }
+      }
+      if (pending) result.push(pending);
+      break;
+    }
+
+    case 'Contiguous':
+      segments.forEach((s, i) => {
+        if (s.isMatch && i > 0 && segments[i - 1].isMatch) {
+          result[result.length - 1][1] = s.end;
+        } else {
+          result.push([s.start, s.end]);
+        }
+      });
+      break;
+
+    case 'Isolated':
+    default:
+      for (const s of segments) result.push([s.start, s.end]);
+      break;
+  }
+
+  return result.filter(([start, end]) => end > start);
+}
+
+/**
+ * 将连续的 <0xXX> 字节回退 token 按 UTF-8 解码为文本，其余 token 原样保留
+ * @param {string[]} tokens
+ * @returns {string[]}
+ */
+function decodeByteTokens(tokens) {
+  const result = [];
+  let bytes = [];
+
+  for (const token of tokens) {
+    const match = BYTE_TOKEN_REGEX.exec(token);
+    if (match) {
+      bytes.push(parseInt(match[1], 16));
+      continue;
+    }
+    if (bytes.length > 0) {
+      result.push(textDecoder.decode(new Uint8Array(bytes)));
+      bytes = [];
+    }
+    result.push(token);
+  }
+  if (bytes.length > 0) {
+    result.push(textDecoder.decode(new Uint8Array(bytes)));
+  }
+
+  return result;
+}
+
+// ============ 对齐字符串 ============
+
+/**
+ * 带对齐信息的字符串（对应 HuggingFace 的 NormalizedString）
+ *
+ * text 的每个 UTF-16 码元都记录其在原始文本中的 [start, end) 区间，
+ * 规范化、预分词得到的片段因此都能映射回原文，用于计算 token offsets
+ */
+export class NormalizedString {
+  /**
+   * @param {string} text
+   * @param {Array<[number, number]>|null} [alignments] - 默认与原文逐码元对应
+   */
+  constructor(text, alignments = null) {
+    this.text = text;
+    this.alignments = alignments || Array.from({ length: text.length }, (_, i) => [i, i + 1]);
+  }
+
+  get length() {
+    return this.text.length;
+  }
+
+  /**
+   * 片段 [start, end) 在原始文本中的区间
+   * @param {number} start
+   * @param {number} end
+   * @returns {[number, number]}
+   */
+  offsets(start = 0, end = this.text.length) {
+    if (start >= end) {
+      const position = start < this.alignments.length
+        ? this.alignments[start][0]
+        : (this.alignments[this.alignments.length - 1]?.[1] ?? 0);
+      return [position, position];
+    }
+    return [this.alignments[start][0], this.alignments[end - 1][1]];
+  }
+
+  /**
+   * @param {number} start
+   * @param {number} [end]
+   * @returns {NormalizedString}
+   */
+  slice(start, end = this.text.length) {
+    return new NormalizedString(this.text.slice(start, end), this.alignments.slice(start, end));
+  }
+
+  /**
+   * 逐字符（码点）变换，输出的每个码元继承源字符的区间
+   * @param {(char: string) => string} fn
+   * @returns {NormalizedString}
+   */
+  mapChars(fn) {
+    let text = '';
+    const alignments = [];
+    let index = 0;
+
+    for (const char of this.text) {
+      const span = this.offsets(index, index + char.length);
+      const mapped = fn(char);
+      text += mapped;
+      for (let i = 0; i < mapped.length; i++) alignments.push(span);
+      index += char.length;
+    }
+
+    return new NormalizedString(text, alignments);
+  }
+
+  /**
+   * 正则替换，替换内容继承整个匹配的区间
+   * @param {RegExp} regex - 带 g 标志的正则
+   * @param {string} content
+   * @returns {NormalizedString}
+   */
+  replace(regex, content) {
+    let text = '';
+    const alignments = [];
+    const keep = (start, end) => {
+      text += this.text.slice(start, end);
+      for (let i = start; i < end; i++) alignments.push(this.alignments[i]);
+    };
+
+    let last = 0;
+    for (const match of this.text.matchAll(regex)) {
+      if (match[0] === '') continue;
+      const end = match.index + match[0].length;
+      keep(last, match.index);
+
+      const span = this.offsets(match.index, end);
+      text += content;
+      for (let i = 0; i < content.length; i++) alignments.push(span);
+      last = end;
+    }
+    keep(last, this.text.length);
+
+    return new NormalizedString(text, alignments);
+  }
+
+  /**
+   * 在开头插入文本，插入部分对齐到首字符（与 HuggingFace 一致）；空串保持不变
+   * @param {string} prefix
+   * @returns {NormalizedString}
+   */
+  prepend(prefix) {
+    if (!this.text || !prefix) return this;
+    const span = this.alignments[0];
+    return new NormalizedString(prefix + this.text, [...new Array(prefix.length).fill(span), ...this.alignments]);
+  }
+
+  /**
+   * Unicode 规范化
+   *
+   * 以"基字符 + 组合符号"为单位规范化，结果继承整个单位的区间；
+   * 分段结果与整体规范化不一致时（极少见）退化为整体对齐到原区间
+   * @param {'NFC'|'NFD'|'NFKC'|'NFKD'} form
+   * @returns {NormalizedString}
+   */
+  normalizeUnicode(form) {
+    const expected = this.text.normalize(form);
+    if (expected === this.text) return this;
+
+    let text = '';
+    const alignments = [];
+    for (const match of this.text.matchAll(/\P{M}\p{M}*|\p{M}+/gu)) {
+      const span = this.offsets(match.index, match.index + match[0].length);
+      const normalized = match[0].normalize(form);
+      text += normalized;
+      for (let i = 0; i < normalized.length; i++) alignments.push(span);
+    }
+
+    if (text !== expected) {
+      return new NormalizedString(expected, new Array(expected.length).fill(this.offsets()));
+    }
+    return new NormalizedString(text, alignments);
+  }
+}
+
+// ============ Normalizers ============
+
+/**
+ * 规范化器基类：子类实现 normalizeString()，在对齐字符串上变换以保留 offsets
+ */
+class Normalizer {
+  /**
+   * 规范化纯文本
+   * @param {string} text
+   * @returns {string}
+   */
+  normalize(text) {
+    return this.normalizeString(new NormalizedString(text)).text;
+  }
+
+  /**
+   * @param {NormalizedString} normalized
+   * @returns {NormalizedString}
+   */
+  normalizeString(normalized) {
+    throw new Error('normalizeString() must be implemented by subclass');
+  }
+}
+
+/**
+ * Unicode 规范化（NFC / NFD / NFKC / NFKD）
+ *
+ * SentencePiece 的 Precompiled 字符映射近似为 NFKC
+ */
+class UnicodeNormalizer extends Normalizer {
+  constructor(form) {
+    super();
+    this.form = form;
+  }
+
+  normalizeString(normalized) {
+    return normalized.normalizeUnicode(this.form);
+  }
+}
+
+/**
+ * 逐字符小写（与 HuggingFace tokenizers 一致，不处理词尾 σ/ς 等上下文规则）
+ */
+class LowercaseNormalizer extends Normalizer {
+  normalizeString(normalized) {
+    return normalized.mapChars(char => char.toLowerCase());
+  }
+}
+
+/**
+ * 移除组合附加符号（通常放在 NFD 之后）
+ */
+class StripAccentsNormalizer extends Normalizer {
+  normalizeString(normalized) {
+    return normalized.replace(/\p{Mn}/gu, '');
+  }
+}
+
+/**
+ * BERT 规范化：清理控制字符、CJK 字符两侧加空格、去重音、小写
+ */
+class BertNormalizer extends Normalizer {
+  constructor(config) {
+    super();
+    this.cleanText = config.clean_text ?? true;
+    this.handleChineseChars = config.handle_chinese_chars ?? true;
+    this.lowercase = config.lowercase ?? true;
+    this.stripAccents = config.strip_accents ?? this.lowercase;
+  }
+
+  normalizeString(normalized) {
+    let result = normalized.mapChars(char => {
+      const cp = char.codePointAt(0);
+
+      if (this.cleanText) {
+        if (cp === 0 || cp === 0xfffd || isControl(char)) return '';
+        if (/\s/u.test(char)) return ' ';
+      }
+
+      return this.handleChineseChars && isChineseChar(cp) ? ` ${char} ` : char;
+    });
+
+    if (this.stripAccents) {
+      result = result.normalizeUnicode('NFD').replace(/\p{Mn}/gu, '');
+    }
+    if (this.lowercase) {
+      result = result.mapChars(char => char.toLowerCase());
+    }
+
+    return result;
+  }
+}
+
+class ReplaceNormalizer extends Normalizer {
+  constructor(config) {
+    super();
+    this.regex = createPattern(config.pattern);
+    this.content = config.content;
+  }
+
+  normalizeString(normalized) {
+    return normalized.replace(this.regex, this.content);
+  }
+}
+
+class PrependNormalizer extends Normalizer {
+  constructor(config) {
+    super();
+    this.prepend = config.prepend;
+  }
+
+  normalizeString(normalized) {
+    return normalized.prepend(this.prepend);
+  }
+}
+
+class StripNormalizer extends Normalizer {
+  constructor(config) {
+    super();
+    this.stripLeft = config.strip_left ?? true;
+    this.stripRight = config.strip_right ?? true;
+  }
+
+  normalizeString(normalized) {
+    const { text } = normalized;
+    const start = this.stripLeft ? text.length - text.replace(/^\s+/u, '').length : 0;
+    const end = this.stripRight ? text.replace(/\s+$/u, '').length : text.length;
+    return normalized.slice(start, Math.max(start, end));
+  }
+}
+
+class SequenceNormalizer extends Normalizer {
+  constructor(normalizers) {
+    super();
+    this.normalizers = normalizers;
+  }
+
+  normalizeString(normalized) {
+    return this.normalizers.reduce((acc, n) => n.normalizeString(acc), normalized);
+  }
+}
+
+/**
+ * 根据 tokenizer.json 的 normalizer 配置创建规范化器
+ * @param {object|null} config
+ * @returns {{normalize: (text: string) => string, normalizeString: (normalized: NormalizedString) => NormalizedString} | null}
+ */
+export function createNormalizer(config) {
+  if (!config) return null;
+
+  switch (config.type) {
+    case 'NFC':
+    case 'NFD':
+    case 'NFKC':
+    case 'NFKD':
+      return new UnicodeNormalizer(config.type);
+    case 'Precompiled':
+      return new UnicodeNormalizer('NFKC');
+    case 'Lowercase':
+      return new LowercaseNormalizer();
+    case 'StripAccents':
+      return new StripAccentsNormalizer();
+    case 'BertNormalizer':
+      return new BertNormalizer(config);
+    case 'Replace':
+      return new ReplaceNormalizer(config);
+    case 'Prepend':
+      return new PrependNormalizer(config);
+    case 'Strip':
+      return new StripNormalizer(config);
+    case 'Sequence':
+      return new SequenceNormalizer(config.normalizers.map(createNormalizer).filter(Boolean));
+    default:
+      console.warn(`⚠️  Unsupported normalizer '${config.type}', skipping`);
+      return null;
+  }
+}
+
+// ============ Pre-tokenizers ============
+
+/**
+ * 预分词器基类：对每个片段调用 split()，结果展平
+ */
+class PreTokenizer {
+  /**
+   * @param {NormalizedString[]} pieces
+   * @returns {NormalizedString[]}
+   */
+  preTokenize(pieces) {
+    return pieces.flatMap(piece => this.split(piece));
+  }
+
+  /**
+   * @param {NormalizedString} piece
+   * @returns {NormalizedString[]}
+   */
+  split(piece) {
+    throw new Error('split() must be implemented by subclass');
+  }
+}
+
+/**
+ * 按区间切出子片段
+ * @param {NormalizedString} piece
+ * @param {Array<[number, number]>} ranges
+ * @returns {NormalizedString[]}
+ */
+function sliceRanges(piece, ranges) {
+  return ranges.map(([start, end]) => piece.slice(start, end));
+}
+
+/**
+ * 正则的所有匹配区间
+ * @param {string} text
+ * @param {RegExp} regex - 带 g 标志的正则
+ * @returns {Array<[number, number]>}
+ */
+function matchRanges(text, regex) {
+  return Array.from(text.matchAll(regex), match => [match.index, match.index + match[0].length]);
+}
+
+/**
+ * BERT 预分词：按空白切分，标点单独成词
+ */
+class BertPreTokenizer extends PreTokenizer {
+  split(piece) {
+    const segments = splitByChar(piece.text, char => isPunctuation(char) || /\s/u.test(char));
+    const ranges = applySplitBehavior(segments, 'Isolated')
+      .filter(([start, end]) => !/^\s+$/u.test(piece.text.slice(start, end)));
+    return sliceRanges(piece, ranges);
+  }
+}
+
+class WhitespacePreTokenizer extends PreTokenizer {
+  split(piece) {
+    return sliceRanges(piece, matchRanges(piece.text, /[\p{L}\p{N}\p{M}\p{Pc}]+|[^\p{L}\p{N}\p{M}\p{Pc}\s]+/gu));
+  }
+}
+
+class WhitespaceSplitPreTokenizer extends PreTokenizer {
+  split(piece) {
+    return sliceRanges(piece, matchRanges(piece.text, /\S+/gu));
+  }
+}
+
+class PunctuationPreTokenizer extends PreTokenizer {
+  constructor(config) {
+    super();
+    this.behavior = config.behavior ?? 'Isolated';
+  }
+
+  split(piece) {
+    return sliceRanges(piece, applySplitBehavior(splitByChar(piece.text, isPunctuation), this.behavior));
+  }
+}
+
+class DigitsPreTokenizer extends PreTokenizer {
+  constructor(config) {
+    super();
+    this.individualDigits = config.individual_digits ?? false;
+  }
+
+  split(piece) {
+    const segments = splitByChar(piece.text, char => /\p{N}/u.test(char));
+    return sliceRanges(piece, applySplitBehavior(segments, this.individualDigits ? 'Isolated' : 'Contiguous'));
+  }
+}
+
+/**
+ * 字节级预分词：GPT-2 正则切分，并将 UTF-8 字节映射为可见字符
+ */
+class ByteLevelPreTokenizer extends PreTokenizer {
+  constructor(config) {
+    super();
+    this.addPrefixSpace = config.add_prefix_space ?? true;
+    this.useRegex = config.use_regex ?? true;
+  }
+
+  split(piece) {
+    if (this.addPrefixSpace && !piece.text.startsWith(' ')) {
+      piece = piece.prepend(' ');
+    }
+
+    const ranges = this.useRegex ? matchRanges(piece.text, BYTE_LEVEL_SPLIT_REGEX) : [[0, piece.length]];
+    // 多字节字符映射出的每个字节字符都对齐到原字符
+    return sliceRanges(piece, ranges).map(word => word.mapChars(char => {
+      let mapped = '';
+      for (const byte of textEncoder.encode(char)) {
+        mapped += BYTE_ENCODER[byte];
+      }
+      return mapped;
+    }));
+  }
+}
+
+/**
+ * Metaspace 预分词：空格替换为 "▁"，按需添加前缀并在 "▁" 前切分
+ */
+class MetaspacePreTokenizer extends PreTokenizer {
+  constructor(config) {
+    super();
+    this.replacement = config.replacement ?? '▁';
+    this.prependScheme = config.prepend_scheme ??
+      (config.add_prefix_space === false ? 'never' : 'always');
+    this.splitOnReplacement = config.split ?? true;
+  }
+
+  split(piece) {
+    let replaced = piece.mapChars(char => (char === ' ' ? this.replacement : char));
+    // 'first' 只给原文开头的片段加前缀：added token 之后的片段各自单独预分词，不能按片段序号判断
+    const prepend = this.prependScheme === 'always' ||
+      (this.prependScheme === 'first' && piece.offsets()[0] === 0);
+    if (prepend && !replaced.text.startsWith(this.replacement)) {
+      replaced = replaced.prepend(this.replacement);
+    }
+
+    if (!this.splitOnReplacement) {
+      return replaced.text ? [replaced] : [];
+    }
+
+    // 每个 "▁" 与其后的字符归为同一个词
+    const segments = splitByChar(replaced.text, char => char === this.replacement);
+    return sliceRanges(replaced, applySplitBehavior(segments, 'MergedWithNext'));
+  }
+}
+
+/**
+ * 按字符串或正则切分（Llama 3 / Qwen 等使用自定义正则）
+ */
+class SplitPreTokenizer extends PreTokenizer {
+  constructor(config) {
+    super();
+    this.regex = createPattern(config.pattern);
+    this.behavior = config.behavior ?? 'Isolated';
+    this.invert = config.invert ?? false;
+  }
+
+  split(piece) {
+    return sliceRanges(piece, applySplitBehavior(splitByRegex(piece.text, this.regex, this.invert), this.behavior));
+  }
+}
+
+class SequencePreTokenizer extends PreTokenizer {
+  constructor(preTokenizers) {
+    super();
+    this.preTokenizers = preTokenizers;
+  }
+
+  preTokenize(pieces) {
+    return this.preTokenizers.reduce((acc, p) => p.preTokenize(acc), pieces);
+  }
+}
+
+/**
+ * 根据 tokenizer.json 的 pre_tokenizer 配置创建预分词器
+ * @param {object|null} config
+ * @returns {{preTokenize: (pieces: NormalizedString[]) => NormalizedString[]} | null}
+ */
+export function createPreTokenizer(config) {
+  if (!config) return null;
+
+  switch (config.type) {
+    case 'BertPreTokenizer':
+      return new BertPreTokenizer();
+    case 'Whitespace':
+      return new WhitespacePreTokenizer();
+    case 'WhitespaceSplit':
+      return new WhitespaceSplitPreTokenizer();
+    case 'Punctuation':
+      return new PunctuationPreTokenizer(config);
+    case 'Digits':
+      return new DigitsPreTokenizer(config);
+    case 'ByteLevel':
+      return new ByteLevelPreTokenizer(config);
+    case 'Metaspace':
+      return new MetaspacePreTokenizer(config);
+    case 'Split':
+      return new SplitPreTokenizer(config);
+    case 'Sequence':
+      return new SequencePreTokenizer(config.pretokenizers.map(createPreTokenizer).filter(Boolean));
+    default:
+      console.warn(`⚠️  Unsupported pre_tokenizer '${config.type}', skipping`);
+      return null;
+  }
+}
+
+// ============ Post-processors ============
+
+/**
+ * 模板后处理：按 single / pair 模板插入特殊 token 并设置 type id
+ *
+ * 输入编码结构为 {ids, tokens, offsets, wordIds}；插入的特殊 token
+ * offsets 为 [0, 0]、wordIds 为 null（与 HuggingFace 一致）
+ */
+class TemplateProcessor {
+  /**
+   * @param {Array} single - 单句模板
+   * @param {Array} pair - 句对模板
+   * @param {Record<string, {ids: number[], tokens: string[]}>} specialTokens
+   */
+  constructor(single, pair, specialTokens) {
+    this.single = single;
+    this.pair = pair;
+    this.specialTokens = specialTokens;
+    this.trimOffsets = false;
+  }
+
+  /**
+   * @param {SequenceEncoding} a - 第一句
+   * @param {SequenceEncoding | null} b - 第二句（可选）
+   * @returns {SequenceEncoding & {typeIds: number[]}}
+   */
+  process(a, b = null) {
+    const template = b ? this.pair : this.single;
+    const result = { ids: [], tokens: [], offsets: [], wordIds: [], typeIds: [] };
+
+    for (const piece of template) {
+      if (piece.Sequence) {
+        const source = piece.Sequence.id === 'A' ? a : b;
+        appendEncoding(result, source, piece.Sequence.type_id);
+      } else if (piece.SpecialToken) {
+        const special = this.specialTokens[piece.SpecialToken.id];
+        appendEncoding(result, {
+          ids: special.ids,
+          tokens: special.tokens,
+          offsets: special.ids.map(() => [0, 0]),
+          wordIds: special.ids.map(() => null)
+        }, piece.SpecialToken.type_id);
+      }
+    }
+
+    return result;
+  }
+}
+
+/**
+ * @typedef {object} SequenceEncoding
+ * @property {number[]} ids
+ * @property {string[]} tokens
+ * @property {Array<[number, number]>} offsets - 每个 token 在原文中的 [start, end) 区间
+ * @property {Array<number|null>} wordIds - 每个 token 所属的预分词序号，特殊 token 为 null
+ */
+
+/**
+ * 将编码追加到结果中，并设置 type id
+ * @param {SequenceEncoding & {typeIds: number[]}} result
+ * @param {SequenceEncoding} source
+ * @param {number} typeId
+ */
+function appendEncoding(result, source, typeId) {
+  result.ids.push(...source.ids);
+  result.tokens.push(...source.tokens);
+  result.offsets.push(...source.offsets);
+  result.wordIds.push(...source.wordIds);
+  result.typeIds.push(...source.ids.map(() => typeId));
+}
+
+/**
+ * 将 [token, id] 形式的特殊 token 转为模板项
+ */
+function specialTemplate(name, typeId = 0) {
+  return { SpecialToken: { id: name, type_id: typeId } };
+}
+
+function sequenceTemplate(id, typeId = 0) {
+  return { Sequence: { id, type_id: typeId } };
+}
+
+/**
+ * BertProcessing：[CLS] A [SEP] / [CLS] A [SEP] B [SEP]
+ */
+function createBertProcessor(config) {
+  const [sep, sepId] = config.sep;
+  const [cls, clsId] = config.cls;
+  return new TemplateProcessor(
+    [specialTemplate(cls), sequenceTemplate('A'), specialTemplate(sep)],
+    [specialTemplate(cls), sequenceTemplate('A'), specialTemplate(sep), sequenceTemplate('B', 1), specialTemplate(sep, 1)],
+    {
+      [cls]: { ids: [clsId], tokens: [cls] },
+      [sep]: { ids: [sepId], tokens: [sep] }
+    }
+  );
+}
+
+/**
+ * RobertaProcessing：<s> A </s> / <s> A </s> </s> B </s>（type id 全为 0）
+ */
+function createRobertaProcessor(config) {
+  const [sep, sepId] = config.sep;
+  const [cls, clsId] = config.cls;
+  const processor = new TemplateProcessor(
+    [specialTemplate(cls), sequenceTemplate('A'), specialTemplate(sep)],
+    [specialTemplate(cls), sequenceTemplate('A'), specialTemplate(sep), specialTemplate(sep), sequenceTemplate('B'), specialTemplate(sep)],
+    {
+      [cls]: { ids: [clsId], tokens: [cls] },
+      [sep]: { ids: [sepId], tokens: [sep] }
+    }
+  );
+  processor.trimOffsets = config.trim_offsets ?? true;
+  return processor;
+}
+
+/**
+ * 不插入特殊 token 的后处理（如 ByteLevel 仅调整 offsets）
+ *
+ * trimOffsets 为 true 时，tokenizer 会去掉 offsets 首尾覆盖的空格
+ */
+class PassthroughProcessor {
+  constructor(trimOffsets = false) {
+    this.trimOffsets = trimOffsets;
+  }
+
+  process(a, b = null) {
+    const result = { ids: [], tokens: [], offsets: [], wordIds: [], typeIds: [] };
+    appendEncoding(result, a, 0);
+    if (b) appendEncoding(result, b, 1);
+    return result;
+  }
+}
+
+class SequenceProcessor {
+  constructor(processors) {
+    // 只有模板类处理器会插入 token，取最后一个生效
+    this.processor = [...processors].reverse().find(p => !(p instanceof PassthroughProcessor)) ||
+      new PassthroughProcessor();
+    this.trimOffsets = processors.some(p => p.trimOffsets);
+  }
+
+  process(a, b = null) {
+    return this.processor.process(a, b);
+  }
+}
+
+/**
+ * 根据 tokenizer.json 的 post_processor 配置创建后处理器
+ * @param {object|null} config
+ * @returns {{process: Function} | null}
+ */
+export function createPostProcessor(config) {
+  if (!config) return null;
+
+  switch (config.type) {
+    case 'TemplateProcessing':
+      return new TemplateProcessor(config.single, config.pair, config.special_tokens || {});
+    case 'BertProcessing':
+      return createBertProcessor(config);
+    case 'RobertaProcessing':
+      return createRobertaProcessor(config);
+    case 'ByteLevel':
+      return new PassthroughProcessor(config.trim_offsets ?? true);
+    case 'Sequence':
+      return new SequenceProcessor(config.processors.map(createPostProcessor).filter(Boolean));
+    default:
+      console.warn(`⚠️  Unsupported post_processor '${config.type}', skipping`);
+      return null;
+  }
+}
+
+// ============ Decoders ============
+
+/**
+ * 解码器基类：decodeChain 对 token 列表逐级变换，decode 拼接为最终文本
+ */
+class Decoder {
+  /**
+   * @param {string[]} tokens
+   * @returns {string}
+   */
+  decode(tokens) {
+    return this.decodeChain(tokens).join('');
+  }
+
+  /**
+   * @param {string[]} tokens
+   * @returns {string[]}
+   */
+  decodeChain(tokens) {
+    throw new Error('decodeChain() must be implemented by subclass');
+  }
+}
+
+/**
+ * 字节级解码：还原为 UTF-8 字节后整体解码，避免多字节字符被截断
+ */
+class ByteLevelDecoder extends Decoder {
+  decodeChain(tokens) {
+    const bytes = [];
+    for (const char of tokens.join('')) {
+      const byte = BYTE_DECODER.get(char);
+      if (byte !== undefined) {
+        bytes.push(byte);
+      } else {
+        bytes.push(...textEncoder.encode(char));
+      }
+    }
+    return [textDecoder.decode(new Uint8Array(bytes))];
+  }
+}
+
+/**
+ * WordPiece 解码：合并 "##" 子词，其余 token 前加空格
+ */
+class WordPieceDecoder extends Decoder {
+  constructor(config) {
+    super();
+    this.prefix = config.prefix ?? '##';
+    this.cleanup = config.cleanup ?? true;
+  }
+
+  decode(tokens) {
+    // 与 transformers 的 clean_up_tokenization_spaces 一致，对整段文本做清理
+    const text = this.decodeChain(tokens).join('');
+    return this.cleanup ? cleanupTokenization(text) : text;
+  }
+
+  decodeChain(tokens) {
+    return tokens.map((token, i) => {
+      if (i > 0) {
+        token = token.startsWith(this.prefix) ? token.slice(this.prefix.length) : ' ' + token;
+      }
+      return token;
+    });
+  }
+}
+
+/**
+ * 清理分词产生的多余空格（与 HuggingFace cleanup 一致）
+ * @param {string} text
+ * @returns {string}
+ */
+function cleanupTokenization(text) {
+  return text
+    .replace(/ \./g, '.')
+    .replace(/ \?/g, '?')
+    .replace(/ !/g, '!')
+    .replace(/ ,/g, ',')
+    .replace(/ ' /g, '\'')
+    .replace(/ n't/g, 'n\'t')
+    .replace(/ 'm/g, '\'m')
+    .replace(/ do not/g, ' don\'t')
+    .replace(/ 's/g, '\'s')
+    .replace(/ 've/g, '\'ve')
+    .replace(/ 're/g, '\'re');
+}
+
+/**
+ * Metaspace 解码："▁" 还原为空格，并去掉首个 token 的前缀空格
+ */
+class MetaspaceDecoder extends Decoder {
+  constructor(config) {
+    super();
+    this.replacement = config.replacement ?? '▁';
+    this.prependScheme = config.prepend_scheme ??
+      (config.add_prefix_space === false ? 'never' : 'always');
+  }
+
+  decodeChain(tokens) {
+    return tokens.map((token, i) => {
+      token = token.split(this.replacement).join(' ');
+      if (i === 0 && this.prependScheme !== 'never' && token.startsWith(' ')) {
+        token = token.slice(1);
+      }
+      return token;
+    });
+  }
+}
+
+class ByteFallbackDecoder extends Decoder {
+  decodeChain(tokens) {
+    return decodeByteTokens(tokens);
+  }
+}
+
+class FuseDecoder extends Decoder {
+  decodeChain(tokens) {
+    return [tokens.join('')];
+  }
+}
+
+class StripDecoder extends Decoder {
+  constructor(config) {
+    super();
+    this.content = config.content;
+    this.start = config.start ?? 0;
+    this.stop = config.stop ?? 0;
+  }
+
+  decodeChain(tokens) {
+    return tokens.map(token => {
+      let start = 0;
+      for (let i = 0; i < this.start && token.startsWith(this.content, start); i++) {
+        start += this.content.length;
+      }
+      let end = token.length;
+      for (let i = 0; i < this.stop && end > start && token.slice(0, end).endsWith(this.content); i++) {
+        end -= this.content.length;
+      }
+      return token.slice(start, end);
+    });
+  }
+}
+
+class ReplaceDecoder extends Decoder {
+  constructor(config) {
+    super();
+    this.regex = createPattern(config.pattern);
+    this.content = config.content;
+  }
+
+  decodeChain(tokens) {
+    return tokens.map(token => token.replace(this.regex, () => this.content));
+  }
+}
+
+/**
+ * BPE 解码：词尾后缀（如 CLIP 的 "</w>"）还原为空格
+ */
+class BPEDecoder extends Decoder {
+  constructor(config) {
+    super();
+    this.suffix = config.suffix ?? '</w>';
+  }
+
+  decodeChain(tokens) {
+    return tokens.map((token, i) =>
+      token.split(this.suffix).join(i === tokens.length - 1 ? '' : ' ')
+    );
+  }
+}
+
+class SequenceDecoder extends Decoder {
+  constructor(decoders) {
+    super();
+    this.decoders = decoders;
+  }
+
+  decodeChain(tokens) {
+    return this.decoders.reduce((acc, d) => d.decodeChain(acc), tokens);
+  }
+}
+
+/**
+ * 根据 tokenizer.json 的 decoder 配置创建解码器
+ * @param {object|null} config
+ * @returns {{decode: (tokens: string[]) => string} | null}
+ */
+export function createDecoder(config) {
+  if (!config) return null;
+
+  switch (config.type) {
+    case 'ByteLevel':
+      return new ByteLevelDecoder();
+    case 'WordPiece':
+      return new WordPieceDecoder(config);
+    case 'Metaspace':
+      return new MetaspaceDecoder(config);
+    case 'ByteFallback':
+      return new ByteFallbackDecoder();
+    case 'Fuse':
+      return new FuseDecoder();
+    case 'Strip':
+      return new StripDecoder(config);
+    case 'Replace':
+      return new ReplaceDecoder(config);
+    case 'BPEDecoder':
+      return new BPEDecoder(config);
+    case 'Sequence':
+      return new SequenceDecoder(config.decoders.map(createDecoder).filter(Boolean));
+    default:
+      console.warn(`⚠️  Unsupported decoder '${config.type}', skipping`);
+      return null;
+  }
+}
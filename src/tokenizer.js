@@ -4,6 +4,33 @@
  * 支持从 URL 加载 tokenizer 配置，并提供统一的分词接口
  */
 
+import { TensorData } from './worker-types.js';
+import ModelCache from './model-cache.js';
+import {
+  createNormalizer,
+  createPreTokenizer,
+  createPostProcessor,
+  createDecoder,
+  byteToToken,
+  NormalizedString
+} from './tokenizer-pipeline.js';
+
+const textEncoder = new TextEncoder();
+
+/**
+ * encode() 的结果
+ *
+ * offsets 为 JS 字符串下标（UTF-16），text.slice(start, end) 即 token 对应的原文；
+ * 句对中第二句的 offsets 相对于第二句文本。特殊 token 的 offsets 为 [0, 0]、wordIds 为 null
+ * @typedef {object} Encoding
+ * @property {number[]} ids
+ * @property {number[]} attentionMask
+ * @property {number[]} typeIds
+ * @property {string[]} [tokens] - token 字符串
+ * @property {Array<[number, number]>} [offsets] - 每个 token 在原文中的 [start, end) 区间
+ * @property {Array<number|null>} [wordIds] - 每个 token 所属的词（预分词片段）序号
+ */
+
 /**
  * Tokenizer 基础接口
  * 所有 tokenizer 插件都需要实现这个接口
@@ -12,21 +39,142 @@ export class ITokenizer {
   /**
    * 编码：将文本转换为 tokens
    * @param {string} text - 输入文本
-   * @returns {{ids: number[], attentionMask: number[], typeIds: number[]}}
+   * @param {object} [options] - 编码选项
+   * @param {string|null} [options.pair] - 句对中的第二句
+   * @param {boolean} [options.addSpecialTokens=true] - 是否按 post_processor 添加特殊 token
+   * @param {number|null} [options.maxLength] - 最大长度（含特殊 token）
+   * @param {'longest_first'|'only_first'|'only_second'|false} [options.truncation='longest_first'] - 截断策略
+   * @returns {Encoding}
    */
-  encode(text) {
+  encode(text, options) {
     throw new Error('encode() must be implemented by subclass');
   }
 
+  /**
+   * 批量编码：截断并填充为矩形数组
+   *
+   * @param {string[]} texts - 输入文本
+   * @param {object} [options] - 编码选项
+   * @param {'longest'|'max_length'} [options.padding='longest'] - 填充到最长样本或 maxLength
+   * @param {number|null} [options.maxLength] - 最大长度（含特殊 token）
+   * @param {'longest_first'|'only_first'|'only_second'|false} [options.truncation] - 截断策略，指定 maxLength 时默认 'longest_first'
+   * @param {string[]|null} [options.pairs] - 与 texts 一一对应的第二句
+   * @param {boolean} [options.addSpecialTokens=true] - 是否添加特殊 token
+   * @param {'right'|'left'} [options.paddingSide] - 填充方向，默认使用 tokenizer 配置
+   * @returns {{ids: number[][], attentionMask: number[][], typeIds: number[][]}}
+   *
+   * @example
+   * const batch = tokenizer.encodeBatch(['你好', '今天天气很好'], { padding: 'max_length', maxLength: 16 })
+   * const feeds = toTensorFeeds(batch, modelInfo.inputNames)
+   */
+  encodeBatch(texts, options = {}) {
+    const {
+      padding = 'longest',
+      maxLength = null,
+      truncation = maxLength !== null ? 'longest_first' : false,
+      pairs = null,
+      addSpecialTokens = true,
+      paddingSide = this.paddingSide
+    } = options;
+
+    if (padding !== 'longest' && padding !== 'max_length') {
+      throw new Error(`Unsupported padding strategy: ${padding}`);
+    }
+    if (padding === 'max_length' && !maxLength) {
+      throw new Error("padding 'max_length' requires maxLength");
+    }
+    if (pairs && pairs.length !== texts.length) {
+      throw new Error(`pairs length (${pairs.length}) does not match texts length (${texts.length})`);
+    }
+
+    const encodings = texts.map((text, i) => this.encode(text, {
+      pair: pairs ? pairs[i] : null,
+      addSpecialTokens,
+      maxLength: truncation ? maxLength : null,
+      truncation
+    }));
+
+    const targetLength = padding === 'max_length'
+      ? maxLength
+      : encodings.reduce((max, e) => Math.max(max, e.ids.length), 0);
+
+    const batch = { ids: [], attentionMask: [], typeIds: [] };
+    for (const encoding of encodings) {
+      const padLength = Math.max(0, targetLength - encoding.ids.length);
+      const pad = value => new Array(padLength).fill(value);
+      const align = (values, value) => (paddingSide === 'left'
+        ? [...pad(value), ...values]
+        : [...values, ...pad(value)]);
+
+      batch.ids.push(align(encoding.ids, this.padTokenId));
+      batch.attentionMask.push(align(encoding.attentionMask, 0));
+      batch.typeIds.push(align(encoding.typeIds, this.padTypeId));
+    }
+
+    return batch;
+  }
+
+  /**
+   * 填充 token 的 ID
+   * @returns {number}
+   */
+  get padTokenId() {
+    return 0;
+  }
+
+  /**
+   * 填充位置的 type id
+   * @returns {number}
+   */
+  get padTypeId() {
+    return 0;
+  }
+
+  /**
+   * 默认填充方向
+   * @returns {'right'|'left'}
+   */
+  get paddingSide() {
+    return 'right';
+  }
+
   /**
    * 解码：将 tokens 转换回文本
    * @param {number[]} ids - token IDs
+   * @param {object} [options] - 解码选项
+   * @param {boolean} [options.skipSpecialTokens=false] - 是否跳过特殊 token
    * @returns {string}
    */
-  decode(ids) {
+  decode(ids, options) {
     throw new Error('decode() must be implemented by subclass');
   }
 
+  /**
+   * token 转 id
+   * @param {string} token
+   * @returns {number|null} 不存在时返回 null
+   */
+  tokenToId(token) {
+    throw new Error('tokenToId() must be implemented by subclass');
+  }
+
+  /**
+   * id 转 token
+   * @param {number} id
+   * @returns {string|null} 不存在时返回 null
+   */
+  idToToken(id) {
+    throw new Error('idToToken() must be implemented by subclass');
+  }
+
+  /**
+   * 获取特殊 token（bosToken、eosToken、padToken 等）
+   * @returns {object}
+   */
+  getSpecialTokens() {
+    return { additionalSpecialTokens: [] };
+  }
+
   /**
    * 获取词汇表大小
    * @returns {number}
@@ -36,18 +184,327 @@ export class ITokenizer {
   }
 }
 
+/**
+ * BPE 合并结果缓存的最大条目数
+ */
+const BPE_CACHE_CAPACITY = 10000;
+
+/**
+ * special_tokens_map.json / tokenizer_config.json 字段 -> getSpecialTokens() 字段
+ */
+const SPECIAL_TOKEN_KEYS = {
+  bos_token: 'bosToken',
+  eos_token: 'eosToken',
+  unk_token: 'unkToken',
+  sep_token: 'sepToken',
+  pad_token: 'padToken',
+  cls_token: 'clsToken',
+  mask_token: 'maskToken'
+};
+
+/**
+ * 特殊 token 配置既可以是字符串，也可以是 AddedToken 对象（{content, ...}）
+ * @param {string|{content: string}|null|undefined} value
+ * @returns {string|undefined}
+ */
+function tokenContent(value) {
+  if (value === null || value === undefined) return undefined;
+  return typeof value === 'string' ? value : value.content;
+}
+
+/**
+ * 转义正则特殊字符
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * 按策略截断（原地修改），使两句 token 数之和不超过 budget
+ *
+ * longest_first 优先截断较长的一句：较短的一句最多保留 budget 的一半，
+ * 剩余长度全部留给较长的一句
+ * @param {SequenceEncoding} a - 第一句
+ * @param {SequenceEncoding | null} b - 第二句
+ * @param {number} budget - 可用长度（已扣除特殊 token）
+ * @param {'longest_first'|'only_first'|'only_second'} strategy
+ */
+function truncateSequences(a, b, budget, strategy) {
+  if (budget < 0) {
+    throw new Error('maxLength is smaller than the number of special tokens');
+  }
+
+  const lengthA = a.ids.length;
+  const lengthB = b ? b.ids.length : 0;
+  if (lengthA + lengthB <= budget) return;
+
+  let keepA = lengthA;
+  let keepB = lengthB;
+
+  switch (strategy) {
+    case 'longest_first': {
+      const half = Math.floor(budget / 2);
+      if (!b) {
+        keepA = budget;
+      } else if (lengthA >= lengthB) {
+        keepB = Math.min(lengthB, half);
+        keepA = budget - keepB;
+      } else {
+        keepA = Math.min(lengthA, half);
+        keepB = budget - keepA;
+      }
+      break;
+    }
+    case 'only_first':
+      keepA = budget - lengthB;
+      break;
+    case 'only_second':
+      if (!b) {
+        throw new Error("Truncation strategy 'only_second' requires sentence pairs");
+      }
+      keepB = budget - lengthA;
+      break;
+    default:
+      throw new Error(`Unsupported truncation strategy: ${strategy}`);
+  }
+
+  if (keepA < 0 || keepB < 0) {
+    throw new Error(`Sequence is too long to be truncated with strategy '${strategy}'`);
+  }
+
+  for (const key of ['ids', 'tokens', 'offsets', 'wordIds']) {
+    a[key] = a[key].slice(0, keepA);
+    if (b) b[key] = b[key].slice(0, keepB);
+  }
+}
+
+/**
+ * 模型对单个词的切分结果，offsets 为词内的 [start, end) 码元区间
+ * @typedef {{tokens: string[], offsets: Array<[number, number]>}} WordTokens
+ */
+
+/**
+ * 单句编码（post_processor 之前）
+ * @typedef {object} SequenceEncoding
+ * @property {number[]} ids
+ * @property {string[]} tokens
+ * @property {Array<[number, number]>} offsets
+ * @property {Array<number|null>} wordIds
+ */
+
+/**
+ * 空编码（用于计算 post_processor 添加的特殊 token）
+ * @returns {SequenceEncoding}
+ */
+function emptyEncoding() {
+  return { ids: [], tokens: [], offsets: [], wordIds: [] };
+}
+
+/**
+ * 去掉 offsets 首尾覆盖的空格（ByteLevel / RobertaProcessing 的 trim_offsets）
+ * @param {string} text - 原文
+ * @param {Array<[number, number]>} offsets
+ * @returns {Array<[number, number]>}
+ */
+function trimOffsets(text, offsets) {
+  return offsets.map(([start, end]) => {
+    while (start < end && text[start] === ' ') start++;
+    while (end > start && text[end - 1] === ' ') end--;
+    return [start, end];
+  });
+}
+
 /**
  * JSON Tokenizer（HuggingFace 格式）
- * 支持从 tokenizer.json 加载
+ * 支持从 tokenizer.json 加载，实现 BPE 模型（含 GPT-2 / RoBERTa 字节级 BPE）
+ *
+ * 编码流程：normalizer -> pre_tokenizer -> model -> post_processor，
+ * 解码由 decoder 完成；子类只需实现 model 阶段（_tokenizeWord）
  */
 export class JSONTokenizer extends ITokenizer {
-  constructor(config) {
+  /**
+   * @param {object} config - tokenizer.json 配置
+   * @param {object} options - 额外选项
+   * @param {object} [options.tokenizerConfig] - tokenizer_config.json 内容
+   * @param {object} [options.specialTokensMap] - special_tokens_map.json 内容
+   */
+  constructor(config, options = {}) {
     super();
     this.config = config;
+    this.options = options;
+    this.tokenizerConfig = options.tokenizerConfig || {};
+    this.specialTokensMap = options.specialTokensMap || {};
     this.vocab = config.model?.vocab || {};
     this.merges = config.model?.merges || [];
-    this.addedTokens = config.added_tokens || [];
+    this.addedTokens = this._collectAddedTokens();
+
+    /**
+     * 未登录词 token
+     * @type {string}
+     */
+    this.unkToken = config.model?.unk_token ?? '<unk>';
+
+    /**
+     * 子词续接前缀 / 词尾后缀（如 CLIP 的 "</w>"）
+     * @type {string}
+     */
+    this.continuingSubwordPrefix = config.model?.continuing_subword_prefix || '';
+    this.endOfWordSuffix = config.model?.end_of_word_suffix || '';
+
+    /**
+     * 未登录字符是否回退为 <0xXX> 字节 token（Llama 等 SentencePiece BPE）
+     * @type {boolean}
+     */
+    this.byteFallback = config.model?.byte_fallback || false;
+
+    /**
+     * 整词命中词表时跳过合并（Llama 3）
+     * @type {boolean}
+     */
+    this.ignoreMerges = config.model?.ignore_merges || false;
+
+    this._buildVocabMaps();
+    this._buildMergeRanks();
     this._buildTrie();
+    this._buildPipeline();
+    this._buildAddedTokens();
+
+    /**
+     * 单词 -> 模型切分结果缓存
+     * @type {Map<string, WordTokens>}
+     */
+    this.bpeCache = new Map();
+  }
+
+  /**
+   * 构建 token <-> id 双向映射
+   *
+   * 使用 Map 而不是直接索引 vocab 对象，避免 "constructor" 等词命中原型属性
+   * @private
+   */
+  _buildVocabMaps() {
+    this.vocabMap = new Map(Object.entries(this.vocab));
+    this.reverseVocab = new Map();
+    for (const [token, id] of this.vocabMap) {
+      this.reverseVocab.set(id, token);
+    }
+  }
+
+  /**
+   * 合并 tokenizer.json 的 added_tokens 与 tokenizer_config.json 的 added_tokens_decoder
+   * @private
+   *
+   * @returns {Array<{id: number, content: string, special?: boolean, lstrip?: boolean, rstrip?: boolean, single_word?: boolean, normalized?: boolean}>}
+   */
+  _collectAddedTokens() {
+    const tokens = [...(this.config.added_tokens || [])];
+    const known = new Set(tokens.map(t => t.id));
+
+    for (const [id, token] of Object.entries(this.tokenizerConfig.added_tokens_decoder || {})) {
+      if (!known.has(Number(id))) {
+        tokens.push({ ...token, id: Number(id) });
+      }
+    }
+
+    return tokens;
+  }
+
+  /**
+   * 构建 added token 映射和匹配正则
+   *
+   * added token 不进入模型词表（与 HuggingFace 一致），在预分词之前整体匹配：
+   * normalized 为 false 的 token 匹配原始文本，其余匹配规范化后的文本
+   * @private
+   */
+  _buildAddedTokens() {
+    this.addedTokenMap = new Map();
+    this.addedTokenIds = new Map();
+    for (const token of this.addedTokens) {
+      this.addedTokenMap.set(token.content, token.id);
+      this.addedTokenIds.set(token.id, token.content);
+    }
+
+    const raw = [];
+    const normalized = [];
+    for (const token of this.addedTokens) {
+      const isNormalized = token.normalized ?? !token.special;
+      if (isNormalized && this.normalizer) {
+        normalized.push({ ...token, pattern: this.normalizer.normalize(token.content) });
+      } else {
+        raw.push({ ...token, pattern: token.content });
+      }
+    }
+
+    this.rawAddedTokenMatcher = this._createAddedTokenMatcher(raw);
+    this.normalizedAddedTokenMatcher = this._createAddedTokenMatcher(normalized);
+    this._specialTokenIds = null;
+  }
+
+  /**
+   * 为一组 added token 创建匹配正则，按长度降序优先匹配较长的 token
+   * @private
+   */
+  _createAddedTokenMatcher(tokens) {
+    const candidates = tokens
+      .filter(t => t.pattern)
+      .sort((a, b) => b.pattern.length - a.pattern.length);
+    if (candidates.length === 0) return null;
+
+    const source = candidates.map(token => {
+      let pattern = escapeRegExp(token.pattern);
+      if (token.single_word) pattern = `(?<![\\p{L}\\p{N}])${pattern}(?![\\p{L}\\p{N}])`;
+      if (token.lstrip) pattern = `\\s*${pattern}`;
+      if (token.rstrip) pattern = `${pattern}\\s*`;
+      return `(${pattern})`;
+    }).join('|');
+
+    return { regex: new RegExp(source, 'gu'), tokens: candidates };
+  }
+
+  /**
+   * 按 added token 切分文本
+   * @private
+   *
+   * @param {NormalizedString} normalized
+   * @param {{regex: RegExp, tokens: Array} | null} matcher
+   * @returns {Array<{piece: NormalizedString, token?: string}>} token 字段存在时表示命中的 added token
+   */
+  _splitOnAddedTokens(normalized, matcher) {
+    if (!matcher) return [{ piece: normalized }];
+
+    const { text } = normalized;
+    const segments = [];
+    let last = 0;
+    for (const match of text.matchAll(matcher.regex)) {
+      const end = match.index + match[0].length;
+      if (match.index > last) {
+        segments.push({ piece: normalized.slice(last, match.index) });
+      }
+      const group = match.findIndex((value, i) => i > 0 && value !== undefined);
+      segments.push({ piece: normalized.slice(match.index, end), token: matcher.tokens[group - 1].content });
+      last = end;
+    }
+    if (last < text.length) {
+      segments.push({ piece: normalized.slice(last) });
+    }
+
+    return segments;
+  }
+
+  /**
+   * 构建合并规则优先级表（rank 越小越先合并）
+   *
+   * merges 既可以是 "a b" 字符串，也可以是 ["a", "b"] 数组（tokenizers >= 0.20）
+   * @private
+   */
+  _buildMergeRanks() {
+    this.bpeRanks = new Map();
+    this.merges.forEach((merge, rank) => {
+      const [left, right] = Array.isArray(merge) ? merge : merge.split(' ');
+      this.bpeRanks.set(`${left} ${right}`, rank);
+    });
   }
 
   /**
@@ -56,7 +513,7 @@ export class JSONTokenizer extends ITokenizer {
    */
   _buildTrie() {
     this.trie = {};
-    for (const [token, id] of Object.entries(this.vocab)) {
+    for (const [token, id] of this.vocabMap) {
       let node = this.trie;
       for (const char of token) {
         if (!node[char]) node[char] = {};
@@ -67,66 +524,778 @@ export class JSONTokenizer extends ITokenizer {
   }
 
   /**
-   * 编码文本
+   * 按配置创建 normalizer / pre_tokenizer / post_processor / decoder
+   * @private
+   */
+  _buildPipeline() {
+    const pipeline = this._pipelineConfig();
+    this.normalizer = createNormalizer(pipeline.normalizer);
+    this.preTokenizer = createPreTokenizer(pipeline.pre_tokenizer);
+    this.postProcessor = createPostProcessor(pipeline.post_processor);
+    this.decoder = createDecoder(pipeline.decoder);
+  }
+
+  /**
+   * 流水线配置：tokenizer.json 中出现的字段（即使为 null）按原样使用，
+   * 缺失的字段使用模型默认值
+   * @protected
+   *
+   * @returns {{normalizer: object|null, pre_tokenizer: object|null, post_processor: object|null, decoder: object|null}}
+   */
+  _pipelineConfig() {
+    const defaults = this._defaultPipelineConfig();
+    const pick = key => (key in this.config ? this.config[key] : defaults[key] ?? null);
+    return {
+      normalizer: pick('normalizer'),
+      pre_tokenizer: pick('pre_tokenizer'),
+      post_processor: pick('post_processor'),
+      decoder: pick('decoder')
+    };
+  }
+
+  /**
+   * 模型默认的流水线配置（子类覆盖）
+   * @protected
+   */
+  _defaultPipelineConfig() {
+    return {};
+  }
+
+  /**
+   * 编码文本（可选句对）
    * @param {string} text
-   * @returns {{ids: number[], attentionMask: number[], typeIds: number[]}}
+   * @param {object} [options]
+   * @param {string|null} [options.pair] - 句对中的第二句
+   * @param {boolean} [options.addSpecialTokens=true] - 是否按 post_processor 添加特殊 token
+   * @param {number|null} [options.maxLength] - 最大长度（含特殊 token）
+   * @param {'longest_first'|'only_first'|'only_second'|false} [options.truncation='longest_first'] - 截断策略
+   * @returns {Encoding} 包含 tokens、offsets（原文区间）和 wordIds
+   *
+   * @example
+   * const { tokens, offsets, wordIds } = tokenizer.encode('Hello world')
+   * offsets.map(([start, end]) => text.slice(start, end))
    */
-  encode(text) {
-    // 简化的 BPE 实现（生产环境建议使用 tokenizers.js）
-    const tokens = this._bpeEncode(text);
-    const ids = tokens.map(t => this.vocab[t] || this.vocab['<unk>']);
+  encode(text, options = {}) {
+    const {
+      pair = null,
+      addSpecialTokens = true,
+      maxLength = null,
+      truncation = 'longest_first'
+    } = options;
+
+    const a = this._encodeSequence(text);
+    const b = pair !== null && pair !== undefined ? this._encodeSequence(pair) : null;
+
+    if (maxLength !== null && truncation) {
+      const numSpecialTokens = addSpecialTokens ? this._numSpecialTokens(b !== null) : 0;
+      truncateSequences(a, b, maxLength - numSpecialTokens, truncation);
+    }
+
+    let encoding;
+    if (addSpecialTokens && this.postProcessor) {
+      encoding = this.postProcessor.process(a, b);
+    } else {
+      const concat = key => (b ? [...a[key], ...b[key]] : a[key]);
+      encoding = {
+        ids: concat('ids'),
+        tokens: concat('tokens'),
+        offsets: concat('offsets'),
+        wordIds: concat('wordIds'),
+        typeIds: [...a.ids.map(() => 0), ...(b ? b.ids.map(() => 1) : [])]
+      };
+    }
 
     return {
-      ids,
-      attentionMask: ids.map(() => 1),
-      typeIds: ids.map(() => 0)
+      ids: encoding.ids,
+      attentionMask: encoding.ids.map(() => 1),
+      typeIds: encoding.typeIds,
+      tokens: encoding.tokens,
+      offsets: encoding.offsets,
+      wordIds: encoding.wordIds
     };
   }
 
   /**
-   * BPE 编码（简化版）
+   * 编码单句（不含特殊 token）
    * @private
+   *
+   * @param {string} text
+   * @returns {SequenceEncoding}
    */
-  _bpeEncode(text) {
-    // 这是一个简化的实现
-    // 实际使用时建议集成 tokenizers.js 或 @nlpjs/bpe
-    const words = text.split(/\s+/);
-    const tokens = [];
+  _encodeSequence(text) {
+    const { tokens, offsets, wordIds } = this._tokenize(text);
+    return {
+      ids: tokens.map(t => this._convertTokenToId(t)),
+      tokens,
+      offsets: this.postProcessor?.trimOffsets ? trimOffsets(text, offsets) : offsets,
+      wordIds
+    };
+  }
 
-    for (const word of words) {
-      // 简单的字符级分词作为 fallback
-      if (this.vocab[word] !== undefined) {
-        tokens.push(word);
-      } else {
-        // 按字符切分
-        for (const char of word) {
-          if (this.vocab[char] !== undefined) {
-            tokens.push(char);
-          }
+  /**
+   * post_processor 会添加的特殊 token 数量
+   * @private
+   *
+   * @param {boolean} isPair
+   * @returns {number}
+   */
+  _numSpecialTokens(isPair) {
+    if (!this.postProcessor) return 0;
+    return this.postProcessor.process(emptyEncoding(), isPair ? emptyEncoding() : null).ids.length;
+  }
+
+  /**
+   * 文本切分为 tokens：匹配 added token -> 规范化 -> 预分词 -> 逐词模型切分
+   *
+   * 全程在 NormalizedString 上处理，模型给出的词内区间经对齐信息映射回原文
+   * @protected
+   *
+   * @param {string} text
+   * @returns {{tokens: string[], offsets: Array<[number, number]>, wordIds: number[]}}
+   */
+  _tokenize(text) {
+    const result = { tokens: [], offsets: [], wordIds: [] };
+    let wordId = 0;
+
+    const pushAddedToken = (token, piece) => {
+      result.tokens.push(token);
+      result.offsets.push(piece.offsets());
+      result.wordIds.push(wordId++);
+    };
+
+    for (const segment of this._splitOnAddedTokens(new NormalizedString(text), this.rawAddedTokenMatcher)) {
+      if (segment.token !== undefined) {
+        pushAddedToken(segment.token, segment.piece);
+        continue;
+      }
+
+      const normalized = this.normalizer ? this.normalizer.normalizeString(segment.piece) : segment.piece;
+      for (const { piece, token } of this._splitOnAddedTokens(normalized, this.normalizedAddedTokenMatcher)) {
+        if (token !== undefined) {
+          pushAddedToken(token, piece);
+          continue;
+        }
+
+        const words = this.preTokenizer ? this.preTokenizer.preTokenize([piece]) : [piece];
+        for (const word of words) {
+          if (!word.text) continue;
+
+          const { tokens, offsets } = this._tokenizeWord(word.text);
+          tokens.forEach((t, i) => {
+            result.tokens.push(t);
+            result.offsets.push(word.offsets(offsets[i][0], offsets[i][1]));
+            result.wordIds.push(wordId);
+          });
+          wordId++;
         }
       }
     }
 
-    return tokens;
+    return result;
+  }
+
+  /**
+   * 模型阶段：切分单个预分词结果（子类按模型类型覆盖）
+   * @protected
+   *
+   * @param {string} word
+   * @returns {WordTokens}
+   */
+  _tokenizeWord(word) {
+    return this._bpe(word);
+  }
+
+  /**
+   * token 转 id，未登录词映射到 unk
+   * @private
+   */
+  _convertTokenToId(token) {
+    const id = this.tokenToId(token) ?? this.tokenToId(this.unkToken);
+    if (id === null) {
+      throw new Error(`Unknown token '${token}': unk token '${this.unkToken}' is not in the vocabulary`);
+    }
+    return id;
+  }
+
+  /**
+   * token 转 id（含 added token）
+   * @param {string} token
+   * @returns {number|null} 不存在时返回 null
+   */
+  tokenToId(token) {
+    return this.addedTokenMap.get(token) ?? this.vocabMap.get(token) ?? null;
+  }
+
+  /**
+   * id 转 token（含 added token）
+   * @param {number} id
+   * @returns {string|null} 不存在时返回 null
+   */
+  idToToken(id) {
+    return this.addedTokenIds.get(id) ?? this.reverseVocab.get(id) ?? null;
+  }
+
+  /**
+   * 获取特殊 token
+   *
+   * 合并 tokenizer.json、tokenizer_config.json 与 special_tokens_map.json（优先级依次升高）
+   * @returns {{bosToken?: string, eosToken?: string, unkToken?: string, sepToken?: string, padToken?: string, clsToken?: string, maskToken?: string, additionalSpecialTokens: string[]}}
+   */
+  getSpecialTokens() {
+    const result = { additionalSpecialTokens: [] };
+
+    if (this.tokenToId(this.unkToken) !== null) {
+      result.unkToken = this.unkToken;
+    }
+    if (this.config.padding?.pad_token) {
+      result.padToken = this.config.padding.pad_token;
+    }
+
+    for (const source of [this.tokenizerConfig, this.specialTokensMap]) {
+      for (const [key, name] of Object.entries(SPECIAL_TOKEN_KEYS)) {
+        const content = tokenContent(source[key]);
+        if (content !== undefined) result[name] = content;
+      }
+      if (source.additional_special_tokens) {
+        result.additionalSpecialTokens = source.additional_special_tokens.map(tokenContent);
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * 特殊 token 的 id 集合（decode 跳过特殊 token 时使用）
+   * @private
+   *
+   * @returns {Set<number>}
+   */
+  _getSpecialTokenIds() {
+    if (this._specialTokenIds) return this._specialTokenIds;
+
+    const ids = new Set(this.addedTokens.filter(t => t.special).map(t => t.id));
+
+    const { additionalSpecialTokens, ...named } = this.getSpecialTokens();
+    for (const token of [...Object.values(named), ...additionalSpecialTokens]) {
+      const id = this.tokenToId(token);
+      if (id !== null) ids.add(id);
+    }
+
+    // post_processor 插入的 token（如 [CLS] / [SEP]）
+    if (this.postProcessor) {
+      for (const id of this.postProcessor.process(emptyEncoding(), emptyEncoding()).ids) ids.add(id);
+    }
+
+    this._specialTokenIds = ids;
+    return ids;
+  }
+
+  /**
+   * 对单个词应用 BPE 合并
+   * @private
+   *
+   * @param {string} word - 预分词后的词（字节级模式下已完成字节映射）
+   * @returns {WordTokens}
+   */
+  _bpe(word) {
+    const cached = this.bpeCache.get(word);
+    if (cached) return cached;
+
+    let result;
+    if (this.ignoreMerges && this.vocabMap.has(word)) {
+      result = { tokens: [word], offsets: [[0, word.length]] };
+    } else {
+      result = this._applyFallback(this._mergeSymbols(this._splitSymbols(word)));
+    }
+
+    if (this.bpeCache.size >= BPE_CACHE_CAPACITY) {
+      this.bpeCache.clear();
+    }
+    this.bpeCache.set(word, result);
+
+    return result;
+  }
+
+  /**
+   * 将词拆成初始符号（按 Unicode 字符），并加上续接前缀 / 词尾后缀
+   * @private
+   */
+  _splitSymbols(word) {
+    const symbols = Array.from(word);
+    if (this.continuingSubwordPrefix) {
+      for (let i = 1; i < symbols.length; i++) {
+        symbols[i] = this.continuingSubwordPrefix + symbols[i];
+      }
+    }
+    if (this.endOfWordSuffix && symbols.length > 0) {
+      symbols[symbols.length - 1] += this.endOfWordSuffix;
+    }
+    return symbols;
+  }
+
+  /**
+   * 按 rank 反复合并优先级最高的相邻符号对
+   * @private
+   *
+   * @param {string[]} symbols
+   * @returns {string[]}
+   */
+  _mergeSymbols(symbols) {
+    const prefix = this.continuingSubwordPrefix;
+
+    while (symbols.length > 1) {
+      // 找到 rank 最小的相邻符号对
+      let bestRank = Infinity;
+      let bestIndex = -1;
+      for (let i = 0; i < symbols.length - 1; i++) {
+        const rank = this.bpeRanks.get(`${symbols[i]} ${symbols[i + 1]}`);
+        if (rank !== undefined && rank < bestRank) {
+          bestRank = rank;
+          bestIndex = i;
+        }
+      }
+
+      if (bestIndex === -1) break;
+
+      // 从左到右合并该符号对的所有出现
+      const left = symbols[bestIndex];
+      const right = symbols[bestIndex + 1];
+      const merged = left + (prefix && right.startsWith(prefix) ? right.slice(prefix.length) : right);
+      const next = symbols.slice(0, bestIndex);
+      for (let i = bestIndex; i < symbols.length; i++) {
+        if (i < symbols.length - 1 && symbols[i] === left && symbols[i + 1] === right) {
+          next.push(merged);
+          i++;
+        } else {
+          next.push(symbols[i]);
+        }
+      }
+      symbols = next;
+    }
+
+    return symbols;
+  }
+
+  /**
+   * 处理合并后仍不在词表中的符号：字节回退或替换为 unk，并计算每个 token 的词内区间
+   * @private
+   *
+   * @param {string[]} symbols
+   * @returns {WordTokens}
+   */
+  _applyFallback(symbols) {
+    const result = { tokens: [], offsets: [] };
+    const push = (token, span) => {
+      result.tokens.push(token);
+      result.offsets.push(span);
+    };
+
+    let start = 0;
+    for (let i = 0; i < symbols.length; i++) {
+      const symbol = symbols[i];
+
+      // 去掉续接前缀 / 词尾后缀后即为符号覆盖的字符
+      const length = symbol.length -
+        (i > 0 ? this.continuingSubwordPrefix.length : 0) -
+        (i === symbols.length - 1 ? this.endOfWordSuffix.length : 0);
+      const span = [start, start + length];
+      start += length;
+
+      if (this.vocabMap.has(symbol)) {
+        push(symbol, span);
+        continue;
+      }
+
+      if (this.byteFallback) {
+        const byteTokens = Array.from(textEncoder.encode(symbol), byteToToken);
+        if (byteTokens.every(t => this.vocabMap.has(t))) {
+          byteTokens.forEach(t => push(t, span));
+          continue;
+        }
+      }
+
+      // 未配置 unk 时丢弃该符号（与 HuggingFace BPE 一致）
+      if (!this.vocabMap.has(this.unkToken)) {
+        continue;
+      }
+
+      // 连续的 unk 合并为一个（fuse_unk）
+      const last = result.tokens.length - 1;
+      if (this.config.model?.fuse_unk && result.tokens[last] === this.unkToken) {
+        result.offsets[last] = [result.offsets[last][0], span[1]];
+        continue;
+      }
+      push(this.unkToken, span);
+    }
+    return result;
   }
 
   /**
    * 解码 token IDs
+   *
+   * 由 decoder 还原文本；未配置 decoder 时以空格连接 tokens
    * @param {number[]} ids
+   * @param {object} [options]
+   * @param {boolean} [options.skipSpecialTokens=false] - 是否跳过特殊 token
    * @returns {string}
    */
-  decode(ids) {
-    const idToToken = Object.fromEntries(
-      Object.entries(this.vocab).map(([k, v]) => [v, k])
-    );
-    return ids.map(id => idToToken[id] || '<unk>').join(' ');
+  decode(ids, options = {}) {
+    const { skipSpecialTokens = false } = options;
+
+    if (skipSpecialTokens) {
+      const specialIds = this._getSpecialTokenIds();
+      ids = ids.filter(id => !specialIds.has(id));
+    }
+
+    const tokens = ids.map(id => this.idToToken(id) ?? this.unkToken);
+    return this.decoder ? this.decoder.decode(tokens) : tokens.join(' ');
+  }
+
+  /**
+   * 填充 token 的 ID：优先使用 tokenizer.json 的 padding 配置，其次查找常见填充 token
+   * @returns {number}
+   */
+  get padTokenId() {
+    if (this.config.padding?.pad_id !== undefined) {
+      return this.config.padding.pad_id;
+    }
+    const { padToken } = this.getSpecialTokens();
+    for (const token of [padToken, '[PAD]', '<pad>', '<|padding|>']) {
+      const id = token !== undefined ? this.tokenToId(token) : null;
+      if (id !== null) return id;
+    }
+    return 0;
+  }
+
+  get padTypeId() {
+    return this.config.padding?.pad_type_id ?? 0;
+  }
+
+  get paddingSide() {
+    if (this.config.padding?.direction) {
+      return this.config.padding.direction === 'Left' ? 'left' : 'right';
+    }
+    return this.tokenizerConfig.padding_side === 'left' ? 'left' : 'right';
   }
 
   get vocabSize() {
-    return Object.keys(this.vocab).length;
+    let size = this.vocabMap.size;
+    for (const id of this.addedTokenIds.keys()) {
+      if (!this.reverseVocab.has(id)) size++;
+    }
+    return size;
+  }
+}
+
+/**
+ * WordPiece Tokenizer（BERT 系列）
+ *
+ * BERT 基础分词（清洗、CJK 按字切分、小写、去重音、标点切分）
+ * + 贪心最长匹配的 "##" 子词切分
+ */
+export class WordPieceTokenizer extends JSONTokenizer {
+  /**
+   * @param {object} config - tokenizer.json 配置（model.type 为 WordPiece）
+   * @param {object} options - 覆盖 BertNormalizer 中的配置，其余选项见 JSONTokenizer
+   * @param {boolean} [options.lowercase] - 是否小写
+   * @param {boolean} [options.stripAccents] - 是否去除重音（默认跟随 lowercase）
+   * @param {boolean} [options.handleChineseChars] - 是否按字切分 CJK 字符
+   * @param {boolean} [options.cleanText] - 是否清理控制字符
+   */
+  constructor(config, options = {}) {
+    super(config, options);
+
+    this.unkToken = config.model?.unk_token ?? '[UNK]';
+    this.continuingSubwordPrefix = config.model?.continuing_subword_prefix ?? '##';
+    this.maxInputCharsPerWord = config.model?.max_input_chars_per_word ?? 100;
+  }
+
+  /**
+   * 默认使用 BERT 的规范化、预分词和解码
+   * @protected
+   */
+  _defaultPipelineConfig() {
+    return {
+      normalizer: { type: 'BertNormalizer' },
+      pre_tokenizer: { type: 'BertPreTokenizer' },
+      decoder: { type: 'WordPiece', prefix: '##' }
+    };
+  }
+
+  /**
+   * 将 options 中的规范化选项合并进 BertNormalizer 配置
+   * @protected
+   */
+  _pipelineConfig() {
+    const pipeline = super._pipelineConfig();
+    const { lowercase, stripAccents, handleChineseChars, cleanText } = this.options;
+
+    if (pipeline.normalizer?.type === 'BertNormalizer') {
+      const normalizer = { ...pipeline.normalizer };
+      if (lowercase !== undefined) normalizer.lowercase = lowercase;
+      if (stripAccents !== undefined) normalizer.strip_accents = stripAccents;
+      if (handleChineseChars !== undefined) normalizer.handle_chinese_chars = handleChineseChars;
+      if (cleanText !== undefined) normalizer.clean_text = cleanText;
+      pipeline.normalizer = normalizer;
+    }
+
+    return pipeline;
+  }
+
+  /**
+   * 贪心最长匹配切分单个词
+   *
+   * 基于 Trie 从当前位置向后匹配最长的词表项，非词首片段从 "##" 节点开始匹配；
+   * 任一位置无法匹配时整个词映射为 unk
+   * @protected
+   *
+   * @param {string} word
+   * @returns {WordTokens}
+   */
+  _tokenizeWord(word) {
+    const unknown = { tokens: [this.unkToken], offsets: [[0, word.length]] };
+    const chars = Array.from(word);
+    if (chars.length > this.maxInputCharsPerWord) {
+      return unknown;
+    }
+
+    // "##" 前缀在 Trie 中对应的节点
+    let prefixNode = this.trie;
+    for (const char of this.continuingSubwordPrefix) {
+      prefixNode = prefixNode?.[char];
+    }
+
+    const result = { tokens: [], offsets: [] };
+    let start = 0;
+    let offset = 0;
+
+    while (start < chars.length) {
+      let node = start === 0 ? this.trie : prefixNode;
+      let end = -1;
+
+      for (let i = start; node && i < chars.length; i++) {
+        node = Object.prototype.hasOwnProperty.call(node, chars[i]) ? node[chars[i]] : null;
+        if (node && node._end !== undefined) {
+          end = i + 1;
+        }
+      }
+
+      if (end === -1) {
+        return unknown;
+      }
+
+      const piece = chars.slice(start, end).join('');
+      result.tokens.push(start === 0 ? piece : this.continuingSubwordPrefix + piece);
+      result.offsets.push([offset, offset + piece.length]);
+      offset += piece.length;
+      start = end;
+    }
+
+    return result;
   }
 }
 
+/**
+ * Unigram Tokenizer（SentencePiece 系列：T5、XLM-R、mBART、multilingual-e5）
+ *
+ * Metaspace（"▁"）预分词 + 基于词表分数的 Viterbi 最优切分，支持字节回退
+ */
+export class UnigramTokenizer extends JSONTokenizer {
+  /**
+   * @param {object} config - tokenizer.json 配置（model.type 为 Unigram）
+   * @param {object} options - 见 JSONTokenizer
+   */
+  constructor(config, options = {}) {
+    super(config, options);
+
+    const model = config.model || {};
+
+    this.unkId = model.unk_id ?? null;
+    this.unkToken = this.unkId !== null ? this.reverseVocab.get(this.unkId) : '<unk>';
+
+    // 未登录字符的分数：比最低分再低 10，保证只在无法覆盖时才选 unk
+    this.minScore = this.scores.reduce((min, score) => Math.min(min, score), Infinity);
+    this.unkScore = (Number.isFinite(this.minScore) ? this.minScore : 0) - 10;
+  }
+
+  /**
+   * 构建 token <-> id 映射（Unigram 词表为 [piece, score] 数组）
+   * @private
+   */
+  _buildVocabMaps() {
+    this.vocabMap = new Map();
+    this.reverseVocab = new Map();
+    this.scores = [];
+
+    this.vocab.forEach(([piece, score], id) => {
+      if (!this.vocabMap.has(piece)) {
+        this.vocabMap.set(piece, id);
+      }
+      this.reverseVocab.set(id, piece);
+      this.scores[id] = score;
+    });
+  }
+
+  /**
+   * 默认使用 Metaspace 预分词和解码
+   * @protected
+   */
+  _defaultPipelineConfig() {
+    return {
+      pre_tokenizer: { type: 'Metaspace', replacement: '▁', prepend_scheme: 'always' },
+      decoder: { type: 'Metaspace', replacement: '▁', prepend_scheme: 'always' }
+    };
+  }
+
+  /**
+   * Viterbi 求分数之和最大的切分
+   *
+   * best[i] 记录覆盖前 i 个字符的最优路径；无法被任何词表项覆盖的字符
+   * 以 unkScore 作为单字符 unk，相邻的 unk 合并为一个
+   * @protected
+   *
+   * @param {string} word
+   * @returns {WordTokens}
+   */
+  _tokenizeWord(word) {
+    const cached = this.bpeCache.get(word);
+    if (cached) return cached;
+
+    const chars = Array.from(word);
+    const n = chars.length;
+    const best = new Array(n + 1).fill(null);
+    best[0] = { score: 0, start: -1, id: null };
+
+    for (let start = 0; start < n; start++) {
+      if (!best[start]) continue;
+      const baseScore = best[start].score;
+      let hasSingleChar = false;
+
+      let node = this.trie;
+      for (let end = start; end < n; end++) {
+        node = Object.prototype.hasOwnProperty.call(node, chars[end]) ? node[chars[end]] : null;
+        if (!node) break;
+        if (node._end === undefined) continue;
+
+        if (end === start) hasSingleChar = true;
+        const score = baseScore + this.scores[node._end];
+        if (!best[end + 1] || score > best[end + 1].score) {
+          best[end + 1] = { score, start, id: node._end };
+        }
+      }
+
+      if (!hasSingleChar) {
+        const score = baseScore + this.unkScore;
+        if (!best[start + 1] || score > best[start + 1].score) {
+          best[start + 1] = { score, start, id: null };
+        }
+      }
+    }
+
+    // 回溯
+    const segments = [];
+    for (let end = n; end > 0; end = best[end].start) {
+      const { start, id } = best[end];
+      segments.unshift({ piece: chars.slice(start, end).join(''), id });
+    }
+
+    const result = { tokens: [], offsets: [] };
+    let offset = 0;
+    let unknown = '';
+    const flushUnknown = () => {
+      if (!unknown) return;
+      const span = [offset - unknown.length, offset];
+      for (const token of this._unknownToTokens(unknown)) {
+        result.tokens.push(token);
+        result.offsets.push(span);
+      }
+      unknown = '';
+    };
+
+    for (const { piece, id } of segments) {
+      if (id === null || id === this.unkId) {
+        unknown += piece;
+      } else {
+        flushUnknown();
+        result.tokens.push(piece);
+        result.offsets.push([offset, offset + piece.length]);
+      }
+      offset += piece.length;
+    }
+    flushUnknown();
+
+    if (this.bpeCache.size >= BPE_CACHE_CAPACITY) {
+      this.bpeCache.clear();
+    }
+    this.bpeCache.set(word, result);
+
+    return result;
+  }
+
+  /**
+   * 未登录片段：启用字节回退时转为 <0xXX> tokens，否则为单个 unk
+   * @private
+   */
+  _unknownToTokens(piece) {
+    if (this.byteFallback) {
+      const byteTokens = Array.from(textEncoder.encode(piece), byteToToken);
+      if (byteTokens.every(t => this.vocabMap.has(t))) {
+        return byteTokens;
+      }
+    }
+    return [this.unkToken];
+  }
+}
+
+/**
+ * 模型输入名称 -> 批量编码字段
+ */
+const FEED_FIELDS = {
+  input_ids: 'ids',
+  attention_mask: 'attentionMask',
+  token_type_ids: 'typeIds'
+};
+
+/**
+ * 将 encodeBatch() 的结果转换为 int64 TensorData 输入
+ *
+ * 只生成 inputNames 中出现的 input_ids / attention_mask / token_type_ids，
+ * 其他输入（如 position_ids）需要调用方自行补充
+ *
+ * @param {{ids: number[][], attentionMask: number[][], typeIds: number[][]}} batch - encodeBatch() 的结果
+ * @param {string[]} [inputNames] - 模型输入名称（如 loadModel 返回的 inputNames）
+ * @returns {Record<string, TensorData>}
+ *
+ * @example
+ * const info = await proxy.loadModel('bge', modelBuffer)
+ * const batch = tokenizer.encodeBatch(texts, { maxLength: 512 })
+ * const result = await proxy.run('bge', toTensorFeeds(batch, info.inputNames))
+ */
+export function toTensorFeeds(batch, inputNames = Object.keys(FEED_FIELDS)) {
+  const batchSize = batch.ids.length;
+  const seqLength = batchSize > 0 ? batch.ids[0].length : 0;
+  const feeds = {};
+
+  for (const name of inputNames) {
+    const field = FEED_FIELDS[name];
+    if (!field) continue;
+
+    const data = new BigInt64Array(batchSize * seqLength);
+    batch[field].forEach((row, i) => {
+      if (row.length !== seqLength) {
+        throw new Error(`Batch is not rectangular: row ${i} has length ${row.length}, expected ${seqLength}`);
+      }
+      row.forEach((value, j) => {
+        data[i * seqLength + j] = BigInt(value);
+      });
+    });
+
+    feeds[name] = new TensorData(data, [batchSize, seqLength], 'int64');
+  }
+
+  return feeds;
+}
+
 /**
  * Tokenizer 加载器
  * 从 URL 或本地路径加载 tokenizer 配置
@@ -134,16 +1303,33 @@ export class JSONTokenizer extends ITokenizer {
 export class TokenizerLoader {
   constructor() {
     this.cache = new Map();
+
+    /**
+     * IndexedDB 持久化缓存（与模型共用 ONNXModelCache 数据库），首次使用时创建
+     * @type {ModelCache|null}
+     */
+    this.persistentCache = null;
   }
 
   /**
    * 从 URL 加载 tokenizer
    * @param {string} url - tokenizer.json 或 tokenizer.txt 的 URL
    * @param {object} options - 加载选项
+   * @param {boolean} [options.useCache=true] - 是否使用内存缓存
+   * @param {boolean} [options.persistentCache=true] - 是否将文件缓存到 IndexedDB（按 ETag 重新验证，离线时直接使用缓存）
+   * @param {string} [options.format='auto'] - 格式：'auto' | 'json' | 'unigram' | 'wordpiece'
+   * @param {boolean} [options.lowercase] - WordPiece：是否小写（vocab.txt 默认 true）
+   * @param {boolean} [options.stripAccents] - WordPiece：是否去除重音
+   * @param {boolean} [options.loadTokenizerConfig=true] - 是否加载同目录下的 tokenizer_config.json 和 special_tokens_map.json
    * @returns {Promise<ITokenizer>}
    */
   async loadFromUrl(url, options = {}) {
-    const { useCache = true, format = 'auto' } = options;
+    const {
+      useCache = true,
+      persistentCache = true,
+      format = 'auto',
+      loadTokenizerConfig = true
+    } = options;
 
     // 检查缓存
     if (useCache && this.cache.has(url)) {
@@ -153,27 +1339,44 @@ export class TokenizerLoader {
     console.log(`📥 Loading tokenizer from: ${url}`);
 
     try {
-      const response = await fetch(url);
-      if (!response.ok) {
-        throw new Error(`Failed to load tokenizer: ${response.statusText}`);
-      }
-
-      const text = await response.text();
+      const text = await this._fetchText(url, persistentCache);
       let tokenizer;
 
+      // 特殊 token 与 added token 配置（可选文件）
+      const [tokenizerConfig, specialTokensMap] = loadTokenizerConfig
+        ? await Promise.all([
+          this._fetchOptionalJSON(url, 'tokenizer_config.json', persistentCache),
+          this._fetchOptionalJSON(url, 'special_tokens_map.json', persistentCache)
+        ])
+        : [null, null];
+      const tokenizerOptions = {
+        ...options,
+        tokenizerConfig: tokenizerConfig || undefined,
+        specialTokensMap: specialTokensMap || undefined
+      };
+
       // 检测格式
       const detectedFormat = format === 'auto' ? this._detectFormat(url, text) : format;
 
       switch (detectedFormat) {
         case 'json':
           const config = JSON.parse(text);
-          tokenizer = new JSONTokenizer(config);
+          tokenizer = this._createFromJSON(config, tokenizerOptions);
+          break;
+
+        case 'unigram':
+          // SentencePiece Unigram 格式 (tokenizer.json)
+          tokenizer = new UnigramTokenizer(JSON.parse(text), tokenizerOptions);
           break;
 
         case 'wordpiece':
-          // WordPiece 格式 (vocab.txt)
-          const vocab = text.split('\n').filter(l => l.trim());
-          tokenizer = this._createWordPieceTokenizer(vocab);
+          // WordPiece 格式 (vocab.txt)，行号即 token id
+          const vocab = text.split(/\r?\n/);
+          if (vocab[vocab.length - 1] === '') vocab.pop();
+          tokenizer = this._createWordPieceTokenizer(vocab, {
+            ...tokenizerOptions,
+            lowercase: options.lowercase ?? tokenizerConfig?.do_lower_case
+          });
           break;
 
         default:
@@ -197,24 +1400,86 @@ export class TokenizerLoader {
    * 从配置对象创建 tokenizer
    * @param {object} config - tokenizer 配置
    * @param {string} type - tokenizer 类型
+   * @param {object} [options] - 构造选项（如 tokenizerConfig、specialTokensMap）
    * @returns {ITokenizer}
    */
-  createFromConfig(config, type = 'json') {
+  createFromConfig(config, type = 'json', options = {}) {
     switch (type) {
       case 'json':
-        return new JSONTokenizer(config);
+        return this._createFromJSON(config, options);
+      case 'wordpiece':
+        return new WordPieceTokenizer(config, options);
+      case 'unigram':
+        return new UnigramTokenizer(config, options);
       default:
         throw new Error(`Unsupported tokenizer type: ${type}`);
     }
   }
 
+  /**
+   * 获取文件文本：启用持久化缓存时经 ModelCache 按 ETag 重新验证，否则直接请求
+   * @private
+   *
+   * @param {string} url
+   * @param {boolean} persistentCache
+   * @returns {Promise<string>}
+   */
+  async _fetchText(url, persistentCache) {
+    const cache = persistentCache ? this._getPersistentCache() : null;
+    if (cache) {
+      return cache.fetchText(url);
+    }
+
+    const response = await fetch(url);
+    if (!response.ok) {
+      throw new Error(`Failed to load tokenizer: ${response.statusText}`);
+    }
+    return response.text();
+  }
+
+  /**
+   * IndexedDB 可用时返回持久化缓存
+   * @private
+   *
+   * @returns {ModelCache|null}
+   */
+  _getPersistentCache() {
+    if (typeof indexedDB === 'undefined') return null;
+    if (!this.persistentCache) {
+      this.persistentCache = new ModelCache();
+    }
+    return this.persistentCache;
+  }
+
+  /**
+   * 加载与 tokenizer 同目录的可选 JSON 文件，不存在或加载失败时返回 null
+   * @private
+   *
+   * @param {string} url - tokenizer 文件 URL
+   * @param {string} fileName - 同目录下的文件名
+   * @param {boolean} persistentCache - 是否使用 IndexedDB 缓存
+   * @returns {Promise<object|null>}
+   */
+  async _fetchOptionalJSON(url, fileName, persistentCache) {
+    const siblingUrl = url.split(/[?#]/)[0].replace(/[^/]*$/, fileName);
+    if (siblingUrl === url) return null;
+
+    try {
+      return JSON.parse(await this._fetchText(siblingUrl, persistentCache));
+    } catch {
+      return null;
+    }
+  }
+
   /**
    * 检测 tokenizer 格式
    * @private
    */
   _detectFormat(url, content) {
     if (url.endsWith('.json') || content.trim().startsWith('{')) {
-      return 'json';
+      // HuggingFace 序列化时 model.type 总是 model 的第一个字段，无需完整解析 JSON
+      const modelType = /"model"\s*:\s*\{\s*"type"\s*:\s*"(\w+)"/.exec(content)?.[1];
+      return modelType === 'Unigram' ? 'unigram' : 'json';
     }
     if (url.endsWith('.txt') || url.includes('vocab')) {
       return 'wordpiece';
@@ -222,27 +1487,69 @@ export class TokenizerLoader {
     return 'json'; // 默认
   }
 
+  /**
+   * 根据 tokenizer.json 的 model.type 选择实现
+   * @private
+   */
+  _createFromJSON(config, options = {}) {
+    switch (config.model?.type) {
+      case 'WordPiece':
+        return new WordPieceTokenizer(config, options);
+      case 'Unigram':
+        return new UnigramTokenizer(config, options);
+      default:
+        return new JSONTokenizer(config, options);
+    }
+  }
+
   /**
    * 创建 WordPiece tokenizer
    * @private
    */
-  _createWordPieceTokenizer(vocab) {
+  _createWordPieceTokenizer(vocab, options = {}) {
     const vocabMap = {};
     vocab.forEach((token, idx) => {
       vocabMap[token] = idx;
     });
 
-    return new JSONTokenizer({
-      model: { vocab: vocabMap }
-    });
+    const config = {
+      model: {
+        type: 'WordPiece',
+        vocab: vocabMap,
+        unk_token: '[UNK]',
+        continuing_subword_prefix: '##'
+      }
+    };
+
+    // vocab.txt 没有 post_processor 配置，按 BERT 约定添加 [CLS] / [SEP]
+    if (vocabMap['[CLS]'] !== undefined && vocabMap['[SEP]'] !== undefined) {
+      config.post_processor = {
+        type: 'BertProcessing',
+        cls: ['[CLS]', vocabMap['[CLS]']],
+        sep: ['[SEP]', vocabMap['[SEP]']]
+      };
+    }
+
+    return new WordPieceTokenizer(config, options);
   }
 
   /**
-   * 清除缓存
+   * 清除内存缓存
    */
   clearCache() {
     this.cache.clear();
   }
+
+  /**
+   * 清除 IndexedDB 中缓存的 tokenizer 文件
+   * @returns {Promise<void>}
+   */
+  async clearPersistentCache() {
+    const cache = this._getPersistentCache();
+    if (cache) {
+      await cache.clearFiles();
+    }
+  }
 }
 
 /**
@@ -264,8 +1571,9 @@ export async function loadTokenizer(url, options) {
  * 便捷函数：从配置创建 tokenizer
  * @param {object} config
  * @param {string} type
+ * @param {object} [options]
  * @returns {ITokenizer}
  */
-export function createTokenizer(config, type = 'json') {
-  return tokenizerLoader.createFromConfig(config, type);
+export function createTokenizer(config, type = 'json', options = {}) {
+  return tokenizerLoader.createFromConfig(config, type, options);
 }
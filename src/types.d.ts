@@ -28,16 +28,40 @@ export interface ONNXWebFrameworkOptions {
   enableProfiling?: boolean;
 
   /**
-   * Enable Web Worker for non-blocking inference
-   * @default true
+   * Execution backend: 'main' runs sessions on the main thread, 'worker' runs them in a Web Worker
+   * (models are still downloaded and cached on the main thread)
+   * @default 'main'
    */
-  useWorker?: boolean;
+  backend?: 'main' | 'worker';
 
   /**
-   * Path to worker script
-   * @default './src/onnx-worker.js'
+   * Worker script URL (backend 'worker')
    */
-  workerPath?: string;
+  workerUrl?: string | URL;
+
+  /**
+   * Options passed to `new Worker()` (backend 'worker')
+   * @default { type: 'module' }
+   */
+  workerOptions?: WorkerOptions;
+
+  /**
+   * Custom Worker instance or factory; takes precedence over workerUrl (backend 'worker')
+   */
+  worker?: Worker | (() => Worker);
+
+  /**
+   * Restart the Worker and replay its state after a crash (backend 'worker', see ONNXWorkerProxy).
+   * Requires workerUrl or a worker factory; a Worker instance cannot be recreated and is rejected
+   */
+  supervisor?: {
+    heartbeatInterval?: number;
+    heartbeatTimeout?: number;
+    busyHeartbeatTimeout?: number;
+    maxRestarts?: number;
+    maxRetries?: number;
+    onRestart?: (reason: string, attempt: number) => void;
+  };
 
   /**
    * Enable model caching
@@ -46,17 +70,55 @@ export interface ONNXWebFrameworkOptions {
   enableCache?: boolean;
 
   /**
-   * Cache maximum age in milliseconds
+   * How long a cached model is considered fresh when the server sends no Cache-Control max-age or Expires header (milliseconds).
+   * Stale models are revalidated with If-None-Match / If-Modified-Since before use.
    * @default 24 * 60 * 60 * 1000 (24 hours)
    */
   cacheMaxAge?: number;
 
+  /**
+   * Serve stale cached models immediately and revalidate them in the background
+   * @default false
+   */
+  staleWhileRevalidate?: boolean;
+
+  /**
+   * Maximum total size of cached models in bytes; least recently used models are evicted first.
+   * Models larger than the limit are loaded without caching.
+   * @default null (limited only by the browser quota)
+   */
+  maxCacheSize?: number | null;
+
+  /**
+   * Request persistent storage (navigator.storage.persist()) so the browser does not evict the cache under storage pressure
+   * @default false
+   */
+  persistCache?: boolean;
+
+  /**
+   * Number of chunks downloaded in parallel for large models (Range requests)
+   * @default 4
+   */
+  downloadConcurrency?: number;
+
+  /**
+   * Retries per chunk, with exponential backoff
+   * @default 3
+   */
+  downloadRetries?: number;
+
   /**
    * Number of WASM threads (0 = auto-detect)
    * @default 0
    */
   numThreads?: number;
 
+  /**
+   * Validate feeds against model metadata (names, element types, static dims) before inference
+   * @default true
+   */
+  validateFeeds?: boolean;
+
   /**
    * Enable debug mode
    * @default false
@@ -166,6 +228,43 @@ export interface SessionOptions {
    * @default true
    */
   preferOrtFormat?: boolean;
+
+  /**
+   * Model loading progress callback (also emitted as the framework's 'progress' event)
+   */
+  onProgress?: (progress: ModelLoadProgress) => void;
+}
+
+export interface ModelLoadProgress {
+  /**
+   * Model name
+   */
+  modelName: string;
+
+  /**
+   * Resolved model URL, null when the model was passed as a buffer
+   */
+  url: string | null;
+
+  /**
+   * Current phase
+   */
+  phase: 'cache-hit' | 'downloading' | 'caching' | 'creating-session';
+
+  /**
+   * Bytes fetched so far
+   */
+  loaded: number;
+
+  /**
+   * Total bytes, null when the server sent no Content-Length
+   */
+  total: number | null;
+
+  /**
+   * Estimated seconds until the download finishes, null when unknown
+   */
+  eta: number | null;
 }
 
 export interface PreprocessOptions {
@@ -237,6 +336,89 @@ export interface PredictionOptions {
   sessionOptions?: SessionOptions;
 }
 
+export interface GenerateOptions {
+  /**
+   * Maximum number of tokens to generate (default: 128)
+   */
+  maxNewTokens?: number;
+
+  /**
+   * Sample from the distribution instead of greedy decoding (default: false)
+   */
+  doSample?: boolean;
+
+  /**
+   * Sampling temperature (default: 1.0)
+   */
+  temperature?: number;
+
+  /**
+   * Keep only the k most likely tokens, 0 disables (default: 0)
+   */
+  topK?: number;
+
+  /**
+   * Nucleus sampling probability mass (default: 1.0)
+   */
+  topP?: number;
+
+  /**
+   * Penalty for tokens that already appeared, 1.0 disables (default: 1.0)
+   */
+  repetitionPenalty?: number;
+
+  /**
+   * Token ids or token strings that end generation (default: the eos token)
+   */
+  stopTokens?: Array<number | string> | number | string;
+
+  /**
+   * Add special tokens when encoding a string prompt (default: true)
+   */
+  addSpecialTokens?: boolean;
+
+  /**
+   * Skip special tokens in the streamed text (default: true)
+   */
+  skipSpecialTokens?: boolean;
+
+  /**
+   * Random number generator in [0, 1) used for sampling (default: Math.random)
+   */
+  random?: () => number;
+
+  /**
+   * Number of KV heads, required when the model metadata has no past_key_values shape
+   */
+  numHeads?: number;
+
+  /**
+   * Size of each attention head, required when the model metadata has no past_key_values shape
+   */
+  headDim?: number;
+
+  /**
+   * Data type of the initial empty past_key_values
+   */
+  kvDtype?: 'float32' | 'float16';
+
+  /**
+   * Inputs fed at every step, e.g. encoder_hidden_states for encoder-decoder models
+   */
+  extraFeeds?: Record<string, any>;
+
+  /**
+   * Stops generation before the next step and throws an AbortError
+   */
+  signal?: AbortSignal;
+}
+
+export interface GenerateResult {
+  text: string;
+  tokenIds: number[];
+  finishReason: 'stop' | 'length';
+}
+
 export interface InferenceResult {
   /**
    * Model output data
@@ -268,6 +450,18 @@ export interface InferenceResult {
   };
 }
 
+export interface TensorMetadata {
+  /**
+   * Element type (e.g. 'float32', 'int64'), null when unknown
+   */
+  type: string | null;
+
+  /**
+   * Shape: fixed dims are numbers, symbolic dims are strings (e.g. 'batch_size'), unknown dims are null
+   */
+  shape: Array<number | string | null> | null;
+}
+
 export interface ModelInfo {
   /**
    * Model name
@@ -299,6 +493,16 @@ export interface ModelInfo {
    */
   outputNames: string[];
 
+  /**
+   * Input element types and shapes, keyed by input name
+   */
+  inputMetadata: Record<string, TensorMetadata>;
+
+  /**
+   * Output element types and shapes, keyed by output name
+   */
+  outputMetadata: Record<string, TensorMetadata>;
+
   /**
    * Supported execution providers
    */
@@ -421,6 +625,16 @@ export interface CacheStats {
    * Newest entry timestamp
    */
   newestEntry: number;
+
+  /**
+   * Configured cache size limit in bytes, null when unlimited
+   */
+  maxCacheSize: number | null;
+
+  /**
+   * Browser storage usage from navigator.storage.estimate(), null when unsupported
+   */
+  storage: { usage: number; quota: number; persisted: boolean } | null;
 }
 
 export interface ModelFormatInfo {
@@ -505,6 +719,16 @@ export default class ONNXWebFramework {
    */
   loadModel(name: string, modelSource: string | ArrayBuffer | Uint8Array, sessionOptions?: SessionOptions): Promise<any>;
 
+  /**
+   * Subscribe to framework events; returns an unsubscribe function
+   */
+  on(eventName: 'progress', listener: (progress: ModelLoadProgress) => void): () => void;
+
+  /**
+   * Unsubscribe from framework events
+   */
+  off(eventName: 'progress', listener: (progress: ModelLoadProgress) => void): void;
+
   /**
    * Run complete inference pipeline (preprocess + inference)
    */
@@ -515,6 +739,11 @@ export default class ONNXWebFramework {
    */
   run(modelName: string, inputs: Record<string, any>, options?: PredictionOptions): Promise<InferenceResult>;
 
+  /**
+   * Stream autoregressive text generation, yielding decoded text incrementally
+   */
+  generate(modelName: string, tokenizer: any, prompt: string | number[], options?: GenerateOptions): AsyncGenerator<string, GenerateResult>;
+
   /**
    * Get model information
    */
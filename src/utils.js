@@ -3,22 +3,32 @@
  */
 
 /**
- * 下载文件
+ * 下载文件，按响应流逐块读取并报告进度
  * @param {string} url - 文件URL
- * @param {Function} progressCallback - 进度回调
+ * @param {(fraction: number | null, loaded: number, total: number | null) => void} [progressCallback] - 进度回调，
+ *   每读到一块调用一次；响应没有 Content-Length 时 fraction 和 total 为 null
+ * @param {RequestInit} [fetchOptions] - fetch 选项
+ * @returns {Promise<Uint8Array>} 文件内容
  */
-export async function downloadFile(url, progressCallback) {
-  const response = await fetch(url);
+export async function downloadFile(url, progressCallback, fetchOptions = {}) {
+  const response = await fetch(url, fetchOptions);
   if (!response.ok) {
     throw new Error(`HTTP error! status: ${response.status}`);
   }
 
   const contentLength = response.headers.get('Content-Length');
-  const total = parseInt(contentLength, 10);
-  let loaded = 0;
+  const total = parseInt(contentLength, 10) > 0 ? parseInt(contentLength, 10) : null;
+
+  // 不支持流式读取的环境直接读取全部内容
+  if (!response.body) {
+    const data = new Uint8Array(await response.arrayBuffer());
+    progressCallback?.(1, data.byteLength, total ?? data.byteLength);
+    return data;
+  }
 
   const reader = response.body.getReader();
   const chunks = [];
+  let loaded = 0;
 
   while (true) {
     const { done, value } = await reader.read();
@@ -27,12 +37,17 @@ export async function downloadFile(url, progressCallback) {
     chunks.push(value);
     loaded += value.length;
 
-    if (progressCallback && total > 0) {
-      progressCallback(loaded / total);
-    }
+    // 压缩传输时 Content-Length 是压缩后的大小，进度可能超过 1
+    progressCallback?.(total ? Math.min(1, loaded / total) : null, loaded, total);
   }
 
-  return new Uint8Array(chunks.reduce((acc, chunk) => acc + chunk.length, 0));
+  const data = new Uint8Array(loaded);
+  let offset = 0;
+  for (const chunk of chunks) {
+    data.set(chunk, offset);
+    offset += chunk.length;
+  }
+  return data;
 }
 
 /**
@@ -150,13 +165,21 @@ export class MemoryMonitor {
  * 错误处理包装器
  * @param {Function} fn - 要执行的函数
  * @param {Object} options - 选项
+ * @param {number} [options.retries=0] - 失败后的重试次数
+ * @param {number} [options.retryDelay=1000] - 第一次重试前的等待时间（毫秒）
+ * @param {number} [options.backoff=1] - 每次重试后等待时间的倍数（2 为指数退避）
+ * @param {(error: Error, attempt: number) => void} [options.onError] - 每次失败时调用
+ * @param {(attempt: number) => void} [options.onRetry] - 每次重试前调用
+ * @param {(error: Error) => boolean} [options.shouldRetry] - 返回 false 时不再重试，直接抛出该错误
  */
 export async function safeExecute(fn, options = {}) {
   const {
     retries = 0,
     retryDelay = 1000,
+    backoff = 1,
     onError = null,
-    onRetry = null
+    onRetry = null,
+    shouldRetry = () => true
   } = options;
 
   let lastError;
@@ -171,11 +194,15 @@ export async function safeExecute(fn, options = {}) {
         onError(error, attempt);
       }
 
+      if (!shouldRetry(error)) {
+        throw error;
+      }
+
       if (attempt < retries) {
         if (onRetry) {
           onRetry(attempt + 1);
         }
-        await new Promise(resolve => setTimeout(resolve, retryDelay));
+        await new Promise(resolve => setTimeout(resolve, retryDelay * backoff ** attempt));
       }
     }
   }
@@ -0,0 +1,382 @@
+/**
+ * ONNX Worker Pool
+ *
+ * 管理多个 Web Worker，把推理请求分发给最空闲的 Worker，实现并行推理
+ *
+ * 使用示例:
+ * ```javascript
+ * import workerUrl from 'onnx-web-framework/worker?worker&url'
+ * import { createOnnxWorkerPool } from 'onnx-web-framework'
+ *
+ * const pool = createOnnxWorkerPool(workerUrl, { size: 4 })
+ *
+ * await pool.initialize({ wasmPaths: '/wasm/' })
+ * await pool.loadModel('model', modelBuffer)
+ * const results = await Promise.all(images.map(inputs => pool.run('model', inputs)))
+ * ```
+ */
+
+import { createOnnxWorkerProxy } from './worker-proxy.js';
+
+/**
+ * 默认 Worker 数量：CPU 核心数，最多 4 个
+ * @returns {number}
+ */
+function defaultPoolSize() {
+  const cores = globalThis.navigator?.hardwareConcurrency || 2;
+  return Math.max(1, Math.min(4, cores));
+}
+
+/**
+ * ONNX Worker 池
+ *
+ * 每个 Worker 各自加载一份模型；run() 请求进入池内队列，
+ * 按进行中请求数最少（相同时按累计耗时最少）的原则分发
+ */
+export class ONNXWorkerPool {
+  /**
+   * 构造函数
+   *
+   * @param {string | URL | null} workerUrl - Worker 脚本 URL
+   * @param {Object} options - 池配置
+   * @param {number} [options.size] - Worker 数量，默认为 CPU 核心数（最多 4 个）
+   * @param {WorkerOptions} [options.workerOptions={type: 'module'}] - new Worker() 的选项
+   * @param {(index: number) => Worker} [options.createWorker] - 自定义 Worker 创建函数（如 Vite 的 ?worker 导入），提供时忽略 workerUrl
+   * @param {number} [options.maxConcurrentPerWorker=1] - 每个 Worker 同时处理的请求数
+   * @param {boolean} [options.transfer=true] - 默认是否转移 ArrayBuffer（见 ONNXWorkerProxy）
+   */
+  constructor(workerUrl, options = {}) {
+    const {
+      size = defaultPoolSize(),
+      workerOptions = { type: 'module' },
+      createWorker = null,
+      maxConcurrentPerWorker = 1,
+      transfer = true
+    } = options;
+
+    if (!workerUrl && !createWorker) {
+      throw new Error('workerUrl or createWorker is required');
+    }
+    if (!Number.isInteger(size) || size < 1) {
+      throw new Error(`size must be a positive integer, got ${size}`);
+    }
+    if (!Number.isInteger(maxConcurrentPerWorker) || maxConcurrentPerWorker < 1) {
+      throw new Error(`maxConcurrentPerWorker must be a positive integer, got ${maxConcurrentPerWorker}`);
+    }
+
+    /**
+     * 每个 Worker 同时处理的请求数
+     * @type {number}
+     * @private
+     */
+    this.maxConcurrentPerWorker = maxConcurrentPerWorker;
+
+    /**
+     * 默认是否转移 ArrayBuffer
+     * @type {boolean}
+     * @private
+     */
+    this.transfer = transfer;
+
+    /**
+     * Worker 及其统计信息
+     * @type {Array<{index: number, proxy: import('./worker-proxy.js').ONNXWorkerProxy, activeRequests: number, completed: number, failed: number, totalTime: number}>}
+     * @private
+     */
+    this.workers = Array.from({ length: size }, (_, index) => ({
+      index,
+      proxy: createOnnxWorkerProxy(
+        createWorker ? createWorker(index) : new Worker(workerUrl, workerOptions),
+        { transfer }
+      ),
+      activeRequests: 0,
+      completed: 0,
+      failed: 0,
+      totalTime: 0
+    }));
+
+    /**
+     * 等待分发的 run() 请求
+     * @type {Array<{modelName: string, inputs: Object, signal: AbortSignal | null, transfer: boolean, resolve: Function, reject: Function, onAbort: Function}>}
+     * @private
+     */
+    this.queue = [];
+
+    /**
+     * 是否已释放
+     * @type {boolean}
+     * @private
+     */
+    this.isDisposed = false;
+
+    console.log(`[WorkerPool] ✅ 已创建 ${size} 个 Worker`);
+  }
+
+  /**
+   * Worker 数量
+   * @returns {number}
+   */
+  get size() {
+    return this.workers.length;
+  }
+
+  /**
+   * 等待分发的请求数
+   * @returns {number}
+   */
+  get queueDepth() {
+    return this.queue.length;
+  }
+
+  /**
+   * 初始化所有 Worker
+   *
+   * @param {Object} config - 初始化配置（同 ONNXWorkerProxy.initialize）
+   * @returns {Promise<void>}
+   */
+  async initialize(config = {}) {
+    this._assertNotDisposed();
+    await Promise.all(this.workers.map(worker => worker.proxy.initialize(config)));
+    console.log('[WorkerPool] ✅ 所有 Worker 初始化完成');
+  }
+
+  /**
+   * 在所有 Worker 中加载同一个模型
+   *
+   * modelBuffer 复制给前 N-1 个 Worker，最后一个 Worker 直接转移（transfer 为 true 时），
+   * 因此调用后 buffer 被分离；source 为 URL 时先由第一个 Worker 下载并写入缓存，
+   * 其余 Worker 再从缓存加载
+   *
+   * @param {string} modelName - 模型名称
+   * @param {ArrayBuffer | string | URL} source - 模型数据或模型 URL
+   * @param {Object} sessionOptions - Session 配置选项（同 ONNXWorkerProxy.loadModel），onProgress 只报告第一个 Worker 的加载进度
+   * @returns {Promise<import('./worker-types.js').ModelInfo>} 模型名称、输入输出名称和元数据（类型、形状）
+   *
+   * @example
+   * const modelBuffer = await fetch('/models/model.onnx').then(r => r.arrayBuffer())
+   * const info = await pool.loadModel('my-model', modelBuffer)
+   *
+   * @example
+   * const info = await pool.loadModel('my-model', '/models/model.onnx')
+   */
+  async loadModel(modelName, source, sessionOptions = {}) {
+    this._assertNotDisposed();
+
+    let results;
+    if (typeof source === 'string' || source instanceof URL) {
+      const [first, ...rest] = this.workers;
+      const { onProgress, ...options } = sessionOptions;
+      const info = await first.proxy.loadModel(modelName, source, sessionOptions);
+      await Promise.all(rest.map(worker => worker.proxy.loadModel(modelName, source, options)));
+      results = [info];
+    } else {
+      // 请求按顺序同步发出，转移放在最后，前面的 Worker 仍能复制到完整的 buffer
+      const transfer = sessionOptions.transfer ?? this.transfer;
+      const lastIndex = this.workers.length - 1;
+      results = await Promise.all(
+        this.workers.map(worker => worker.proxy.loadModel(modelName, source, {
+          ...sessionOptions,
+          transfer: transfer && worker.index === lastIndex
+        }))
+      );
+    }
+
+    console.log(`[WorkerPool] ✅ 模型 '${modelName}' 已加载到 ${this.size} 个 Worker`);
+    return results[0];
+  }
+
+  /**
+   * 从所有 Worker 中卸载模型
+   *
+   * @param {string} modelName - 模型名称
+   * @returns {Promise<boolean>} 模型是否已加载并被卸载
+   *
+   * @example
+   * await pool.unloadModel('my-model')
+   */
+  async unloadModel(modelName) {
+    this._assertNotDisposed();
+
+    const results = await Promise.all(
+      this.workers.map(worker => worker.proxy.unloadModel(modelName))
+    );
+
+    console.log(`[WorkerPool] 🗑️ 模型 '${modelName}' 已从 ${this.size} 个 Worker 卸载`);
+    return results.some(Boolean);
+  }
+
+  /**
+   * 运行推理：分发给最空闲的 Worker，所有 Worker 都忙时进入队列等待
+   *
+   * @param {string} modelName - 模型名称
+   * @param {Record<string, import('./worker-types.js').TensorData>} inputs - 输入张量字典
+   * @param {{signal?: AbortSignal, transfer?: boolean}} options - 请求选项；排队中被中止的请求直接移出队列，
+   *   transfer 同 ONNXWorkerProxy.run，输入 buffer 在分发给 Worker 时被分离
+   * @returns {Promise<Record<string, import('./worker-types.js').TensorData>>}
+   *
+   * @example
+   * const results = await Promise.all(
+   *   batches.map(inputs => pool.run('my-model', inputs))
+   * )
+   */
+  run(modelName, inputs, { signal = null, transfer = this.transfer } = {}) {
+    return new Promise((resolve, reject) => {
+      this._assertNotDisposed();
+      if (signal?.aborted) {
+        throw new DOMException('Request aborted: run_inference', 'AbortError');
+      }
+
+      const task = { modelName, inputs, signal, transfer, resolve, reject, onAbort: null };
+      task.onAbort = () => {
+        const index = this.queue.indexOf(task);
+        if (index !== -1) {
+          this.queue.splice(index, 1);
+          reject(new DOMException('Request aborted: run_inference', 'AbortError'));
+        }
+      };
+      signal?.addEventListener('abort', task.onAbort, { once: true });
+
+      this.queue.push(task);
+      this._dispatch();
+    });
+  }
+
+  /**
+   * 获取池的统计信息
+   *
+   * @returns {{size: number, queueDepth: number, activeRequests: number, workers: Array<{index: number, activeRequests: number, completed: number, failed: number, averageTime: number}>}}
+   *
+   * @example
+   * const stats = pool.getStats()
+   * console.log(`排队: ${stats.queueDepth}，进行中: ${stats.activeRequests}`)
+   */
+  getStats() {
+    const workers = this.workers.map(worker => ({
+      index: worker.index,
+      activeRequests: worker.activeRequests,
+      completed: worker.completed,
+      failed: worker.failed,
+      averageTime: worker.completed > 0 ? worker.totalTime / worker.completed : 0
+    }));
+
+    return {
+      size: this.size,
+      queueDepth: this.queueDepth,
+      activeRequests: workers.reduce((sum, worker) => sum + worker.activeRequests, 0),
+      workers
+    };
+  }
+
+  /**
+   * 释放所有 Worker，排队中的请求以错误结束
+   *
+   * @returns {Promise<void>}
+   */
+  async dispose() {
+    if (this.isDisposed) {
+      console.warn('[WorkerPool] 已经释放过了');
+      return;
+    }
+    this.isDisposed = true;
+
+    for (const task of this.queue.splice(0)) {
+      task.signal?.removeEventListener('abort', task.onAbort);
+      task.reject(new Error('Worker pool disposed'));
+    }
+
+    await Promise.all(this.workers.map(worker => worker.proxy.dispose()));
+    console.log('[WorkerPool] ✅ 释放完成');
+  }
+
+  /**
+   * 检查池是否已释放
+   *
+   * @returns {boolean}
+   */
+  get disposed() {
+    return this.isDisposed;
+  }
+
+  /**
+   * 把队列中的请求分发给空闲的 Worker
+   * @private
+   */
+  _dispatch() {
+    while (this.queue.length > 0) {
+      const worker = this._leastBusyWorker();
+      if (!worker) return;
+
+      const task = this.queue.shift();
+      task.signal?.removeEventListener('abort', task.onAbort);
+      this._runOnWorker(worker, task);
+    }
+  }
+
+  /**
+   * 进行中请求数最少的 Worker，相同时选累计耗时最少的；全部满载时返回 null
+   * @private
+   */
+  _leastBusyWorker() {
+    let best = null;
+    for (const worker of this.workers) {
+      if (worker.activeRequests >= this.maxConcurrentPerWorker) continue;
+      if (!best ||
+        worker.activeRequests < best.activeRequests ||
+        (worker.activeRequests === best.activeRequests && worker.totalTime < best.totalTime)) {
+        best = worker;
+      }
+    }
+    return best;
+  }
+
+  /**
+   * 在指定 Worker 上执行请求，完成后继续分发队列
+   * @private
+   */
+  async _runOnWorker(worker, task) {
+    worker.activeRequests++;
+    const startTime = performance.now();
+
+    try {
+      const result = await worker.proxy.run(task.modelName, task.inputs, {
+        signal: task.signal,
+        transfer: task.transfer
+      });
+      worker.completed++;
+      worker.totalTime += performance.now() - startTime;
+      task.resolve(result);
+    } catch (error) {
+      worker.failed++;
+      task.reject(error);
+    } finally {
+      worker.activeRequests--;
+      if (!this.isDisposed) {
+        this._dispatch();
+      }
+    }
+  }
+
+  /**
+   * @private
+   */
+  _assertNotDisposed() {
+    if (this.isDisposed) {
+      throw new Error('WorkerPool has been disposed');
+    }
+  }
+}
+
+/**
+ * 创建 ONNX Worker 池
+ *
+ * @param {string | URL | null} workerUrl - Worker 脚本 URL
+ * @param {Object} options - 池配置（见 ONNXWorkerPool 构造函数）
+ * @returns {ONNXWorkerPool}
+ *
+ * @example
+ * import workerUrl from 'onnx-web-framework/worker?worker&url'
+ * const pool = createOnnxWorkerPool(workerUrl, { size: 4 })
+ */
+export function createOnnxWorkerPool(workerUrl, options = {}) {
+  return new ONNXWorkerPool(workerUrl, options);
+}
@@ -15,6 +15,10 @@
  * await proxy.initialize({ wasmPaths: '/wasm/' })
  * await proxy.loadModel('model', modelBuffer)
  * const result = await proxy.run('model', inputs)
+ *
+ * // 文本模型：分词也在 Worker 中完成
+ * await proxy.loadTokenizer('tokenizer', '/models/tokenizer.json')
+ * const { outputs } = await proxy.runText('model', 'tokenizer', ['Hello world'])
  * ```
  */
 
@@ -23,27 +27,150 @@ import {
   InitializeConfig,
   LoadModelRequest,
   RunInferenceRequest,
-  WorkerResponse
+  WorkerResponse,
+  collectTransferables
 } from './worker-types.js';
+import { FeedValidationError, validateFeeds } from './model-metadata.js';
+
+/**
+ * Worker 崩溃后可以重新发送的请求类型（幂等请求）
+ *
+ * 流式生成已经输出了部分结果，重新发送会重复输出，因此不重试
+ */
+const RETRYABLE_TYPES = new Set([
+  WorkerMessageType.INITIALIZE,
+  WorkerMessageType.LOAD_MODEL,
+  WorkerMessageType.UNLOAD_MODEL,
+  WorkerMessageType.LIST_MODELS,
+  WorkerMessageType.GET_MODEL_INFO,
+  WorkerMessageType.RUN_INFERENCE,
+  WorkerMessageType.LOAD_TOKENIZER,
+  WorkerMessageType.TOKENIZE,
+  WorkerMessageType.DETOKENIZE,
+  WorkerMessageType.RUN_TEXT
+]);
+
+/**
+ * supervisor 模式默认配置
+ */
+const DEFAULT_SUPERVISOR_OPTIONS = {
+  heartbeatInterval: 5000,
+  heartbeatTimeout: 30000,
+  busyHeartbeatTimeout: 120000,
+  maxRestarts: 3,
+  maxRetries: 1,
+  onRestart: null
+};
+
+/**
+ * 从 URL 加载模型时两次响应之间的默认超时时间（毫秒），下载进度会重新计时
+ */
+const URL_LOAD_TIMEOUT = 300000; // 5分钟
+
+/**
+ * 把模型 URL 解析为绝对 URL
+ *
+ * Worker 脚本可能与页面不在同一目录，相对 URL 按当前页面解析后再发送
+ *
+ * @param {string | URL} url - 模型 URL
+ * @returns {string}
+ */
+function resolveUrl(url) {
+  return globalThis.location ? new URL(url, globalThis.location.href).href : String(url);
+}
+
+/**
+ * 创建请求被取消时的 AbortError
+ *
+ * @param {string} type - 请求类型
+ * @returns {DOMException}
+ */
+function createAbortError(type) {
+  return new DOMException(`Request aborted: ${type}`, 'AbortError');
+}
 
 /**
  * ONNX Worker 代理类
  *
  * 封装 Worker 通信，提供 Promise API
+ *
+ * 传入 Worker 工厂函数时启用 supervisor 模式：通过 Worker 错误事件和心跳检测崩溃或无响应，
+ * 重新创建 Worker，重放初始化配置、已加载的模型和 Tokenizer，然后重新发送幂等请求
  */
 export class ONNXWorkerProxy {
   /**
    * 构造函数
    *
-   * @param {Worker} worker - Web Worker 实例
+   * @param {Worker | (() => Worker)} worker - Web Worker 实例，或 Worker 工厂函数（启用 supervisor 模式）
+   * @param {Object} options - 代理选项
+   * @param {boolean} [options.transfer] - 默认是否转移（而非复制）模型和张量的 ArrayBuffer，可在每次调用时覆盖；
+   *   默认 true，supervisor 模式下默认 false（重试需要保留原始数据）
+   * @param {Object} [options.supervisor] - supervisor 模式配置
+   * @param {number} [options.supervisor.heartbeatInterval=5000] - 心跳间隔（毫秒）
+   * @param {number} [options.supervisor.heartbeatTimeout=30000] - 空闲时的心跳超时（毫秒）
+   * @param {number} [options.supervisor.busyHeartbeatTimeout=120000] - 有请求进行中时的心跳超时（毫秒），应大于单次推理阻塞 Worker 的最长时间
+   * @param {number} [options.supervisor.maxRestarts=3] - 连续重启次数上限（心跳恢复正常后清零），超过后放弃
+   * @param {number} [options.supervisor.maxRetries=1] - 每个幂等请求因崩溃重新发送的次数上限
+   * @param {(reason: string, attempt: number) => void} [options.supervisor.onRestart] - 重启 Worker 时的回调
    */
-  constructor(worker) {
+  constructor(worker, options = {}) {
+    /**
+     * Worker 工厂函数（supervisor 模式）
+     * @type {(() => Worker) | null}
+     * @private
+     */
+    this.createWorker = typeof worker === 'function' ? worker : null;
+
     /**
      * Web Worker 实例
      * @type {Worker}
      * @private
      */
-    this.worker = worker;
+    this.worker = this.createWorker ? this.createWorker() : worker;
+
+    /**
+     * supervisor 配置，非 supervisor 模式为 null
+     * @type {typeof DEFAULT_SUPERVISOR_OPTIONS | null}
+     * @private
+     */
+    this.supervisor = this.createWorker
+      ? { ...DEFAULT_SUPERVISOR_OPTIONS, ...options.supervisor }
+      : null;
+
+    /**
+     * Worker 状态，supervisor 模式下用于重启后重放
+     * @type {{config: InitializeConfig | null, models: Map<string, {modelBuffer?: ArrayBuffer, url?: string, sessionOptions: Object}>, tokenizers: Map<string, {url: string, options: Object}>}}
+     * @private
+     */
+    this.state = { config: null, models: new Map(), tokenizers: new Map() };
+
+    /**
+     * 正在进行的重启，完成前新的请求等待
+     * @type {Promise<void> | null}
+     * @private
+     */
+    this.restarting = null;
+
+    /**
+     * 连续重启次数
+     * @type {number}
+     * @private
+     */
+    this.restartCount = 0;
+
+    /**
+     * 心跳定时器
+     * @type {number | null}
+     * @private
+     */
+    this.heartbeatTimer = null;
+
+    /**
+     * 放弃重启时的原因，之后的请求直接失败
+     * @type {string | null}
+     * @private
+     */
+    this.crashReason = null;
 
     /**
      * 请求 ID 计数器
@@ -54,11 +181,25 @@ export class ONNXWorkerProxy {
 
     /**
      * 待处理的请求 Map
-     * @type {Map<number, {resolve: Function, reject: Function, timeout: number}>}
+     * @type {Map<number, {resolve: Function, reject: Function, timeout: number, onPartial: Function | null, resetTimeout: Function}>}
      * @private
      */
     this.pendingRequests = new Map();
 
+    /**
+     * 已取消、尚未收到最终响应的请求 ID
+     * @type {Set<number>}
+     * @private
+     */
+    this.cancelledRequests = new Set();
+
+    /**
+     * 已加载模型的输入元数据，run() 发送前在主线程校验输入
+     * @type {Map<string, Record<string, import('./model-metadata.js').TensorMetadata>>}
+     * @private
+     */
+    this.inputMetadata = new Map();
+
     /**
      * 默认请求超时时间（毫秒）
      * @type {number}
@@ -66,6 +207,13 @@ export class ONNXWorkerProxy {
      */
     this.defaultTimeout = 60000; // 60秒
 
+    /**
+     * 默认是否转移 ArrayBuffer
+     * @type {boolean}
+     * @private
+     */
+    this.transfer = options.transfer ?? !this.supervisor;
+
     /**
      * 是否已释放
      * @type {boolean}
@@ -73,6 +221,18 @@ export class ONNXWorkerProxy {
      */
     this.isDisposed = false;
 
+    this._bindWorker();
+
+    if (this.supervisor) {
+      this._startHeartbeat();
+    }
+  }
+
+  /**
+   * 绑定 Worker 事件处理器
+   * @private
+   */
+  _bindWorker() {
     // 绑定消息处理器
     this.worker.onmessage = this._handleMessage.bind(this);
 
@@ -93,21 +253,32 @@ export class ONNXWorkerProxy {
     const pending = this.pendingRequests.get(res.id);
 
     if (!pending) {
+      // 已取消的请求：忽略剩余响应，收到最终响应后不再跟踪
+      if (this.cancelledRequests.has(res.id)) {
+        if (res.type !== WorkerMessageType.PARTIAL) {
+          this.cancelledRequests.delete(res.id);
+        }
+        return;
+      }
+
       console.warn(`[WorkerProxy] 没有找到 ID 为 ${res.id} 的待处理请求`);
       return;
     }
 
-    // 清理超时定时器
-    if (pending.timeout) {
-      clearTimeout(pending.timeout);
+    // 流式中间结果：请求仍在进行，重新计时
+    if (res.type === WorkerMessageType.PARTIAL) {
+      pending.resetTimeout();
+      if (pending.onPartial) {
+        pending.onPartial(res.data);
+      }
+      return;
     }
 
-    // 从待处理列表中移除
-    this.pendingRequests.delete(res.id);
-
-    // 处理响应
+    // 处理响应（同时清理超时定时器并从待处理列表中移除）
     if (res.type === WorkerMessageType.ERROR || res.error) {
-      pending.reject(new Error(res.error || 'Unknown error'));
+      pending.reject(res.data?.name === 'FeedValidationError'
+        ? FeedValidationError.fromJSON(res.data)
+        : new Error(res.error || 'Unknown error'));
     } else {
       pending.resolve(res.data);
     }
@@ -122,6 +293,20 @@ export class ONNXWorkerProxy {
   _handleError(e) {
     console.error('[WorkerProxy] Worker 错误:', e.message, e);
 
+    if (this.supervisor) {
+      if (this.restarting) {
+        // 重放状态时崩溃：让重放请求失败，由重启流程再次重启
+        for (const pending of this.pendingRequests.values()) {
+          if (pending.internal) {
+            pending.reject(new Error(`Worker error: ${e.message}`));
+          }
+        }
+      } else {
+        this._restart(`Worker error: ${e.message}`);
+      }
+      return;
+    }
+
     // 拒绝所有待处理的请求
     for (const [id, pending] of this.pendingRequests.entries()) {
       if (pending.timeout) {
@@ -139,51 +324,333 @@ export class ONNXWorkerProxy {
    *
    * @param {string} type - 请求类型
    * @param {Object} data - 请求数据
-   * @param {number} timeout - 超时时间（毫秒）
+   * @param {Object} options - 请求选项
+   * @param {number} [options.timeout] - 超时时间（毫秒）；流式请求每收到一个 PARTIAL 响应重新计时
+   * @param {((data: any) => void) | null} [options.onPartial] - PARTIAL 响应回调
+   * @param {AbortSignal | null} [options.signal] - 中止后通知 Worker 取消请求，并以 AbortError 拒绝
+   * @param {ArrayBuffer[]} [options.transfer] - 转移给 Worker 的 ArrayBuffer，发送后在主线程中被分离
+   * @param {boolean} [options.internal] - 内部请求（心跳、状态重放）：不等待重启完成，Worker 崩溃时不重试
    * @returns {Promise<any>}
    */
-  async _request(type, data = {}, timeout = null) {
+  async _request(type, data = {}, { timeout = null, onPartial = null, signal = null, transfer = [], internal = false } = {}) {
     if (this.isDisposed) {
       throw new Error('WorkerProxy has been disposed');
     }
+    if (this.restarting && !internal) {
+      await this.restarting;
+    }
+    if (this.crashReason) {
+      throw new Error(`Worker crashed: ${this.crashReason}`);
+    }
+    if (signal?.aborted) {
+      throw createAbortError(type);
+    }
 
     const id = ++this.requestId;
     const reqTimeout = timeout || this.defaultTimeout;
 
     return new Promise((resolve, reject) => {
-      // 创建超时定时器
-      const timeoutId = setTimeout(() => {
+      // 结束请求：清理超时定时器和中止监听，并从待处理列表中移除
+      const settle = (callback, value) => {
+        clearTimeout(pending.timeout);
+        signal?.removeEventListener('abort', onAbort);
         this.pendingRequests.delete(id);
-        reject(new Error(`Request timeout: ${type} (${reqTimeout}ms)`));
-      }, reqTimeout);
+        callback(value);
+      };
 
-      // 保存待处理请求
-      this.pendingRequests.set(id, {
-        resolve,
-        reject,
-        timeout: timeoutId
-      });
+      // 创建超时定时器
+      const startTimeout = () => setTimeout(() => {
+        settle(reject, new Error(`Request timeout: ${type} (${reqTimeout}ms)`));
+      }, reqTimeout);
 
-      // 发送消息到 Worker
-      try {
+      // 中止：通知 Worker 丢弃或停止该请求，之后的响应会被忽略
+      const onAbort = () => {
+        this.cancelledRequests.add(id);
         this.worker.postMessage({
+          id: ++this.requestId,
+          type: WorkerMessageType.CANCEL,
+          requestId: id
+        });
+        settle(reject, createAbortError(type));
+      };
+
+      // 保存待处理请求
+      const pending = {
+        resolve: value => settle(resolve, value),
+        reject: error => settle(reject, error),
+        timeout: startTimeout(),
+        onPartial,
+        resetTimeout: () => {
+          clearTimeout(pending.timeout);
+          pending.timeout = startTimeout();
+        },
+        type,
+        internal,
+        retries: 0,
+        // 发送消息到 Worker（崩溃重启后重新发送时复用）
+        send: () => this.worker.postMessage({
           id,
           type,
           ...data
-        });
+        }, transfer),
+        // 被转移的 buffer 已分离，无法重新发送
+        canRetry: () => Boolean(this.supervisor) &&
+          !internal &&
+          RETRYABLE_TYPES.has(type) &&
+          pending.retries < this.supervisor.maxRetries &&
+          transfer.every(buffer => buffer.byteLength > 0)
+      };
+      this.pendingRequests.set(id, pending);
+      signal?.addEventListener('abort', onAbort, { once: true });
+
+      try {
+        pending.send();
       } catch (error) {
         // 发送失败，立即清理
-        clearTimeout(timeoutId);
-        this.pendingRequests.delete(id);
-        reject(error);
+        pending.reject(error);
       }
     });
   }
 
+  /**
+   * 重启 Worker（supervisor 模式），同一时间只进行一次
+   * @private
+   *
+   * @param {string} reason - 重启原因
+   * @returns {Promise<void>}
+   */
+  _restart(reason) {
+    if (!this.restarting) {
+      this.restarting = this._recover(reason).finally(() => {
+        this.restarting = null;
+      });
+    }
+    return this.restarting;
+  }
+
+  /**
+   * 重新创建 Worker 并恢复状态
+   *
+   * 1. 可重试的待处理请求暂停计时，其余以错误结束
+   * 2. 终止旧 Worker，创建新 Worker
+   * 3. 重放初始化配置、模型和 Tokenizer；失败时再次重启，直到达到 maxRestarts
+   * 4. 重新发送暂停的请求
+   * @private
+   *
+   * @param {string} reason - 重启原因
+   */
+  async _recover(reason) {
+    console.warn(`[WorkerProxy] ⚠️ Worker 崩溃（${reason}），正在重启...`);
+    this._stopHeartbeat();
+
+    const retrying = [];
+    for (const pending of this.pendingRequests.values()) {
+      if (pending.canRetry()) {
+        clearTimeout(pending.timeout);
+        retrying.push(pending);
+      } else {
+        pending.reject(new Error(`Worker crashed: ${reason}`));
+      }
+    }
+
+    while (true) {
+      if (this.restartCount >= this.supervisor.maxRestarts) {
+        this.crashReason = reason;
+        console.error(`[WorkerProxy] ❌ Worker 连续重启 ${this.restartCount} 次失败，放弃重启`);
+        for (const pending of retrying) {
+          pending.reject(new Error(`Worker crashed: ${reason}`));
+        }
+        return;
+      }
+
+      this.restartCount++;
+      if (this.supervisor.onRestart) {
+        this.supervisor.onRestart(reason, this.restartCount);
+      }
+
+      try {
+        this.worker.terminate();
+      } catch (error) {
+        console.warn('[WorkerProxy] 终止旧 Worker 失败:', error);
+      }
+      this.worker = this.createWorker();
+      this._bindWorker();
+
+      try {
+        await this._replayState();
+        break;
+      } catch (error) {
+        reason = error.message;
+        console.warn(`[WorkerProxy] ⚠️ 恢复 Worker 状态失败（${reason}），再次重启...`);
+      }
+    }
+
+    for (const pending of retrying) {
+      pending.retries++;
+      pending.resetTimeout();
+      try {
+        pending.send();
+      } catch (error) {
+        pending.reject(error);
+      }
+    }
+
+    console.log(`[WorkerProxy] ✅ Worker 已重启，重新发送 ${retrying.length} 个请求`);
+    this._startHeartbeat();
+  }
+
+  /**
+   * 在新 Worker 中重放初始化配置、已加载的模型和 Tokenizer
+   * @private
+   */
+  async _replayState() {
+    const { config, models, tokenizers } = this.state;
+
+    if (config) {
+      await this._request(WorkerMessageType.INITIALIZE, { config }, { internal: true });
+    }
+    for (const [modelName, { modelBuffer, url, sessionOptions }] of models) {
+      await this._request(WorkerMessageType.LOAD_MODEL, {
+        modelName,
+        modelBuffer,
+        url,
+        sessionOptions
+      }, { internal: true, timeout: url ? URL_LOAD_TIMEOUT : null });
+    }
+    for (const [tokenizerName, { url, options }] of tokenizers) {
+      await this._request(WorkerMessageType.LOAD_TOKENIZER, {
+        tokenizerName,
+        url,
+        options
+      }, { internal: true });
+    }
+  }
+
+  /**
+   * 定时发送心跳，超时未响应时重启 Worker
+   *
+   * WASM 推理（session.run）会阻塞 Worker 线程，期间无法响应 PING。
+   * 有外部请求进行中时按 busyHeartbeatTimeout 判断，空闲时按 heartbeatTimeout 判断
+   * @private
+   */
+  _startHeartbeat() {
+    const { heartbeatInterval, heartbeatTimeout, busyHeartbeatTimeout } = this.supervisor;
+    const maxTimeout = Math.max(heartbeatTimeout, busyHeartbeatTimeout);
+    let sentAt = null;
+
+    this.heartbeatTimer = setInterval(async () => {
+      if (this.restarting || this.isDisposed) return;
+
+      // 上一次 PING 还没有响应：Worker 空闲时超过 heartbeatTimeout 即重启
+      if (sentAt !== null) {
+        if (!this._isBusy() && Date.now() - sentAt >= heartbeatTimeout) {
+          this._restart(`heartbeat timeout (${heartbeatTimeout}ms)`);
+        }
+        return;
+      }
+
+      sentAt = Date.now();
+      try {
+        await this._request(WorkerMessageType.PING, {}, { timeout: maxTimeout, internal: true });
+        this.restartCount = 0;
+      } catch (error) {
+        if (!this.restarting && !this.isDisposed && !this.crashReason) {
+          this._restart(`heartbeat timeout (${maxTimeout}ms)`);
+        }
+      } finally {
+        sentAt = null;
+      }
+    }, heartbeatInterval);
+  }
+
+  /**
+   * 是否有外部请求（非心跳、非状态重放）正在进行
+   * @private
+   *
+   * @returns {boolean}
+   */
+  _isBusy() {
+    for (const pending of this.pendingRequests.values()) {
+      if (!pending.internal) return true;
+    }
+    return false;
+  }
+
+  /**
+   * 停止心跳
+   * @private
+   */
+  _stopHeartbeat() {
+    if (this.heartbeatTimer) {
+      clearInterval(this.heartbeatTimer);
+      this.heartbeatTimer = null;
+    }
+  }
+
+  /**
+   * 发送流式请求，以异步迭代器的形式产出 PARTIAL 响应
+   * @private
+   *
+   * @param {string} type - 请求类型
+   * @param {Object} data - 请求数据
+   * @param {Object} options - 请求选项
+   * @param {number} [options.timeout] - 两次响应之间的超时时间（毫秒）
+   * @param {AbortSignal | null} [options.signal] - 中止后通知 Worker 取消请求
+   * @returns {AsyncGenerator<any, any>} 迭代器的返回值为最终的 RESULT 数据
+   */
+  async *_requestStream(type, data = {}, { timeout = null, signal = null } = {}) {
+    const queue = [];
+    let wake = null;
+    let settled = false;
+
+    // 提前结束迭代时也需要取消 Worker 中的请求，因此使用内部的 AbortController
+    const controller = new AbortController();
+    const forwardAbort = () => controller.abort();
+    if (signal?.aborted) {
+      controller.abort();
+    }
+    signal?.addEventListener('abort', forwardAbort, { once: true });
+
+    const notify = () => {
+      if (wake) {
+        wake();
+        wake = null;
+      }
+    };
+
+    const result = this._request(type, data, {
+      timeout,
+      signal: controller.signal,
+      onPartial: (partial) => {
+        queue.push(partial);
+        notify();
+      }
+    });
+    result.then(() => { settled = true; notify(); }, () => { settled = true; notify(); });
+
+    try {
+      while (queue.length > 0 || !settled) {
+        if (queue.length > 0) {
+          yield queue.shift();
+        } else {
+          await new Promise(resolve => { wake = resolve; });
+        }
+      }
+      return await result;
+    } finally {
+      signal?.removeEventListener('abort', forwardAbort);
+      // 提前结束迭代：取消 Worker 中的请求，并避免未处理的 rejection
+      if (!settled) {
+        controller.abort();
+      }
+      result.catch(() => {});
+    }
+  }
+
   /**
    * 初始化 Worker
    *
-   * @param {Partial<InitializeConfig>} config - 初始化配置
+   * @param {Partial<InitializeConfig> & {signal?: AbortSignal}} config - 初始化配置
    * @returns {Promise<void>}
    *
    * @example
@@ -194,17 +661,29 @@ export class ONNXWorkerProxy {
    */
   async initialize(config = {}) {
     const initConfig = new InitializeConfig(config);
-    await this._request(WorkerMessageType.INITIALIZE, { config: initConfig });
+    await this._request(
+      WorkerMessageType.INITIALIZE,
+      { config: initConfig },
+      { signal: config.signal }
+    );
+    this.state.config = initConfig;
     console.log('[WorkerProxy] ✅ Worker 初始化完成');
   }
 
   /**
    * 加载模型
    *
+   * source 为 URL 时由 Worker 通过 ModelCache 下载（优先 .ort 格式、分块 Range 下载，
+   * 与主线程共用 IndexedDB 缓存），模型数据不经过主线程
+   *
    * @param {string} modelName - 模型名称（用于后续引用）
-   * @param {ArrayBuffer} modelBuffer - 模型数据（ArrayBuffer）
-   * @param {Object} sessionOptions - Session 配置选项
-   * @returns {Promise<{modelName: string, inputNames: string[], outputNames: string[]}>}
+   * @param {ArrayBuffer | string | URL} source - 模型数据（ArrayBuffer）或模型 URL（相对 URL 按当前页面解析）
+   * @param {Object} sessionOptions - Session 配置选项；signal 用于取消请求，
+   *   transfer（默认同代理配置）为 true 时 modelBuffer 转移给 Worker，调用后被分离（byteLength 为 0）；
+   *   supervisor 模式下始终复制，并保留 modelBuffer（或 URL）用于重启后重新加载；
+   *   onProgress 接收加载进度 {modelName, url, phase, loaded, total, eta}（见 ModelCache）；
+   *   timeout 为两次响应之间的超时时间（URL 加载默认 5 分钟）
+   * @returns {Promise<import('./worker-types.js').ModelInfo>} 模型名称、输入输出名称和元数据（类型、形状）
    *
    * @example
    * const modelResponse = await fetch('/models/model.onnx')
@@ -212,21 +691,50 @@ export class ONNXWorkerProxy {
    * const info = await proxy.loadModel('my-model', modelBuffer)
    * console.log('输入:', info.inputNames)
    * console.log('输出:', info.outputNames)
+   *
+   * @example
+   * // 由 Worker 下载并缓存模型
+   * await proxy.loadModel('my-model', '/models/model.onnx', {
+   *   onProgress: ({ loaded, total }) => console.log(`${loaded}/${total}`)
+   * })
    */
-  async loadModel(modelName, modelBuffer, sessionOptions = {}) {
+  async loadModel(modelName, source, sessionOptions = {}) {
     if (!modelName) {
       throw new Error('modelName is required');
     }
-    if (!modelBuffer) {
-      throw new Error('modelBuffer is required');
+    if (!source) {
+      throw new Error('modelBuffer or url is required');
     }
 
+    const {
+      signal,
+      transfer = this.transfer,
+      onProgress = null,
+      timeout = null,
+      ...options
+    } = sessionOptions;
+
+    const isUrl = typeof source === 'string' || source instanceof URL;
+    const model = isUrl
+      ? { url: resolveUrl(source) }
+      : { modelBuffer: source };
+
     const result = await this._request(WorkerMessageType.LOAD_MODEL, {
       modelName,
-      modelBuffer,
-      sessionOptions
+      ...model,
+      sessionOptions: options
+    }, {
+      signal,
+      timeout: timeout ?? (isUrl ? URL_LOAD_TIMEOUT : null),
+      onPartial: onProgress,
+      transfer: transfer && !isUrl && !this.supervisor ? collectTransferables([source]) : []
     });
 
+    if (this.supervisor) {
+      this.state.models.set(modelName, { ...model, sessionOptions: options });
+    }
+    this.inputMetadata.set(modelName, result.inputMetadata);
+
     console.log(`[WorkerProxy] ✅ 模型 '${modelName}' 加载成功`);
     return result;
   }
@@ -236,7 +744,10 @@ export class ONNXWorkerProxy {
    *
    * @param {string} modelName - 模型名称
    * @param {Record<string, TensorData>} inputs - 输入张量字典
+   * @param {{signal?: AbortSignal, transfer?: boolean}} options - 请求选项；transfer（默认同代理配置）为 true 时
+   *   inputs 中各张量 data 的 ArrayBuffer 转移给 Worker，调用后被分离，结果张量也由 Worker 转移回来
    * @returns {Promise<Record<string, TensorData>>} 输出张量字典
+   * @throws {FeedValidationError} 输入与模型的名称、类型或固定维度不匹配时（不会发送请求）
    *
    * @example
    * const result = await proxy.run('my-model', {
@@ -247,7 +758,7 @@ export class ONNXWorkerProxy {
    *   }
    * })
    */
-  async run(modelName, inputs) {
+  async run(modelName, inputs, { signal, transfer = this.transfer } = {}) {
     if (!modelName) {
       throw new Error('modelName is required');
     }
@@ -255,12 +766,262 @@ export class ONNXWorkerProxy {
       throw new Error('inputs is required');
     }
 
+    // 发送前校验，避免输入 buffer 被转移后才在 Worker 中失败
+    const inputMetadata = this.inputMetadata.get(modelName);
+    if (inputMetadata) {
+      validateFeeds(modelName, inputs, inputMetadata);
+    }
+
     return await this._request(WorkerMessageType.RUN_INFERENCE, {
       modelName,
-      inputs
+      inputs,
+      transfer
+    }, {
+      signal,
+      transfer: transfer
+        ? collectTransferables(Object.values(inputs).map(tensor => tensor.data))
+        : []
     });
   }
 
+  /**
+   * 卸载 Worker 中的模型，释放会话占用的 WASM 内存
+   *
+   * @param {string} modelName - 模型名称
+   * @param {{signal?: AbortSignal}} options - 请求选项
+   * @returns {Promise<boolean>} 模型是否已加载并被卸载
+   *
+   * @example
+   * await proxy.unloadModel('detector')
+   * await proxy.loadModel('classifier', classifierBuffer)
+   */
+  async unloadModel(modelName, { signal } = {}) {
+    if (!modelName) {
+      throw new Error('modelName is required');
+    }
+
+    const { success } = await this._request(WorkerMessageType.UNLOAD_MODEL, {
+      modelName
+    }, { signal });
+
+    // 卸载后不再在重启时重新加载，同时释放保留的 modelBuffer
+    this.state.models.delete(modelName);
+    this.inputMetadata.delete(modelName);
+
+    if (success) {
+      console.log(`[WorkerProxy] 🗑️ 模型 '${modelName}' 已卸载`);
+    }
+    return success;
+  }
+
+  /**
+   * 列出 Worker 中已加载的模型
+   *
+   * @param {{signal?: AbortSignal}} options - 请求选项
+   * @returns {Promise<string[]>}
+   *
+   * @example
+   * const models = await proxy.listModels()
+   */
+  async listModels({ signal } = {}) {
+    return await this._request(WorkerMessageType.LIST_MODELS, {}, { signal });
+  }
+
+  /**
+   * 获取 Worker 中已加载模型的信息
+   *
+   * @param {string} modelName - 模型名称
+   * @param {{signal?: AbortSignal}} options - 请求选项
+   * @returns {Promise<import('./worker-types.js').ModelInfo | null>} 模型未加载时为 null
+   *
+   * @example
+   * const info = await proxy.getModelInfo('my-model')
+   * console.log(info?.inputNames)
+   */
+  async getModelInfo(modelName, { signal } = {}) {
+    if (!modelName) {
+      throw new Error('modelName is required');
+    }
+
+    return await this._request(WorkerMessageType.GET_MODEL_INFO, {
+      modelName
+    }, { signal });
+  }
+
+  /**
+   * 在 Worker 中加载 Tokenizer
+   *
+   * @param {string} tokenizerName - Tokenizer 名称（用于后续引用）
+   * @param {string} url - tokenizer.json / vocab.txt 的 URL
+   * @param {Object} options - TokenizerLoader.loadFromUrl 的加载选项；signal 用于取消请求
+   * @returns {Promise<{tokenizerName: string, vocabSize: number, specialTokens: Object}>}
+   *
+   * @example
+   * const info = await proxy.loadTokenizer('bge', '/models/bge/tokenizer.json')
+   * console.log('词表大小:', info.vocabSize)
+   */
+  async loadTokenizer(tokenizerName, url, options = {}) {
+    if (!tokenizerName) {
+      throw new Error('tokenizerName is required');
+    }
+    if (!url) {
+      throw new Error('url is required');
+    }
+
+    const { signal, ...loadOptions } = options;
+    const result = await this._request(WorkerMessageType.LOAD_TOKENIZER, {
+      tokenizerName,
+      url,
+      options: loadOptions
+    }, { signal });
+
+    if (this.supervisor) {
+      this.state.tokenizers.set(tokenizerName, { url, options: loadOptions });
+    }
+
+    console.log(`[WorkerProxy] ✅ Tokenizer '${tokenizerName}' 加载成功`);
+    return result;
+  }
+
+  /**
+   * 在 Worker 中分词
+   *
+   * 传入字符串返回 encode() 结果，传入字符串数组返回 encodeBatch() 结果
+   *
+   * @param {string} tokenizerName - Tokenizer 名称
+   * @param {string | string[]} texts - 文本或文本数组
+   * @param {Object} options - encode / encodeBatch 选项；signal 用于取消请求
+   * @returns {Promise<Object>}
+   *
+   * @example
+   * const encoding = await proxy.tokenize('bge', 'Hello world')
+   * const batch = await proxy.tokenize('bge', ['Hello', 'world'], { maxLength: 128 })
+   */
+  async tokenize(tokenizerName, texts, options = {}) {
+    if (!tokenizerName) {
+      throw new Error('tokenizerName is required');
+    }
+    if (typeof texts !== 'string' && !Array.isArray(texts)) {
+      throw new Error('texts must be a string or an array of strings');
+    }
+
+    const { signal, ...encodeOptions } = options;
+    return await this._request(WorkerMessageType.TOKENIZE, {
+      tokenizerName,
+      texts,
+      options: encodeOptions
+    }, { signal });
+  }
+
+  /**
+   * 在 Worker 中解码 token IDs
+   *
+   * 传入 number[] 返回字符串，传入 number[][] 返回字符串数组
+   *
+   * @param {string} tokenizerName - Tokenizer 名称
+   * @param {number[] | number[][]} ids - token IDs
+   * @param {{skipSpecialTokens?: boolean, signal?: AbortSignal}} options - 解码选项
+   * @returns {Promise<string | string[]>}
+   *
+   * @example
+   * const text = await proxy.detokenize('bge', [101, 7592, 102], { skipSpecialTokens: true })
+   */
+  async detokenize(tokenizerName, ids, options = {}) {
+    if (!tokenizerName) {
+      throw new Error('tokenizerName is required');
+    }
+    if (!Array.isArray(ids)) {
+      throw new Error('ids must be an array');
+    }
+
+    const { signal, ...decodeOptions } = options;
+    return await this._request(WorkerMessageType.DETOKENIZE, {
+      tokenizerName,
+      ids,
+      options: decodeOptions
+    }, { signal });
+  }
+
+  /**
+   * 分词并推理，文本只需一次消息往返
+   *
+   * Worker 按模型的 inputNames 生成 input_ids / attention_mask / token_type_ids
+   *
+   * @param {string} modelName - 模型名称
+   * @param {string} tokenizerName - Tokenizer 名称
+   * @param {string | string[]} texts - 文本或文本数组
+   * @param {Object} options - encodeBatch 选项（padding、maxLength、truncation 等）；signal 用于取消请求，
+   *   transfer（默认同代理配置）为 false 时结果张量按结构化克隆复制
+   * @returns {Promise<{outputs: Record<string, TensorData>, encoding: Object}>}
+   *
+   * @example
+   * await proxy.loadModel('bge', modelBuffer)
+   * await proxy.loadTokenizer('bge', '/models/bge/tokenizer.json')
+   * const { outputs } = await proxy.runText('bge', 'bge', ['你好', '世界'])
+   */
+  async runText(modelName, tokenizerName, texts, options = {}) {
+    if (!modelName) {
+      throw new Error('modelName is required');
+    }
+    if (!tokenizerName) {
+      throw new Error('tokenizerName is required');
+    }
+    if (typeof texts === 'string') {
+      texts = [texts];
+    }
+    if (!Array.isArray(texts) || texts.length === 0) {
+      throw new Error('texts is required');
+    }
+
+    const { signal, transfer = this.transfer, ...encodeOptions } = options;
+    return await this._request(WorkerMessageType.RUN_TEXT, {
+      modelName,
+      tokenizerName,
+      texts,
+      options: encodeOptions,
+      transfer
+    }, { signal });
+  }
+
+  /**
+   * 在 Worker 中流式生成文本
+   *
+   * 返回异步迭代器，每生成一段文本产出一次；迭代器的返回值为
+   * {text, tokenIds, finishReason}。超时时间按两次输出之间的间隔计算
+   *
+   * @param {string} modelName - 模型名称
+   * @param {string} tokenizerName - Tokenizer 名称
+   * @param {string | number[]} prompt - 提示文本或 token IDs
+   * @param {Object} options - 生成选项（同 ONNXWebFramework.generate，不支持 random 等函数选项）；
+   *   signal 中止后 Worker 在下一步之前停止生成，提前结束迭代同样会取消生成
+   * @returns {AsyncGenerator<string, {text: string, tokenIds: number[], finishReason: string}>}
+   *
+   * @example
+   * await proxy.loadTokenizer('gpt2', '/models/gpt2/tokenizer.json')
+   * for await (const text of proxy.generate('gpt2', 'gpt2', 'Once upon a time', { maxNewTokens: 50 })) {
+   *   output.textContent += text
+   * }
+   */
+  async *generate(modelName, tokenizerName, prompt, options = {}) {
+    if (!modelName) {
+      throw new Error('modelName is required');
+    }
+    if (!tokenizerName) {
+      throw new Error('tokenizerName is required');
+    }
+    if (typeof prompt !== 'string' && !Array.isArray(prompt)) {
+      throw new Error('prompt must be a string or an array of token ids');
+    }
+
+    const { signal, ...generateOptions } = options;
+    return yield* this._requestStream(WorkerMessageType.GENERATE, {
+      modelName,
+      tokenizerName,
+      prompt,
+      options: generateOptions
+    }, { signal });
+  }
+
   /**
    * 释放 Worker 资源
    *
@@ -277,9 +1038,11 @@ export class ONNXWorkerProxy {
 
     console.log('[WorkerProxy] 正在释放...');
 
+    this._stopHeartbeat();
+
     // 发送释放消息
     try {
-      await this._request(WorkerMessageType.DISPOSE, {}, 5000);
+      await this._request(WorkerMessageType.DISPOSE, {}, { timeout: 5000 });
     } catch (error) {
       console.warn('[WorkerProxy] 释放消息发送失败:', error);
     }
@@ -293,6 +1056,7 @@ export class ONNXWorkerProxy {
     }
 
     this.pendingRequests.clear();
+    this.cancelledRequests.clear();
 
     // 终止 Worker
     this.worker.terminate();
@@ -318,7 +1082,8 @@ export class ONNXWorkerProxy {
  *
  * 这是推荐的创建 Worker Proxy 的方式
  *
- * @param {Worker} worker - Web Worker 实例
+ * @param {Worker | (() => Worker)} worker - Web Worker 实例，或 Worker 工厂函数（启用 supervisor 模式）
+ * @param {Object} options - 代理选项（见 ONNXWorkerProxy 构造函数）
  * @returns {ONNXWorkerProxy} Worker 代理实例
  *
  * @example
@@ -332,9 +1097,15 @@ export class ONNXWorkerProxy {
  * await proxy.initialize()
  * await proxy.loadModel('model', modelBuffer)
  * const result = await proxy.run('model', inputs)
+ *
+ * // supervisor 模式：Worker 崩溃后自动重启并恢复状态
+ * const supervised = createOnnxWorkerProxy(
+ *   () => new Worker(workerUrl, { type: 'module' }),
+ *   { supervisor: { heartbeatInterval: 5000, maxRestarts: 3 } }
+ * )
  */
-export function createOnnxWorkerProxy(worker) {
-  return new ONNXWorkerProxy(worker);
+export function createOnnxWorkerProxy(worker, options = {}) {
+  return new ONNXWorkerProxy(worker, options);
 }
 
 // 默认导出
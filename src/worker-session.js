@@ -0,0 +1,99 @@
+/**
+ * Worker 会话
+ *
+ * 把 Worker 中加载的模型包装成与 ort.InferenceSession 相同的接口（inputNames、outputNames、
+ * inputMetadata、run()、release()），ONNXWebFramework 的 worker 后端通过它复用主线程的
+ * run / predict / generate 逻辑：输入输出都是 ort.Tensor，张量在调用边界与 TensorData 互相转换
+ */
+
+/**
+ * Worker 中的模型会话
+ */
+export class WorkerSession {
+  /**
+   * 构造函数
+   *
+   * @param {import('./worker-proxy.js').ONNXWorkerProxy} proxy - Worker 代理
+   * @param {import('./worker-types.js').ModelInfo} info - proxy.loadModel() 返回的模型信息
+   * @param {typeof import('onnxruntime-web')} ort - ONNX Runtime（用于创建输出张量）
+   */
+  constructor(proxy, info, ort) {
+    /**
+     * Worker 代理
+     * @type {import('./worker-proxy.js').ONNXWorkerProxy}
+     * @private
+     */
+    this.proxy = proxy;
+
+    /**
+     * ONNX Runtime
+     * @private
+     */
+    this.ort = ort;
+
+    /**
+     * 模型名称（Worker 中的会话名）
+     * @type {string}
+     */
+    this.modelName = info.modelName;
+
+    /**
+     * 输入名称列表
+     * @type {string[]}
+     */
+    this.inputNames = info.inputNames;
+
+    /**
+     * 输出名称列表
+     * @type {string[]}
+     */
+    this.outputNames = info.outputNames;
+
+    /**
+     * 输入元数据
+     * @type {Record<string, import('./model-metadata.js').TensorMetadata>}
+     */
+    this.inputMetadata = info.inputMetadata;
+
+    /**
+     * 输出元数据
+     * @type {Record<string, import('./model-metadata.js').TensorMetadata>}
+     */
+    this.outputMetadata = info.outputMetadata;
+  }
+
+  /**
+   * 在 Worker 中运行推理
+   *
+   * 张量按结构化克隆复制（不转移），调用方的输入张量在调用后保持可用
+   *
+   * @param {Record<string, {data: any, dims: readonly number[], type: string}>} feeds - 输入张量（ort.Tensor 或 TensorData）
+   * @param {{signal?: AbortSignal}} [options] - 请求选项
+   * @returns {Promise<Record<string, import('onnxruntime-web').Tensor>>}
+   */
+  async run(feeds, { signal } = {}) {
+    const inputs = {};
+    for (const [name, tensor] of Object.entries(feeds)) {
+      inputs[name] = { data: tensor.data, dims: Array.from(tensor.dims), type: tensor.type };
+    }
+
+    const outputs = await this.proxy.run(this.modelName, inputs, { signal, transfer: false });
+
+    const results = {};
+    for (const [name, tensor] of Object.entries(outputs)) {
+      results[name] = new this.ort.Tensor(tensor.type, tensor.data, tensor.dims);
+    }
+    return results;
+  }
+
+  /**
+   * 卸载 Worker 中的模型
+   *
+   * @returns {Promise<void>}
+   */
+  async release() {
+    if (!this.proxy.disposed) {
+      await this.proxy.unloadModel(this.modelName);
+    }
+  }
+}
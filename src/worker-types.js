@@ -10,8 +10,19 @@
 export const WorkerMessageType = {
   INITIALIZE: "initialize",
   LOAD_MODEL: "load_model",
+  UNLOAD_MODEL: "unload_model",
+  LIST_MODELS: "list_models",
+  GET_MODEL_INFO: "get_model_info",
   RUN_INFERENCE: "run_inference",
+  LOAD_TOKENIZER: "load_tokenizer",
+  TOKENIZE: "tokenize",
+  DETOKENIZE: "detokenize",
+  RUN_TEXT: "run_text",
+  GENERATE: "generate",
+  CANCEL: "cancel",
+  PING: "ping",
   DISPOSE: "dispose",
+  PARTIAL: "partial",
   RESULT: "result",
   ERROR: "error",
 };
@@ -44,16 +55,159 @@ export class InitializeConfig {
      * @type {string[]}
      */
     this.executionProviders = options.executionProviders || ["wasm"];
+
+    /**
+     * 按 URL 加载模型时是否使用 IndexedDB 缓存（与主线程共用）
+     * @type {boolean}
+     */
+    this.enableCache = options.enableCache !== false;
+
+    /**
+     * 服务器未返回 Cache-Control / Expires 时缓存的新鲜期（毫秒，null = ModelCache 默认值 24 小时）
+     * @type {number | null}
+     */
+    this.cacheMaxAge = options.cacheMaxAge || null;
+
+    /**
+     * 缓存过期时先返回旧模型，在后台重新验证并更新缓存
+     * @type {boolean}
+     */
+    this.staleWhileRevalidate = options.staleWhileRevalidate || false;
+
+    /**
+     * 模型缓存总大小上限（字节），超出时按 LRU 淘汰（null = 只受浏览器配额限制）
+     * @type {number | null}
+     */
+    this.maxCacheSize = options.maxCacheSize || null;
+
+    /**
+     * 分块下载时同时下载的分块数（null = ModelCache 默认值）
+     * @type {number | null}
+     */
+    this.downloadConcurrency = options.downloadConcurrency || null;
+
+    /**
+     * 分块下载时每个分块的重试次数（null = ModelCache 默认值）
+     * @type {number | null}
+     */
+    this.downloadRetries = options.downloadRetries ?? null;
+  }
+}
+
+/**
+ * 张量类型与数据数组的对应关系（同 onnxruntime-web 的 Tensor.Type）
+ *
+ * float16 使用 Uint16Array 存放原始位（支持 Float16Array 的环境也接受 Float16Array），
+ * bool 使用 Uint8Array（0 / 1），int4 / uint4 每字节存放两个值，string 使用普通数组
+ */
+export const TENSOR_ARRAY_TYPES = {
+  float32: Float32Array,
+  float64: Float64Array,
+  float16: Uint16Array,
+  int4: Int8Array,
+  uint4: Uint8Array,
+  int8: Int8Array,
+  uint8: Uint8Array,
+  int16: Int16Array,
+  uint16: Uint16Array,
+  int32: Int32Array,
+  uint32: Uint32Array,
+  int64: BigInt64Array,
+  uint64: BigUint64Array,
+  bool: Uint8Array,
+  string: Array,
+};
+
+/**
+ * 与其他类型共用同一种数组的张量类型
+ */
+const SHARED_ARRAY_TYPES = new Set(["float16", "int4", "uint4", "bool"]);
+
+/**
+ * 按数据数组推断张量类型（Uint16Array 视为 uint16，float16 需显式指定）
+ *
+ * @param {ArrayLike<any>} data - 张量数据
+ * @returns {string}
+ */
+export function inferTensorDataType(data) {
+  if (Array.isArray(data)) {
+    return typeof data[0] === "string" ? "string" : "float32";
+  }
+  if (globalThis.Float16Array && data instanceof globalThis.Float16Array) {
+    return "float16";
+  }
+
+  for (const [type, ArrayType] of Object.entries(TENSOR_ARRAY_TYPES)) {
+    // 与其他类型共用数组的类型需显式指定
+    if (SHARED_ARRAY_TYPES.has(type)) continue;
+    if (data instanceof ArrayType) return type;
+  }
+  return "float32";
+}
+
+/**
+ * 把张量数据转换为类型对应的数组
+ *
+ * 已经是对应类型的数组原样返回（不复制）；普通数组按类型转换，
+ * 如 int64 的 number[] 转为 BigInt64Array、bool 的 boolean[] 转为 Uint8Array
+ *
+ * @param {string} type - 张量类型
+ * @param {ArrayLike<any>} data - 张量数据
+ * @returns {ArrayLike<any>}
+ * @throws {Error} 类型不支持，或数据是其他类型的 TypedArray 时
+ */
+export function toTensorArray(type, data) {
+  const ArrayType = TENSOR_ARRAY_TYPES[type];
+  if (!ArrayType) {
+    throw new Error(`Unsupported tensor type: ${type}`);
+  }
+
+  if (type === "string") {
+    if (
+      !Array.isArray(data) ||
+      data.some((value) => typeof value !== "string")
+    ) {
+      throw new Error(
+        "Tensor data for type string must be an array of strings",
+      );
+    }
+    return data;
+  }
+
+  if (data instanceof ArrayType) {
+    return data;
   }
+  if (
+    type === "float16" &&
+    globalThis.Float16Array &&
+    data instanceof globalThis.Float16Array
+  ) {
+    return data;
+  }
+  if (ArrayBuffer.isView(data)) {
+    throw new Error(
+      `Tensor data for type ${type} must be ${ArrayType.name}, got ${data.constructor.name}`,
+    );
+  }
+
+  const values = Array.from(data);
+  if (ArrayType === BigInt64Array || ArrayType === BigUint64Array) {
+    return ArrayType.from(values, (value) => BigInt(value));
+  }
+  if (type === "bool") {
+    return ArrayType.from(values, (value) => (value ? 1 : 0));
+  }
+  return ArrayType.from(values);
 }
 
 /**
  * 张量数据
  */
 export class TensorData {
-  constructor(data, dims, type = "float32") {
+  constructor(data, dims, type = inferTensorDataType(data)) {
     /**
-     * 张量数据（Float32Array | Int32Array | Uint8Array | BigInt64Array）
+     * 张量数据：类型对应的 TypedArray（见 TENSOR_ARRAY_TYPES），string 张量为 string[]
+     * @type {ArrayLike<any>}
      */
     this.data = data;
 
@@ -65,7 +219,7 @@ export class TensorData {
 
     /**
      * 数据类型
-     * @type {'float32' | 'int32' | 'uint8' | 'int64'}
+     * @type {'float32' | 'float64' | 'float16' | 'int4' | 'uint4' | 'int8' | 'uint8' | 'int16' | 'uint16' | 'int32' | 'uint32' | 'int64' | 'uint64' | 'bool' | 'string'}
      */
     this.type = type;
   }
@@ -75,7 +229,7 @@ export class TensorData {
  * 加载模型请求
  */
 export class LoadModelRequest {
-  constructor(id, modelName, modelBuffer, sessionOptions = {}) {
+  constructor(id, modelName, modelBuffer, sessionOptions = {}, url = null) {
     /**
      * 请求 ID
      * @type {string}
@@ -95,8 +249,10 @@ export class LoadModelRequest {
     this.modelName = modelName;
 
     /**
-     * 模型数据（ArrayBuffer）
-     * @type {ArrayBuffer}
+     * 模型数据（ArrayBuffer），按 URL 加载时为 null
+     *
+     * 默认通过 transfer 列表转移给 Worker，发送后主线程中的 buffer 被分离
+     * @type {ArrayBuffer | null}
      */
     this.modelBuffer = modelBuffer;
 
@@ -105,6 +261,63 @@ export class LoadModelRequest {
      * @type {Object}
      */
     this.sessionOptions = sessionOptions;
+
+    /**
+     * 模型 URL：提供时 Worker 通过 ModelCache 下载（优先 .ort 格式），
+     * 下载进度以 PARTIAL 响应返回
+     * @type {string | null}
+     */
+    this.url = url;
+  }
+}
+
+/**
+ * 卸载模型请求
+ */
+export class UnloadModelRequest {
+  constructor(id, modelName) {
+    /**
+     * 请求 ID
+     * @type {string}
+     */
+    this.id = id;
+
+    /**
+     * 请求类型
+     * @type {string}
+     */
+    this.type = WorkerMessageType.UNLOAD_MODEL;
+
+    /**
+     * 模型名称
+     * @type {string}
+     */
+    this.modelName = modelName;
+  }
+}
+
+/**
+ * 获取模型信息请求
+ */
+export class GetModelInfoRequest {
+  constructor(id, modelName) {
+    /**
+     * 请求 ID
+     * @type {string}
+     */
+    this.id = id;
+
+    /**
+     * 请求类型
+     * @type {string}
+     */
+    this.type = WorkerMessageType.GET_MODEL_INFO;
+
+    /**
+     * 模型名称
+     * @type {string}
+     */
+    this.modelName = modelName;
   }
 }
 
@@ -112,7 +325,7 @@ export class LoadModelRequest {
  * 推理请求
  */
 export class RunInferenceRequest {
-  constructor(id, modelName, inputs) {
+  constructor(id, modelName, inputs, transfer = true) {
     /**
      * 请求 ID
      * @type {string}
@@ -136,11 +349,252 @@ export class RunInferenceRequest {
      * @type {Record<string, TensorData>}
      */
     this.inputs = inputs;
+
+    /**
+     * 是否转移结果张量的 ArrayBuffer（false 时按结构化克隆复制）
+     * @type {boolean}
+     */
+    this.transfer = transfer;
+  }
+}
+
+/**
+ * 加载 Tokenizer 请求
+ */
+export class LoadTokenizerRequest {
+  constructor(id, tokenizerName, url, options = {}) {
+    /**
+     * 请求 ID
+     * @type {string}
+     */
+    this.id = id;
+
+    /**
+     * 请求类型
+     * @type {string}
+     */
+    this.type = WorkerMessageType.LOAD_TOKENIZER;
+
+    /**
+     * Tokenizer 名称
+     * @type {string}
+     */
+    this.tokenizerName = tokenizerName;
+
+    /**
+     * tokenizer.json / vocab.txt 的 URL
+     * @type {string}
+     */
+    this.url = url;
+
+    /**
+     * 加载选项（同 loadTokenizer）
+     * @type {Object}
+     */
+    this.options = options;
+  }
+}
+
+/**
+ * 分词请求
+ */
+export class TokenizeRequest {
+  constructor(id, tokenizerName, texts, options = {}) {
+    /**
+     * 请求 ID
+     * @type {string}
+     */
+    this.id = id;
+
+    /**
+     * 请求类型
+     * @type {string}
+     */
+    this.type = WorkerMessageType.TOKENIZE;
+
+    /**
+     * Tokenizer 名称
+     * @type {string}
+     */
+    this.tokenizerName = tokenizerName;
+
+    /**
+     * 单条文本（调用 encode）或文本数组（调用 encodeBatch）
+     * @type {string | string[]}
+     */
+    this.texts = texts;
+
+    /**
+     * 编码选项（同 encode / encodeBatch）
+     * @type {Object}
+     */
+    this.options = options;
+  }
+}
+
+/**
+ * 解码请求
+ */
+export class DetokenizeRequest {
+  constructor(id, tokenizerName, ids, options = {}) {
+    /**
+     * 请求 ID
+     * @type {string}
+     */
+    this.id = id;
+
+    /**
+     * 请求类型
+     * @type {string}
+     */
+    this.type = WorkerMessageType.DETOKENIZE;
+
+    /**
+     * Tokenizer 名称
+     * @type {string}
+     */
+    this.tokenizerName = tokenizerName;
+
+    /**
+     * 单条 token IDs 或批量 token IDs
+     * @type {number[] | number[][]}
+     */
+    this.ids = ids;
+
+    /**
+     * 解码选项（同 decode）
+     * @type {Object}
+     */
+    this.options = options;
+  }
+}
+
+/**
+ * 文本推理请求：在 Worker 中分词后直接推理
+ */
+export class RunTextRequest {
+  constructor(id, modelName, tokenizerName, texts, options = {}, transfer = true) {
+    /**
+     * 请求 ID
+     * @type {string}
+     */
+    this.id = id;
+
+    /**
+     * 请求类型
+     * @type {string}
+     */
+    this.type = WorkerMessageType.RUN_TEXT;
+
+    /**
+     * 模型名称
+     * @type {string}
+     */
+    this.modelName = modelName;
+
+    /**
+     * Tokenizer 名称
+     * @type {string}
+     */
+    this.tokenizerName = tokenizerName;
+
+    /**
+     * 输入文本
+     * @type {string[]}
+     */
+    this.texts = texts;
+
+    /**
+     * 批量编码选项（同 encodeBatch）
+     * @type {Object}
+     */
+    this.options = options;
+
+    /**
+     * 是否转移结果张量的 ArrayBuffer（false 时按结构化克隆复制）
+     * @type {boolean}
+     */
+    this.transfer = transfer;
+  }
+}
+
+/**
+ * 流式文本生成请求
+ *
+ * Worker 每生成一段文本发送一个 PARTIAL 响应（共享请求 ID），最后发送 RESULT
+ */
+export class GenerateRequest {
+  constructor(id, modelName, tokenizerName, prompt, options = {}) {
+    /**
+     * 请求 ID
+     * @type {string}
+     */
+    this.id = id;
+
+    /**
+     * 请求类型
+     * @type {string}
+     */
+    this.type = WorkerMessageType.GENERATE;
+
+    /**
+     * 模型名称
+     * @type {string}
+     */
+    this.modelName = modelName;
+
+    /**
+     * Tokenizer 名称
+     * @type {string}
+     */
+    this.tokenizerName = tokenizerName;
+
+    /**
+     * 提示文本或 token IDs
+     * @type {string | number[]}
+     */
+    this.prompt = prompt;
+
+    /**
+     * 生成选项（同 ONNXWebFramework.generate，函数类型的选项无法传入 Worker）
+     * @type {Object}
+     */
+    this.options = options;
+  }
+}
+
+/**
+ * 取消请求
+ *
+ * 排队中的请求直接丢弃，正在执行的生成循环在下一步之前停止；
+ * 被取消的请求以 ERROR 响应结束
+ */
+export class CancelRequest {
+  constructor(id, requestId) {
+    /**
+     * 请求 ID
+     * @type {string}
+     */
+    this.id = id;
+
+    /**
+     * 请求类型
+     * @type {string}
+     */
+    this.type = WorkerMessageType.CANCEL;
+
+    /**
+     * 要取消的请求 ID
+     * @type {string}
+     */
+    this.requestId = requestId;
   }
 }
 
 /**
  * Worker 响应
+ *
+ * type 为 PARTIAL 时 data 为流式的中间结果，同一请求 ID 最后会收到 RESULT 或 ERROR
  */
 export class WorkerResponse {
   constructor(id, type, data = null, error = null) {
@@ -174,7 +628,13 @@ export class WorkerResponse {
  * 模型信息
  */
 export class ModelInfo {
-  constructor(modelName, inputNames, outputNames) {
+  constructor(
+    modelName,
+    inputNames,
+    outputNames,
+    inputMetadata = {},
+    outputMetadata = {},
+  ) {
     /**
      * 模型名称
      * @type {string}
@@ -192,5 +652,71 @@ export class ModelInfo {
      * @type {string[]}
      */
     this.outputNames = outputNames;
+
+    /**
+     * 输入元数据：元素类型和形状（符号维度为字符串，如 'batch_size'）
+     * @type {Record<string, import("./model-metadata.js").TensorMetadata>}
+     */
+    this.inputMetadata = inputMetadata;
+
+    /**
+     * 输出元数据：元素类型和形状
+     * @type {Record<string, import("./model-metadata.js").TensorMetadata>}
+     */
+    this.outputMetadata = outputMetadata;
+  }
+}
+
+/**
+ * Tokenizer 信息
+ */
+export class TokenizerInfo {
+  constructor(tokenizerName, vocabSize, specialTokens = {}) {
+    /**
+     * Tokenizer 名称
+     * @type {string}
+     */
+    this.tokenizerName = tokenizerName;
+
+    /**
+     * 词表大小
+     * @type {number}
+     */
+    this.vocabSize = vocabSize;
+
+    /**
+     * 特殊 token（bosToken、eosToken、padToken 等）
+     * @type {Object}
+     */
+    this.specialTokens = specialTokens;
   }
 }
+
+/**
+ * 收集可转移的 ArrayBuffer，作为 postMessage 的 transfer 列表
+ *
+ * 只转移完整占用底层 ArrayBuffer 的数据：SharedArrayBuffer 本身可共享，
+ * 只占用部分 buffer 的视图（如 WASM 内存上的视图）转移会分离其余数据，
+ * 这两种情况按结构化克隆处理
+ *
+ * @param {Array<ArrayBuffer | ArrayBufferView | null | undefined>} values
+ * @returns {ArrayBuffer[]}
+ */
+export function collectTransferables(values) {
+  const buffers = new Set();
+
+  for (const value of values) {
+    if (value instanceof ArrayBuffer) {
+      buffers.add(value);
+    } else if (
+      ArrayBuffer.isView(value) &&
+      value.buffer instanceof ArrayBuffer &&
+      value.byteOffset === 0 &&
+      value.byteLength === value.buffer.byteLength
+    ) {
+      buffers.add(value.buffer);
+    }
+  }
+
+  return Array.from(buffers);
+}
@@ -7,6 +7,12 @@
  * 1. 宿主项目通过 Vite/Webpack 导入此 Worker
  * 2. 使用 createOnnxWorkerProxy 创建代理实例
  * 3. 调用 initialize(), loadModel(), run() 等方法
+ * 4. 按需切换模型时调用 unloadModel() 释放单个会话，listModels() / getModelInfo() 查询已加载的模型
+ * 5. 文本模型可调用 loadTokenizer(), runText()，分词也在 Worker 中完成
+ * 6. 文本生成调用 generate()，生成的文本以 PARTIAL 响应流式返回
+ *
+ * 请求按顺序逐个处理（ORT 会话不支持并发运行），CANCEL 消息可丢弃排队中的请求
+ * 或在两步之间停止生成循环
  */
 
 import * as ort from "onnxruntime-web";
@@ -14,11 +20,32 @@ import {
   WorkerMessageType,
   InitializeConfig,
   LoadModelRequest,
+  UnloadModelRequest,
+  GetModelInfoRequest,
   RunInferenceRequest,
+  LoadTokenizerRequest,
+  TokenizeRequest,
+  DetokenizeRequest,
+  RunTextRequest,
+  GenerateRequest,
+  CancelRequest,
   WorkerResponse,
   ModelInfo,
+  TokenizerInfo,
   TensorData,
+  TENSOR_ARRAY_TYPES,
+  inferTensorDataType,
+  toTensorArray,
+  collectTransferables,
 } from "./worker-types.js";
+import { tokenizerLoader, toTensorFeeds } from "./tokenizer.js";
+import { generateText } from "./generation.js";
+import ModelCache from "./model-cache.js";
+import {
+  readModelMetadata,
+  validateFeeds,
+  FeedValidationError,
+} from "./model-metadata.js";
 
 /**
  * ONNX Worker 运行时
@@ -33,6 +60,24 @@ class ONNXWorkerRuntime {
      */
     this.models = new Map();
 
+    /**
+     * 已加载模型的信息（含输入输出元数据）
+     * @type {Map<string, ModelInfo>}
+     */
+    this.modelInfos = new Map();
+
+    /**
+     * 模型缓存（IndexedDB，与主线程共用）
+     * @type {ModelCache}
+     */
+    this.modelCache = new ModelCache();
+
+    /**
+     * 已加载的 Tokenizer
+     * @type {Map<string, import("./tokenizer.js").ITokenizer>}
+     */
+    this.tokenizers = new Map();
+
     /**
      * 是否已初始化
      * @type {boolean}
@@ -44,6 +89,75 @@ class ONNXWorkerRuntime {
      * @type {InitializeConfig}
      */
     this.config = null;
+
+    /**
+     * 等待处理的请求
+     * @type {Array<{req: Object, handler: Function, controller: AbortController}>}
+     */
+    this.queue = [];
+
+    /**
+     * 正在处理的请求
+     * @type {{req: Object, handler: Function, controller: AbortController} | null}
+     */
+    this.activeRequest = null;
+  }
+
+  /**
+   * 请求加入队列，按顺序逐个处理
+   *
+   * @param {{id: string, type: string}} req - 请求
+   * @param {(req: Object, signal: AbortSignal) => Promise<void>} handler - 处理请求并发送响应
+   */
+  enqueue(req, handler) {
+    this.queue.push({ req, handler, controller: new AbortController() });
+
+    if (!this.activeRequest) {
+      this._processQueue();
+    }
+  }
+
+  /**
+   * 取消请求：排队中的请求直接丢弃，正在处理的请求通过 AbortSignal 通知
+   *
+   * @param {string} requestId - 要取消的请求 ID
+   * @returns {boolean} 是否找到该请求
+   */
+  cancel(requestId) {
+    const index = this.queue.findIndex((item) => item.req.id === requestId);
+    if (index !== -1) {
+      const [item] = this.queue.splice(index, 1);
+      item.controller.abort();
+      console.log(`[ONNX Worker] 已丢弃排队中的请求 ${requestId}`);
+      // 信号已中止，handler 只发送取消响应
+      item.handler(item.req, item.controller.signal);
+      return true;
+    }
+
+    if (this.activeRequest?.req.id === requestId) {
+      this.activeRequest.controller.abort();
+      console.log(`[ONNX Worker] 正在取消请求 ${requestId}`);
+      return true;
+    }
+
+    return false;
+  }
+
+  /**
+   * 逐个处理队列中的请求
+   * @private
+   */
+  async _processQueue() {
+    while (this.queue.length > 0) {
+      this.activeRequest = this.queue.shift();
+      const { req, handler, controller } = this.activeRequest;
+
+      try {
+        await handler(req, controller.signal);
+      } finally {
+        this.activeRequest = null;
+      }
+    }
   }
 
   /**
@@ -70,6 +184,15 @@ class ONNXWorkerRuntime {
       ort.env.wasm.numThreads = config.numThreads;
     }
 
+    // 按配置重新创建模型缓存（分块下载、缓存验证和大小上限）
+    this.modelCache = new ModelCache({
+      concurrency: config.downloadConcurrency ?? undefined,
+      retries: config.downloadRetries ?? undefined,
+      maxAge: config.cacheMaxAge ?? undefined,
+      staleWhileRevalidate: config.staleWhileRevalidate,
+      maxCacheSize: config.maxCacheSize,
+    });
+
     // 保存配置
     this.config = config;
     this.isInitialized = true;
@@ -82,10 +205,13 @@ class ONNXWorkerRuntime {
   /**
    * 加载模型
    *
+   * 请求提供 url 时通过 ModelCache 下载模型（优先 .ort 格式，与主线程共用 IndexedDB 缓存）
+   *
    * @param {LoadModelRequest} req - 加载模型请求
+   * @param {(progress: {modelName: string} & import('./model-cache.js').ModelLoadProgress) => void} [onProgress] - 加载进度回调
    * @returns {Promise<ModelInfo>}
    */
-  async loadModel(req) {
+  async loadModel(req, onProgress) {
     if (!this.isInitialized) {
       throw new Error("Worker not initialized. Call initialize() first.");
     }
@@ -93,6 +219,31 @@ class ONNXWorkerRuntime {
     console.log(`[ONNX Worker] 加载模型 '${req.modelName}'...`);
 
     try {
+      let modelData = req.modelBuffer;
+      let modelUrl = null;
+      if (req.url) {
+        const model = await this.modelCache.fetchModel(req.url, {
+          cache: this.config?.enableCache !== false,
+          onProgress: (progress) =>
+            onProgress?.({ modelName: req.modelName, ...progress }),
+        });
+        modelData = model.data;
+        modelUrl = model.url;
+        console.log(
+          `[ONNX Worker] 模型数据已获取 (${model.format}): ${model.url}`,
+        );
+      }
+
+      const size = modelData.byteLength;
+      onProgress?.({
+        modelName: req.modelName,
+        url: modelUrl,
+        phase: "creating-session",
+        loaded: size,
+        total: size,
+        eta: 0,
+      });
+
       // 创建推理会话
       const sessionOptions = {
         executionProviders: req.sessionOptions?.executionProviders ||
@@ -105,28 +256,78 @@ class ONNXWorkerRuntime {
       };
 
       const session = await ort.InferenceSession.create(
-        req.modelBuffer,
+        modelData,
         sessionOptions,
       );
 
+      const { inputMetadata, outputMetadata } = readModelMetadata(
+        session,
+        modelData,
+      );
+      const info = new ModelInfo(
+        req.modelName,
+        session.inputNames,
+        session.outputNames,
+        inputMetadata,
+        outputMetadata,
+      );
+
       // 保存会话
       this.models.set(req.modelName, session);
+      this.modelInfos.set(req.modelName, info);
 
       console.log(`[ONNX Worker] ✅ 模型 '${req.modelName}' 加载成功`);
-      console.log("[ONNX Worker] 输入:", session.inputNames);
-      console.log("[ONNX Worker] 输出:", session.outputNames);
+      console.log("[ONNX Worker] 输入:", inputMetadata);
+      console.log("[ONNX Worker] 输出:", outputMetadata);
 
-      return new ModelInfo(
-        req.modelName,
-        session.inputNames,
-        session.outputNames,
-      );
+      return info;
     } catch (error) {
       console.error(`[ONNX Worker] ❌ 加载模型失败:`, error);
       throw error;
     }
   }
 
+  /**
+   * 卸载模型，释放会话占用的 WASM 内存
+   *
+   * @param {UnloadModelRequest} req - 卸载模型请求
+   * @returns {Promise<{success: boolean}>} 模型未加载时 success 为 false
+   */
+  async unloadModel(req) {
+    const session = this.models.get(req.modelName);
+    if (!session) {
+      console.warn(`[ONNX Worker] 模型 '${req.modelName}' 未加载`);
+      return { success: false };
+    }
+
+    this.models.delete(req.modelName);
+    this.modelInfos.delete(req.modelName);
+    await session.release();
+
+    console.log(`[ONNX Worker] 🗑️ 模型 '${req.modelName}' 已卸载`);
+
+    return { success: true };
+  }
+
+  /**
+   * 列出已加载的模型
+   *
+   * @returns {string[]}
+   */
+  listModels() {
+    return Array.from(this.models.keys());
+  }
+
+  /**
+   * 获取已加载模型的信息
+   *
+   * @param {GetModelInfoRequest} req - 获取模型信息请求
+   * @returns {ModelInfo | null} 模型未加载时返回 null
+   */
+  getModelInfo(req) {
+    return this.modelInfos.get(req.modelName) ?? null;
+  }
+
   /**
    * 运行推理
    *
@@ -140,47 +341,229 @@ class ONNXWorkerRuntime {
 
     console.log(`[ONNX Worker] 运行推理 '${req.modelName}'...`);
 
-    const session = this.models.get(req.modelName);
-    if (!session) {
-      throw new Error(
-        `Model '${req.modelName}' not loaded. Call loadModel() first.`,
+    const session = this._getSession(req.modelName);
+    validateFeeds(
+      req.modelName,
+      req.inputs,
+      this.modelInfos.get(req.modelName).inputMetadata,
+    );
+
+    try {
+      return await this._runSession(session, req.inputs);
+    } catch (error) {
+      console.error(`[ONNX Worker] ❌ 推理失败:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * 加载 Tokenizer
+   *
+   * 分词不依赖 ONNX Runtime，无需先调用 initialize()
+   *
+   * @param {LoadTokenizerRequest} req - 加载 Tokenizer 请求
+   * @returns {Promise<TokenizerInfo>}
+   */
+  async loadTokenizer(req) {
+    console.log(`[ONNX Worker] 加载 Tokenizer '${req.tokenizerName}'...`);
+
+    try {
+      const tokenizer = await tokenizerLoader.loadFromUrl(req.url, req.options);
+      this.tokenizers.set(req.tokenizerName, tokenizer);
+
+      console.log(`[ONNX Worker] ✅ Tokenizer '${req.tokenizerName}' 加载成功`);
+
+      return new TokenizerInfo(
+        req.tokenizerName,
+        tokenizer.vocabSize,
+        tokenizer.getSpecialTokens(),
       );
+    } catch (error) {
+      console.error(`[ONNX Worker] ❌ 加载 Tokenizer 失败:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * 分词：单条文本返回 encode() 结果，文本数组返回 encodeBatch() 结果
+   *
+   * @param {TokenizeRequest} req - 分词请求
+   * @returns {Object}
+   */
+  tokenize(req) {
+    const tokenizer = this._getTokenizer(req.tokenizerName);
+
+    if (Array.isArray(req.texts)) {
+      return tokenizer.encodeBatch(req.texts, req.options);
+    }
+    return tokenizer.encode(req.texts, req.options);
+  }
+
+  /**
+   * 解码：单条 token IDs 返回字符串，批量 token IDs 返回字符串数组
+   *
+   * @param {DetokenizeRequest} req - 解码请求
+   * @returns {string | string[]}
+   */
+  detokenize(req) {
+    const tokenizer = this._getTokenizer(req.tokenizerName);
+
+    if (req.ids.length > 0 && Array.isArray(req.ids[0])) {
+      return req.ids.map((ids) => tokenizer.decode(ids, req.options));
+    }
+    return tokenizer.decode(req.ids, req.options);
+  }
+
+  /**
+   * 分词后直接推理，只需一次消息往返
+   *
+   * 按模型的 inputNames 生成 input_ids / attention_mask / token_type_ids
+   *
+   * @param {RunTextRequest} req - 文本推理请求
+   * @returns {Promise<{outputs: Record<string, TensorData>, encoding: {ids: number[][], attentionMask: number[][], typeIds: number[][]}}>}
+   */
+  async runText(req) {
+    if (!this.isInitialized) {
+      throw new Error("Worker not initialized. Call initialize() first.");
     }
 
+    console.log(
+      `[ONNX Worker] 运行文本推理 '${req.modelName}' (${req.texts.length} 条)...`,
+    );
+
+    const session = this._getSession(req.modelName);
+    const tokenizer = this._getTokenizer(req.tokenizerName);
+
     try {
-      // 将 TensorData 转换为 ort.Tensor
-      const feeds = {};
-      for (const [name, tensorData] of Object.entries(req.inputs)) {
-        const ortType = this._getOrtTensorType(tensorData.type);
-        feeds[name] = new ort.Tensor(ortType, tensorData.data, tensorData.dims);
-      }
+      const encoding = tokenizer.encodeBatch(req.texts, req.options);
+      const feeds = toTensorFeeds(encoding, session.inputNames);
+      const outputs = await this._runSession(session, feeds);
 
-      // 运行推理
-      const startTime = performance.now();
-      const results = await session.run(feeds);
-      const endTime = performance.now();
+      return { outputs, encoding };
+    } catch (error) {
+      console.error(`[ONNX Worker] ❌ 文本推理失败:`, error);
+      throw error;
+    }
+  }
 
-      console.log(
-        `[ONNX Worker] ✅ 推理完成 (耗时: ${(endTime - startTime).toFixed(2)}ms)`,
+  /**
+   * 流式文本生成
+   *
+   * @param {GenerateRequest} req - 生成请求
+   * @param {(text: string) => void} onPartial - 每生成一段文本时调用
+   * @param {AbortSignal} [signal] - 中止后在下一步之前停止生成
+   * @returns {Promise<{text: string, tokenIds: number[], finishReason: string}>}
+   */
+  async generate(req, onPartial, signal) {
+    if (!this.isInitialized) {
+      throw new Error("Worker not initialized. Call initialize() first.");
+    }
+
+    console.log(`[ONNX Worker] 开始生成 '${req.modelName}'...`);
+
+    const session = this._getSession(req.modelName);
+    const tokenizer = this._getTokenizer(req.tokenizerName);
+
+    try {
+      const generator = generateText(
+        session,
+        ort,
+        tokenizer,
+        req.prompt,
+        { ...req.options, signal },
       );
 
-      // 将 ort.Tensor 转换为 TensorData
-      const output = {};
-      for (const [name, tensor] of Object.entries(results)) {
-        output[name] = new TensorData(
-          tensor.data,
-          tensor.dims,
-          this._getTensorDataType(tensor.type),
-        );
+      let step = await generator.next();
+      while (!step.done) {
+        onPartial(step.value);
+        step = await generator.next();
       }
 
-      return output;
+      console.log(
+        `[ONNX Worker] ✅ 生成完成 (${step.value.tokenIds.length} tokens, ${step.value.finishReason})`,
+      );
+      return step.value;
     } catch (error) {
-      console.error(`[ONNX Worker] ❌ 推理失败:`, error);
+      if (signal?.aborted) {
+        console.log(`[ONNX Worker] ⏹️ 生成已取消`);
+      } else {
+        console.error(`[ONNX Worker] ❌ 生成失败:`, error);
+      }
       throw error;
     }
   }
 
+  /**
+   * 获取已加载的模型会话
+   * @private
+   */
+  _getSession(modelName) {
+    const session = this.models.get(modelName);
+    if (!session) {
+      throw new Error(
+        `Model '${modelName}' not loaded. Call loadModel() first.`,
+      );
+    }
+    return session;
+  }
+
+  /**
+   * 获取已加载的 Tokenizer
+   * @private
+   */
+  _getTokenizer(tokenizerName) {
+    const tokenizer = this.tokenizers.get(tokenizerName);
+    if (!tokenizer) {
+      throw new Error(
+        `Tokenizer '${tokenizerName}' not loaded. Call loadTokenizer() first.`,
+      );
+    }
+    return tokenizer;
+  }
+
+  /**
+   * 执行推理：TensorData 转换为 ort.Tensor，输出再转换回 TensorData
+   * @private
+   *
+   * @param {ort.InferenceSession} session
+   * @param {Record<string, TensorData>} inputs
+   * @returns {Promise<Record<string, TensorData>>}
+   */
+  async _runSession(session, inputs) {
+    // 将 TensorData 转换为 ort.Tensor
+    const feeds = {};
+    for (const [name, tensorData] of Object.entries(inputs)) {
+      const type = tensorData.type || inferTensorDataType(tensorData.data);
+      feeds[name] = new ort.Tensor(
+        type,
+        toTensorArray(type, tensorData.data),
+        tensorData.dims,
+      );
+    }
+
+    // 运行推理
+    const startTime = performance.now();
+    const results = await session.run(feeds);
+    const endTime = performance.now();
+
+    console.log(
+      `[ONNX Worker] ✅ 推理完成 (耗时: ${(endTime - startTime).toFixed(2)}ms)`,
+    );
+
+    // 将 ort.Tensor 转换为 TensorData
+    const output = {};
+    for (const [name, tensor] of Object.entries(results)) {
+      if (!TENSOR_ARRAY_TYPES[tensor.type]) {
+        throw new Error(
+          `Unsupported output tensor type '${tensor.type}' for '${name}'`,
+        );
+      }
+      output[name] = new TensorData(tensor.data, tensor.dims, tensor.type);
+    }
+
+    return output;
+  }
+
   /**
    * 释放资源
    */
@@ -193,86 +576,163 @@ class ONNXWorkerRuntime {
     }
 
     this.models.clear();
+    this.modelInfos.clear();
+    this.tokenizers.clear();
     this.isInitialized = false;
 
     console.log("[ONNX Worker] ✅ 资源已释放");
   }
+}
 
-  /**
-   * 获取 ONNX Tensor 类型
-   * @private
-   */
-  _getOrtTensorType(type) {
-    const typeMap = {
-      float32: "float32",
-      float64: "float64",
-      int8: "int8",
-      int16: "int16",
-      int32: "int32",
-      int64: "int64",
-      uint8: "uint8",
-      uint16: "uint16",
-      bool: "bool",
-    };
-    return typeMap[type] || "float32";
-  }
+// ============ Worker 消息处理 ============
 
-  /**
-   * 获取数据类型字符串
-   * @private
-   */
-  _getTensorDataType(ortType) {
-    // ONNX Tensor type -> our type string
-    if (ortType === "float32" || ortType === "float") return "float32";
-    if (ortType === "int32" || ortType === "int32") return "int32";
-    if (ortType === "int64") return "int64";
-    if (ortType === "uint8") return "uint8";
-    return "float32"; // 默认
+const runtime = new ONNXWorkerRuntime();
+
+/**
+ * 执行单个请求
+ *
+ * @param {Object} req - 请求消息
+ * @param {AbortSignal} signal - 请求被取消时中止
+ * @returns {Promise<any>} 响应数据
+ */
+async function handleRequest(req, signal) {
+  switch (req.type) {
+    case WorkerMessageType.INITIALIZE:
+      return await runtime.initialize(req.config || {});
+
+    case WorkerMessageType.LOAD_MODEL:
+      return await runtime.loadModel(req, (progress) => {
+        self.postMessage(
+          new WorkerResponse(req.id, WorkerMessageType.PARTIAL, progress),
+        );
+      });
+
+    case WorkerMessageType.UNLOAD_MODEL:
+      return await runtime.unloadModel(req);
+
+    case WorkerMessageType.LIST_MODELS:
+      return runtime.listModels();
+
+    case WorkerMessageType.GET_MODEL_INFO:
+      return runtime.getModelInfo(req);
+
+    case WorkerMessageType.RUN_INFERENCE:
+      return await runtime.runInference(req);
+
+    case WorkerMessageType.LOAD_TOKENIZER:
+      return await runtime.loadTokenizer(req);
+
+    case WorkerMessageType.TOKENIZE:
+      return runtime.tokenize(req);
+
+    case WorkerMessageType.DETOKENIZE:
+      return runtime.detokenize(req);
+
+    case WorkerMessageType.RUN_TEXT:
+      return await runtime.runText(req);
+
+    case WorkerMessageType.GENERATE:
+      return await runtime.generate(
+        req,
+        (text) => {
+          self.postMessage(
+            new WorkerResponse(req.id, WorkerMessageType.PARTIAL, text),
+          );
+        },
+        signal,
+      );
+
+    case WorkerMessageType.DISPOSE:
+      await runtime.dispose();
+      return { success: true };
+
+    default:
+      throw new Error(`Unknown message type: ${req.type}`);
   }
 }
 
-// ============ Worker 消息处理 ============
+/**
+ * 响应中可转移的 ArrayBuffer：推理结果张量（请求的 transfer 为 false 时不转移）
+ *
+ * @param {Object} req - 请求消息
+ * @param {any} data - 响应数据
+ * @returns {ArrayBuffer[]}
+ */
+function getTransferList(req, data) {
+  if (req.transfer === false || !data) {
+    return [];
+  }
 
-const runtime = new ONNXWorkerRuntime();
+  switch (req.type) {
+    case WorkerMessageType.RUN_INFERENCE:
+      return collectTransferables(Object.values(data).map((t) => t.data));
+
+    case WorkerMessageType.RUN_TEXT:
+      return collectTransferables(
+        Object.values(data.outputs).map((t) => t.data),
+      );
+
+    default:
+      return [];
+  }
+}
 
 /**
- * 处理主线程发送的消息
+ * 处理请求并发送响应；被取消的请求以 ERROR 响应结束
+ *
+ * @param {Object} req - 请求消息
+ * @param {AbortSignal} signal - 请求被取消时中止
  */
-self.onmessage = async (e) => {
-  const req = e.data;
+async function respond(req, signal) {
   const response = new WorkerResponse(req.id, WorkerMessageType.RESULT);
 
   try {
-    switch (req.type) {
-      case WorkerMessageType.INITIALIZE:
-        response.data = await runtime.initialize(req.config || {});
-        break;
-
-      case WorkerMessageType.LOAD_MODEL:
-        response.data = await runtime.loadModel(req);
-        break;
-
-      case WorkerMessageType.RUN_INFERENCE:
-        response.data = await runtime.runInference(req);
-        break;
-
-      case WorkerMessageType.DISPOSE:
-        await runtime.dispose();
-        response.data = { success: true };
-        break;
-
-      default:
-        throw new Error(`Unknown message type: ${req.type}`);
-    }
-
-    // 发送成功响应
-    self.postMessage(response);
+    signal.throwIfAborted();
+    response.data = await handleRequest(req, signal);
+    signal.throwIfAborted();
   } catch (error) {
-    // 发送错误响应
     response.type = WorkerMessageType.ERROR;
-    response.error = error instanceof Error ? error.message : String(error);
-    self.postMessage(response);
+    // 结构化的校验错误随响应发送，代理端还原为 FeedValidationError
+    response.data =
+      error instanceof FeedValidationError ? error.toJSON() : null;
+    response.error = signal.aborted
+      ? `Request aborted: ${req.type}`
+      : error instanceof Error
+        ? error.message
+        : String(error);
+  }
+
+  self.postMessage(
+    response,
+    response.type === WorkerMessageType.RESULT
+      ? getTransferList(req, response.data)
+      : [],
+  );
+}
+
+/**
+ * 处理主线程发送的消息
+ */
+self.onmessage = (e) => {
+  const req = e.data;
+
+  // 取消消息不进入队列，立即处理
+  if (req.type === WorkerMessageType.CANCEL) {
+    runtime.cancel(req.requestId);
+    return;
   }
+
+  // 心跳不进入队列，立即响应
+  if (req.type === WorkerMessageType.PING) {
+    self.postMessage(
+      new WorkerResponse(req.id, WorkerMessageType.RESULT, {
+        timestamp: Date.now(),
+      }),
+    );
+    return;
+  }
+
+  runtime.enqueue(req, respond);
 };
 
 // 导出类型（用于 IDE 提示，实际在 Worker 中不使用）
@@ -280,8 +740,17 @@ export {
   WorkerMessageType,
   InitializeConfig,
   LoadModelRequest,
+  UnloadModelRequest,
+  GetModelInfoRequest,
   RunInferenceRequest,
+  LoadTokenizerRequest,
+  TokenizeRequest,
+  DetokenizeRequest,
+  RunTextRequest,
+  GenerateRequest,
+  CancelRequest,
   WorkerResponse,
   ModelInfo,
+  TokenizerInfo,
   TensorData,
 };
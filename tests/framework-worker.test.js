@@ -0,0 +1,165 @@
+/**
+ * ONNXWebFramework 的 worker 后端：run / predict / generate 经 WorkerSession 在 Worker 中运行
+ */
+
+import { describe, it, expect, vi, beforeAll, afterAll, beforeEach, afterEach } from 'vitest';
+import { WorkerMessageType } from '../src/worker-types.js';
+import { WorkerSession } from '../src/worker-session.js';
+import { createTokenizer } from '../src/tokenizer.js';
+import { createRuntimeWorker, FakeSession, FakeTensor, ort } from './helpers/worker-runtime.js';
+import bert from './fixtures/bert-wordpiece.json';
+
+vi.mock('onnxruntime-web', async () => (await import('./helpers/worker-runtime.js')).ort);
+
+const tokenizer = createTokenizer(bert);
+
+/** 按顺序输出给定 tokens 的 decoder 替身 */
+function scriptedDecoder(tokens) {
+  let step = 0;
+  const session = new FakeSession({
+    inputNames: ['input_ids', 'attention_mask'],
+    outputNames: ['logits'],
+    run: async (feeds) => {
+      const seqLength = feeds.input_ids.dims[1];
+      const logits = new Float32Array(seqLength * tokenizer.vocabSize);
+      logits[(seqLength - 1) * tokenizer.vocabSize + tokenizer.tokenToId(tokens[step++])] = 1;
+      return { logits: new FakeTensor('float32', logits, [1, seqLength, tokenizer.vocabSize]) };
+    }
+  });
+  // Worker 按元数据校验输入：int64 [batch, sequence]
+  session.inputMetadata = session.inputNames.map(name => ({
+    name, isTensor: true, type: 'int64', shape: ['batch', 'sequence']
+  }));
+  return session;
+}
+
+describe("ONNXWebFramework backend 'worker'", () => {
+  let ONNXWebFramework;
+  let worker;
+  let framework;
+
+  /** 发给 Worker 的某类消息 */
+  const sent = type => worker.sent.filter(message => message.type === type);
+
+  beforeAll(async () => {
+    // onnx-web-framework.js 在导入时读取全局 ort
+    globalThis.ort = ort;
+    ({ default: ONNXWebFramework } = await import('../src/onnx-web-framework.js'));
+  });
+
+  afterAll(() => {
+    delete globalThis.ort;
+  });
+
+  beforeEach(async () => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    worker = await createRuntimeWorker();
+    framework = new ONNXWebFramework({ backend: 'worker', worker, enableCache: false });
+    await framework.initialize();
+  });
+
+  afterEach(async () => {
+    if (framework.isInitialized) await framework.dispose();
+    vi.restoreAllMocks();
+  });
+
+  it('模型在 Worker 中加载，会话为 WorkerSession', async () => {
+    const info = await framework.loadModel('model', new ArrayBuffer(8));
+
+    expect(info).toMatchObject({ modelName: 'model', loaded: true, inputNames: ['input'], outputNames: ['output'] });
+    expect(framework.getModelInfo('model').session).toBeInstanceOf(WorkerSession);
+    expect(sent(WorkerMessageType.INITIALIZE)).toHaveLength(1);
+    expect(sent(WorkerMessageType.LOAD_MODEL)).toEqual([expect.objectContaining({ modelName: 'model' })]);
+  });
+
+  it('run 在 Worker 中推理并返回 ort.Tensor', async () => {
+    const session = new FakeSession();
+    ort.InferenceSession.create.mockResolvedValueOnce(session);
+    await framework.loadModel('model', new ArrayBuffer(8));
+    const input = new ort.Tensor('float32', new Float32Array([1, 2]), [1, 2]);
+
+    const { output } = await framework.run('model', { input });
+
+    expect(output).toBeInstanceOf(FakeTensor);
+    expect(Array.from(output.data)).toEqual([2, 4]);
+    expect(output.dims).toEqual([1, 2]);
+    expect(session.run).toHaveBeenCalledTimes(1);
+    expect(sent(WorkerMessageType.RUN_INFERENCE)).toEqual([expect.objectContaining({ modelName: 'model' })]);
+    // WorkerSession 复制输入，调用方的张量保持可用
+    expect(Array.from(input.data)).toEqual([1, 2]);
+  });
+
+  it('predict 的预处理和后处理在主线程，推理在 Worker 中', async () => {
+    await framework.loadModel('model', new ArrayBuffer(8));
+    framework.registerPreprocessor('model', values => ({
+      input: new ort.Tensor('float32', Float32Array.from(values), [1, values.length])
+    }));
+    framework.registerPostprocessor('model', ({ output }) => Array.from(output.data));
+
+    await expect(framework.predict('model', [3, 4])).resolves.toEqual([6, 8]);
+    expect(sent(WorkerMessageType.RUN_INFERENCE)).toHaveLength(1);
+  });
+
+  it('generate 的每一步都在 Worker 中推理', async () => {
+    ort.InferenceSession.create.mockResolvedValueOnce(scriptedDecoder(['hello', 'world', '[SEP]']));
+    await framework.loadModel('decoder', new ArrayBuffer(8));
+
+    const deltas = [];
+    const iterator = framework.generate('decoder', tokenizer, [tokenizer.tokenToId('[CLS]')], {
+      maxNewTokens: 10,
+      stopTokens: ['[SEP]']
+    });
+    let step = await iterator.next();
+    while (!step.done) {
+      deltas.push(step.value);
+      step = await iterator.next();
+    }
+
+    expect(deltas).toEqual(['hello', ' world']);
+    expect(step.value).toMatchObject({ text: 'hello world', finishReason: 'stop' });
+    expect(sent(WorkerMessageType.RUN_INFERENCE)).toHaveLength(3);
+  });
+
+  it('unloadModel 卸载 Worker 中的会话', async () => {
+    const session = new FakeSession();
+    ort.InferenceSession.create.mockResolvedValueOnce(session);
+    await framework.loadModel('model', new ArrayBuffer(8));
+
+    await framework.unloadModel('model');
+
+    expect(framework.listModels()).toEqual([]);
+    expect(sent(WorkerMessageType.UNLOAD_MODEL)).toEqual([expect.objectContaining({ modelName: 'model' })]);
+    expect(session.release).toHaveBeenCalledTimes(1);
+  });
+
+  it('dispose 卸载所有会话并释放 Worker', async () => {
+    const sessions = [new FakeSession(), new FakeSession()];
+    ort.InferenceSession.create.mockResolvedValueOnce(sessions[0]).mockResolvedValueOnce(sessions[1]);
+    await framework.loadModel('a', new ArrayBuffer(8));
+    await framework.loadModel('b', new ArrayBuffer(8));
+
+    await framework.dispose();
+
+    expect(sent(WorkerMessageType.UNLOAD_MODEL).map(message => message.modelName)).toEqual(['a', 'b']);
+    expect(sessions.every(session => session.release.mock.calls.length === 1)).toBe(true);
+    expect(sent(WorkerMessageType.DISPOSE)).toHaveLength(1);
+    expect(worker.terminated).toBe(true);
+    expect(framework.workerProxy).toBeNull();
+  });
+
+  it('supervisor 不能与 Worker 实例一起使用', async () => {
+    const other = new ONNXWebFramework({ backend: 'worker', worker, supervisor: {}, enableCache: false });
+
+    await expect(other.initialize()).rejects
+      .toThrow('supervisor requires workerUrl or a worker factory function, not a Worker instance');
+    expect(sent(WorkerMessageType.INITIALIZE)).toHaveLength(1);
+  });
+
+  it('未提供 workerUrl 或 worker 时初始化失败', async () => {
+    const other = new ONNXWebFramework({ backend: 'worker', enableCache: false });
+
+    await expect(other.initialize()).rejects.toThrow("backend 'worker' requires workerUrl or worker");
+  });
+});
@@ -0,0 +1,149 @@
+/**
+ * 增量解码与采样测试
+ */
+
+import { describe, it, expect } from 'vitest';
+import { LogitsSampler, TextStreamDecoder } from '../src/generation.js';
+import { createTokenizer } from '../src/tokenizer.js';
+import bert from './fixtures/bert-wordpiece.json';
+import gpt2 from './fixtures/gpt2-bpe.json';
+import unigram from './fixtures/unigram.json';
+
+/** 逐个 push 后 flush，返回每一步输出的增量 */
+const stream = (tokenizer, ids) => {
+  const streamer = new TextStreamDecoder(tokenizer);
+  const deltas = ids.map(id => streamer.push(id));
+  deltas.push(streamer.flush());
+  return { deltas, streamer };
+};
+
+describe('TextStreamDecoder', () => {
+  it.each([
+    ['ByteLevel', gpt2, 'naïve café résumé, emoji 🤗 and 👍🏽!'],
+    ['Metaspace + ByteFallback', unigram, 'the cat sat on the mat. café 你好'],
+    ['WordPiece', bert, 'hello, world! unaffable tokenizers.']
+  ])('%s：增量拼接后等于完整解码', (name, config, text) => {
+    const tokenizer = createTokenizer(config);
+    const { ids } = tokenizer.encode(text, { addSpecialTokens: false });
+    const { deltas, streamer } = stream(tokenizer, ids);
+
+    expect(deltas.join('')).toBe(tokenizer.decode(ids));
+    expect(streamer.text).toBe(tokenizer.decode(ids));
+  });
+
+  it('多字节字符补齐之前不输出', () => {
+    const tokenizer = createTokenizer(gpt2);
+    // " 🤗" = ĠðŁ ¤ Ĺ
+    const { deltas } = stream(tokenizer, [31370, 12520, 97, 245]);
+
+    expect(deltas).toEqual(['oji', '', '', ' 🤗', '']);
+  });
+
+  it('flush 输出未补齐的字符', () => {
+    const streamer = new TextStreamDecoder(createTokenizer(gpt2));
+
+    expect(streamer.push(12520)).toBe('');
+    expect(streamer.flush()).toBe(' �');
+  });
+
+  it('WordPiece 清理跨 token 改写已输出的文本时不丢失后续文本', () => {
+    const tokenizer = createTokenizer(bert);
+    // "it ' s" 完整解码时清理为 "it's"，缩短了已输出的 "it '"
+    const ids = ['it', "'", 's', 'good'].map(token => tokenizer.tokenToId(token));
+    const { deltas } = stream(tokenizer, ids);
+
+    expect(tokenizer.decode(ids)).toBe("it's good");
+    expect(deltas).toEqual(['it', " '", ' s', ' good', '']);
+  });
+
+  it('WordPiece 上下文被改写时续接子词不输出 "##"', () => {
+    // 单独解码为空的 "##" 使上一段输出包含两个 token（"## '"），
+    // 随后的 "##s" 把它清理为 "##'s"，不再以上一段的解码结果为前缀
+    const vocab = { ...bert.model.vocab, '##': Object.keys(bert.model.vocab).length };
+    const tokenizer = createTokenizer({ ...bert, model: { ...bert.model, vocab } });
+    const ids = ['it', '##', "'", '##s', 'good'].map(token => tokenizer.tokenToId(token));
+    const { deltas } = stream(tokenizer, ids);
+
+    expect(deltas).toEqual(['it', '', " '", 's', ' good', '']);
+  });
+
+  it('Metaspace 子词续接时不插入空格', () => {
+    const tokenizer = createTokenizer(unigram);
+    const ids = ['▁new', 'york', '▁cat', 's'].map(token => tokenizer.tokenToId(token));
+
+    expect(stream(tokenizer, ids).deltas).toEqual(['new', 'york', ' cat', 's', '']);
+  });
+
+  it('跳过的特殊 token 不产生输出', () => {
+    const tokenizer = createTokenizer(unigram);
+    const ids = ['▁hello', '</s>', '▁world'].map(token => tokenizer.tokenToId(token));
+
+    expect(stream(tokenizer, ids).deltas).toEqual(['hello', '', ' world', '']);
+  });
+});
+
+describe('LogitsSampler', () => {
+  /** 依次返回给定值的随机数生成器 */
+  const sequence = (...values) => () => values.shift();
+
+  it('不采样时返回分数最高的 token', () => {
+    const sampler = new LogitsSampler();
+
+    expect(sampler.sample(Float32Array.from([0.1, 3, -1, 2]), [])).toBe(1);
+  });
+
+  it('top-k 只在分数最高的 k 个候选中采样', () => {
+    const scores = Float32Array.from([1, 5, 2, 4, 3, 0]);
+    const sampler = new LogitsSampler({ doSample: true, topK: 3, random: Math.random });
+    const seen = new Set();
+    for (let i = 0; i < 200; i++) seen.add(sampler.sample(scores.slice(), []));
+
+    expect([...seen].sort()).toEqual([1, 3, 4]);
+  });
+
+  it('top-k 候选按分数从高到低排列，分数相同时 id 小的在前', () => {
+    const scores = Float32Array.from([2, 7, 7, 1, 5]);
+    // 候选为 1, 2, 4：随机数落在各自的累计概率区间内
+    const weights = [7, 7, 5].map(score => Math.exp(score - 7));
+    const total = weights.reduce((a, b) => a + b);
+    const sampler = new LogitsSampler({
+      doSample: true,
+      topK: 3,
+      random: sequence(0, weights[0] / total + 1e-6, 0.999999)
+    });
+
+    expect(sampler.sample(scores.slice(), [])).toBe(1);
+    expect(sampler.sample(scores.slice(), [])).toBe(2);
+    expect(sampler.sample(scores.slice(), [])).toBe(4);
+  });
+
+  it('top-p 只保留累计概率达到 p 的候选', () => {
+    // 概率约为 0.64、0.24、0.09、0.03
+    const scores = Float32Array.from([1, 3, 0, 2]);
+    const sampler = new LogitsSampler({ doSample: true, topP: 0.8, random: sequence(0.999999) });
+
+    expect(sampler.sample(scores, [])).toBe(3);
+  });
+
+  it('top-p 在超过部分选择范围的大词表上保留完整的候选', () => {
+    // 200 个分数相同的 token：初始的 64 个候选不足 p = 0.9，扩大范围后保留前 180 个
+    const scores = new Float32Array(200);
+    const sampler = new LogitsSampler({ doSample: true, topP: 0.9, random: sequence(0.999999) });
+
+    expect(sampler.sample(scores, [])).toBe(179);
+  });
+
+  it('同时使用 top-k 和 top-p 时先取 k 个候选再按概率截断', () => {
+    const scores = Float32Array.from([0, 10, 9, 8, 0]);
+    const sampler = new LogitsSampler({ doSample: true, topK: 2, topP: 0.5, random: sequence(0.999999) });
+
+    expect(sampler.sample(scores, [])).toBe(1);
+  });
+
+  it('不限制 top-k / top-p 时按完整分布采样', () => {
+    const scores = Float32Array.from([0, 0, 0, 0]);
+    const sampler = new LogitsSampler({ doSample: true, random: sequence(0.1, 0.3, 0.6, 0.9) });
+
+    expect([0, 1, 2, 3].map(() => sampler.sample(scores.slice(), []))).toEqual([0, 1, 2, 3]);
+  });
+});
@@ -0,0 +1,128 @@
+/**
+ * Worker 运行时测试工具
+ *
+ * 在当前线程中运行 src/worker.js：onnxruntime-web 由 ort 替身代替，
+ * 消息按结构化克隆（含 transfer 列表）在两端之间传递，createRuntimeWorker()
+ * 返回的对象可以直接交给 ONNXWorkerProxy
+ *
+ * 测试文件需要先模拟 onnxruntime-web：
+ * ```javascript
+ * vi.mock('onnxruntime-web', async () => (await import('./helpers/worker-runtime.js')).ort);
+ * ```
+ */
+
+import { vi } from 'vitest';
+
+/**
+ * ort.Tensor 替身
+ */
+export class FakeTensor {
+  constructor(type, data, dims) {
+    this.type = type;
+    this.data = data;
+    this.dims = dims;
+  }
+
+  dispose() {}
+}
+
+/**
+ * ort.InferenceSession 替身：默认把 float32 输入 input 乘以 2 输出为 output
+ */
+export class FakeSession {
+  /**
+   * @param {Object} [options]
+   * @param {string[]} [options.inputNames=['input']]
+   * @param {string[]} [options.outputNames=['output']]
+   * @param {(feeds: Record<string, FakeTensor>) => Promise<Record<string, FakeTensor>>} [options.run]
+   */
+  constructor({ inputNames = ['input'], outputNames = ['output'], run } = {}) {
+    this.inputNames = inputNames;
+    this.outputNames = outputNames;
+    this.inputMetadata = inputNames.map(name => ({ name, isTensor: true, type: 'float32', shape: [1, 2] }));
+    this.outputMetadata = outputNames.map(name => ({ name, isTensor: true, type: 'float32', shape: [1, 2] }));
+    this.run = vi.fn(run ?? (async feeds => ({
+      output: new FakeTensor('float32', Float32Array.from(feeds.input.data, value => value * 2), feeds.input.dims)
+    })));
+    this.release = vi.fn(async () => {});
+  }
+}
+
+/**
+ * onnxruntime-web 替身，InferenceSession.create 默认返回新的 FakeSession
+ */
+export const ort = {
+  env: { wasm: {} },
+  Tensor: FakeTensor,
+  InferenceSession: { create: vi.fn(async () => new FakeSession()) }
+};
+
+/**
+ * Worker 全局作用域（self）：postMessage 发给当前的 Worker 替身
+ */
+const scope = {
+  onmessage: null,
+  postMessage: (message, transfer) => current?.receive(message, transfer)
+};
+
+let current = null;
+let loaded = null;
+
+/**
+ * 创建连接到 src/worker.js 的 Worker 替身
+ *
+ * 运行时是模块级单例，同一个测试文件中的 Worker 替身共用它的状态（测试结束时发送 DISPOSE 清理）
+ *
+ * @returns {Promise<{onmessage: Function | null, onerror: Function | null, terminated: boolean, sent: Object[], received: Object[], postMessage: (message: Object, transfer?: Transferable[]) => void, terminate: () => void}>}
+ *   sent / received 记录发给运行时和运行时发回的消息（克隆后）
+ */
+export async function createRuntimeWorker() {
+  if (!loaded) {
+    globalThis.self = scope;
+    loaded = import('../../src/worker.js');
+  }
+  await loaded;
+
+  const worker = {
+    onmessage: null,
+    onerror: null,
+    terminated: false,
+    sent: [],
+    received: [],
+
+    postMessage(message, transfer = []) {
+      const data = structuredClone(message, { transfer });
+      worker.sent.push(data);
+      queueMicrotask(() => scope.onmessage({ data }));
+    },
+
+    receive(message, transfer = []) {
+      const data = structuredClone(message, { transfer });
+      worker.received.push(data);
+      queueMicrotask(() => worker.onmessage?.({ data }));
+    },
+
+    terminate() {
+      worker.terminated = true;
+    }
+  };
+
+  current = worker;
+  return worker;
+}
+
+/**
+ * 模拟 fetch：按 URL 返回固定的响应内容，其余 URL 返回 404
+ *
+ * @param {Record<string, string | Uint8Array | (() => Response)>} routes - URL 到响应内容的映射
+ * @returns {import('vitest').Mock}
+ */
+export function fetchRoutes(routes) {
+  return vi.fn(async (url) => {
+    const route = routes[String(url)];
+    if (route === undefined) {
+      return new Response(null, { status: 404, statusText: 'Not Found' });
+    }
+    return typeof route === 'function' ? route() : new Response(route);
+  });
+}
@@ -0,0 +1,133 @@
+/**
+ * ModelCache.fetchText 测试：ETag 重新验证、离线 / 5xx 回退、去掉条件请求头重试（缓存读写替换为 spy，无需 IndexedDB）
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import ModelCache from '../src/model-cache.js';
+
+const URL = 'https://example.com/bert/tokenizer.json';
+const CACHED = {
+  url: URL,
+  text: '{"version":"1"}',
+  etag: '"v1"',
+  lastModified: 'Mon, 05 Oct 2026 00:00:00 GMT',
+  timestamp: 0,
+  size: 15
+};
+
+describe('ModelCache.fetchText', () => {
+  let cache;
+  let getFile;
+  let cacheFile;
+  let touchFile;
+
+  /** 模拟 fetch：按顺序返回响应，Error 表示请求失败 */
+  const stubFetch = (...responses) => {
+    const fetch = vi.fn(async () => {
+      const response = responses.shift();
+      if (response instanceof Error) throw response;
+      return response;
+    });
+    vi.stubGlobal('fetch', fetch);
+    return fetch;
+  };
+
+  beforeEach(() => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    cache = new ModelCache();
+    getFile = vi.spyOn(cache, 'getFile').mockResolvedValue({ ...CACHED });
+    cacheFile = vi.spyOn(cache, 'cacheFile').mockResolvedValue();
+    touchFile = vi.spyOn(cache, 'touchFile').mockResolvedValue();
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+    vi.restoreAllMocks();
+  });
+
+  it('没有缓存时下载并保存内容和验证器', async () => {
+    getFile.mockResolvedValue(null);
+    const fetch = stubFetch(new Response('{"version":"2"}', {
+      headers: { ETag: '"v2"', 'Last-Modified': 'Tue, 06 Oct 2026 00:00:00 GMT' }
+    }));
+
+    await expect(cache.fetchText(URL)).resolves.toBe('{"version":"2"}');
+
+    expect(fetch).toHaveBeenCalledWith(URL, { headers: {} });
+    expect(cacheFile).toHaveBeenCalledWith(URL, '{"version":"2"}', '"v2"', 'Tue, 06 Oct 2026 00:00:00 GMT');
+  });
+
+  it('304 时使用缓存，只更新验证器和缓存时间', async () => {
+    const fetch = stubFetch(new Response(null, { status: 304, headers: { ETag: '"v1-gzip"' } }));
+
+    await expect(cache.fetchText(URL)).resolves.toBe(CACHED.text);
+
+    expect(fetch).toHaveBeenCalledWith(URL, {
+      headers: { 'If-None-Match': '"v1"', 'If-Modified-Since': CACHED.lastModified }
+    });
+    expect(cacheFile).not.toHaveBeenCalled();
+    // 304 没有带 Last-Modified 时沿用缓存的值
+    expect(touchFile).toHaveBeenCalledWith(URL, { etag: '"v1-gzip"', lastModified: CACHED.lastModified });
+  });
+
+  it('文件已更新时重新缓存', async () => {
+    stubFetch(new Response('{"version":"2"}', { headers: { ETag: '"v2"' } }));
+
+    await expect(cache.fetchText(URL)).resolves.toBe('{"version":"2"}');
+
+    expect(cacheFile).toHaveBeenCalledWith(URL, '{"version":"2"}', '"v2"', null);
+    expect(touchFile).not.toHaveBeenCalled();
+  });
+
+  it('条件请求失败时去掉请求头重试（CORS 预检不通过）', async () => {
+    const fetch = stubFetch(new TypeError('Failed to fetch'), new Response(null, { status: 304 }));
+
+    await expect(cache.fetchText(URL)).resolves.toBe(CACHED.text);
+
+    expect(fetch).toHaveBeenCalledTimes(2);
+    expect(fetch.mock.calls[1]).toEqual([URL]);
+    expect(touchFile).toHaveBeenCalledWith(URL, { etag: CACHED.etag, lastModified: CACHED.lastModified });
+  });
+
+  it('网络不可用时回退到缓存', async () => {
+    const fetch = stubFetch(new TypeError('Failed to fetch'), new TypeError('Failed to fetch'));
+
+    await expect(cache.fetchText(URL)).resolves.toBe(CACHED.text);
+
+    expect(fetch).toHaveBeenCalledTimes(2);
+    expect(cacheFile).not.toHaveBeenCalled();
+    expect(touchFile).not.toHaveBeenCalled();
+  });
+
+  it('没有缓存时网络错误直接抛出，不重试', async () => {
+    getFile.mockResolvedValue(null);
+    const fetch = stubFetch(new TypeError('Failed to fetch'));
+
+    await expect(cache.fetchText(URL)).rejects.toThrow('Failed to fetch');
+    expect(fetch).toHaveBeenCalledTimes(1);
+  });
+
+  it('服务端 5xx 时回退到缓存，4xx 和没有缓存时抛出', async () => {
+    stubFetch(new Response('', { status: 503, statusText: 'Service Unavailable' }));
+    await expect(cache.fetchText(URL)).resolves.toBe(CACHED.text);
+
+    stubFetch(new Response('', { status: 404, statusText: 'Not Found' }));
+    await expect(cache.fetchText(URL)).rejects.toThrow('Failed to fetch file: 404 Not Found');
+
+    getFile.mockResolvedValue(null);
+    stubFetch(new Response('', { status: 503, statusText: 'Service Unavailable' }));
+    await expect(cache.fetchText(URL)).rejects.toThrow('Failed to fetch file: 503 Service Unavailable');
+
+    expect(cacheFile).not.toHaveBeenCalled();
+  });
+
+  it('IndexedDB 不可用时退化为普通 fetch', async () => {
+    getFile.mockRejectedValue(new Error('indexedDB is not defined'));
+    cacheFile.mockRejectedValue(new Error('indexedDB is not defined'));
+    const fetch = stubFetch(new Response('{"version":"2"}'));
+
+    await expect(cache.fetchText(URL)).resolves.toBe('{"version":"2"}');
+    expect(fetch).toHaveBeenCalledWith(URL, { headers: {} });
+  });
+});
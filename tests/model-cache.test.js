@@ -0,0 +1,202 @@
+/**
+ * ModelCache 分块下载测试（不保存分块，无需 IndexedDB）
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import ModelCache from '../src/model-cache.js';
+
+const URL = 'https://example.com/model.onnx';
+const FILE = Uint8Array.from({ length: 10 }, (_, i) => i);
+
+/**
+ * 模拟支持 Range 的服务器
+ * @param {object} [options]
+ * @param {boolean} [options.ignoreRange] - 忽略 Range，总是返回完整文件
+ * @param {(start: number, end: number) => Record<string, string>} [options.headers] - 206 响应的额外响应头
+ */
+function serve({ ignoreRange = false, headers = () => ({ ETag: 'W/"v1"' }) } = {}) {
+  return vi.fn(async (url, init = {}) => {
+    const range = new Headers(init.headers).get('Range');
+    if (!range || ignoreRange) {
+      return new Response(FILE.slice(), { status: 200, headers: { 'Content-Length': String(FILE.length) } });
+    }
+
+    const [, start, end] = /^bytes=(\d+)-(\d+)$/.exec(range).map(Number);
+    return new Response(FILE.slice(start, end + 1), {
+      status: 206,
+      headers: { 'Content-Range': `bytes ${start}-${end}/${FILE.length}`, ...headers(start, end) }
+    });
+  });
+}
+
+describe('ModelCache.downloadInChunks', () => {
+  const cache = new ModelCache({ chunkSize: 4, concurrency: 2, retries: 2, retryDelay: 0 });
+
+  beforeEach(() => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+    vi.restoreAllMocks();
+  });
+
+  it('弱 ETag：只发送 Range 请求头并拼接分块', async () => {
+    const fetch = serve();
+    vi.stubGlobal('fetch', fetch);
+    const report = vi.fn();
+
+    const data = await cache.downloadInChunks(URL, FILE.length, report, { etag: 'W/"v1"' });
+
+    expect(data).toEqual(FILE);
+    expect(fetch).toHaveBeenCalledTimes(3);
+    for (const [, init] of fetch.mock.calls) {
+      expect(Object.keys(init.headers)).toEqual(['Range']);
+    }
+    expect(report).toHaveBeenLastCalledWith('downloading', 10, 10, 10);
+  });
+
+  it('服务器忽略 Range 返回 200 时改为一次性流式下载', async () => {
+    const fetch = serve({ ignoreRange: true });
+    vi.stubGlobal('fetch', fetch);
+    const report = vi.fn();
+
+    const data = await cache.downloadInChunks(URL, FILE.length, report, { etag: '"v1"' });
+
+    expect(data).toEqual(FILE);
+    // 最后一次请求不带 Range
+    expect(fetch.mock.calls.at(-1)[1]).toEqual({});
+    expect(report).toHaveBeenLastCalledWith('downloading', 10, 10);
+  });
+
+  it('206 响应的 ETag 变化时失败且不重试', async () => {
+    const fetch = serve({ headers: start => ({ ETag: start === 0 ? '"v1"' : '"v2"' }) });
+    vi.stubGlobal('fetch', fetch);
+
+    await expect(cache.downloadInChunks(URL, FILE.length, null, { etag: '"v1"' }))
+      .rejects.toThrow('ETag changed from "v1" to "v2" during download');
+    expect(fetch.mock.calls.length).toBeLessThanOrEqual(3);
+  });
+
+  it('ETag 按弱比较，W/ 前缀不同不算变化', async () => {
+    vi.stubGlobal('fetch', serve({ headers: () => ({ ETag: 'W/"v1"' }) }));
+
+    await expect(cache.downloadInChunks(URL, FILE.length, null, { etag: '"v1"' })).resolves.toEqual(FILE);
+  });
+
+  it('Content-Range 的文件大小与 HEAD 不一致时失败', async () => {
+    vi.stubGlobal('fetch', serve());
+
+    await expect(cache.downloadInChunks(URL, 12, null, { etag: 'W/"v1"' }))
+      .rejects.toThrow('Unexpected Content-Range');
+  });
+
+  it('读不到 Content-Range / ETag（未暴露的跨域响应头）时跳过校验', async () => {
+    const fetch = vi.fn(async (url, init) => {
+      const [, start, end] = /^bytes=(\d+)-(\d+)$/.exec(init.headers.Range).map(Number);
+      return new Response(FILE.slice(start, end + 1), { status: 206 });
+    });
+    vi.stubGlobal('fetch', fetch);
+
+    await expect(cache.downloadInChunks(URL, FILE.length, null, { etag: '"v1"' })).resolves.toEqual(FILE);
+  });
+
+  it('网络错误按次数重试', async () => {
+    const server = serve();
+    const fetch = vi.fn()
+      .mockRejectedValueOnce(new TypeError('Failed to fetch'))
+      .mockImplementation(server);
+    vi.stubGlobal('fetch', fetch);
+
+    await expect(cache.downloadInChunks(URL, FILE.length, null, { etag: 'W/"v1"' })).resolves.toEqual(FILE);
+    expect(fetch).toHaveBeenCalledTimes(4);
+  });
+});
+
+describe('ModelCache.revalidate', () => {
+  const cached = { url: URL, data: FILE, size: FILE.length, timestamp: 0, etag: '"v1"', lastModified: null, freshUntil: 0, staleUntil: 0 };
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+    vi.restoreAllMocks();
+  });
+
+  it('304 时只更新 ETag 和新鲜期，不重写模型、不腾出空间', async () => {
+    const cache = new ModelCache();
+    const updateFreshness = vi.spyOn(cache, 'updateFreshness').mockResolvedValue();
+    const storeModel = vi.spyOn(cache, 'storeModel');
+    const ensureSpace = vi.spyOn(cache, 'ensureSpace');
+    const fetch = vi.fn(async () => new Response(null, { status: 304, headers: { 'Cache-Control': 'max-age=60' } }));
+    vi.stubGlobal('fetch', fetch);
+
+    const before = Date.now();
+    const { valid } = await cache.revalidate(URL, cached);
+
+    expect(valid).toBe(true);
+    expect(fetch.mock.calls[0][1]).toEqual({ method: 'HEAD', headers: { 'If-None-Match': '"v1"' } });
+    expect(storeModel).not.toHaveBeenCalled();
+    expect(ensureSpace).not.toHaveBeenCalled();
+    expect(updateFreshness).toHaveBeenCalledWith(URL, FILE.length, expect.objectContaining({ etag: '"v1"', lastModified: null }));
+
+    const { freshUntil } = updateFreshness.mock.calls[0][2];
+    expect(freshUntil).toBeGreaterThanOrEqual(before + 60_000);
+    expect(freshUntil).toBeLessThanOrEqual(Date.now() + 60_000);
+  });
+
+  it('模型已更新时不修改缓存并返回 HEAD 响应', async () => {
+    const cache = new ModelCache();
+    const updateFreshness = vi.spyOn(cache, 'updateFreshness').mockResolvedValue();
+    vi.stubGlobal('fetch', vi.fn(async () => new Response(null, { status: 200, headers: { ETag: '"v2"' } })));
+
+    const { valid, headResponse } = await cache.revalidate(URL, cached);
+
+    expect(valid).toBe(false);
+    expect(headResponse.headers.get('ETag')).toBe('"v2"');
+    expect(updateFreshness).not.toHaveBeenCalled();
+  });
+});
+
+describe('ModelCache.downloadModel', () => {
+  beforeEach(() => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+    vi.restoreAllMocks();
+  });
+
+  it('下载失败时不淘汰已缓存的模型', async () => {
+    const cache = new ModelCache();
+    const ensureSpace = vi.spyOn(cache, 'ensureSpace').mockResolvedValue(true);
+    const storeModel = vi.spyOn(cache, 'storeModel').mockResolvedValue(true);
+    vi.stubGlobal('fetch', vi.fn(async () => { throw new TypeError('Failed to fetch'); }));
+    const headResponse = new Response(null, { headers: { 'Content-Length': String(FILE.length), ETag: '"v1"' } });
+
+    await expect(cache.downloadModel(URL, headResponse, { cache: true })).rejects.toThrow('Failed to fetch');
+    expect(ensureSpace).not.toHaveBeenCalled();
+    expect(storeModel).not.toHaveBeenCalled();
+  });
+
+  it('超过 maxCacheSize 的模型照常下载但不缓存', async () => {
+    const cache = new ModelCache({ maxCacheSize: FILE.length - 1 });
+    const storeModel = vi.spyOn(cache, 'storeModel').mockResolvedValue(true);
+    vi.stubGlobal('fetch', serve());
+    const headResponse = new Response(null, { headers: { 'Content-Length': String(FILE.length), ETag: '"v1"' } });
+
+    await expect(cache.downloadModel(URL, headResponse, { cache: true })).resolves.toEqual(FILE);
+    expect(storeModel).not.toHaveBeenCalled();
+  });
+
+  it('下载完成后才写入缓存', async () => {
+    const cache = new ModelCache();
+    const storeModel = vi.spyOn(cache, 'storeModel').mockResolvedValue(true);
+    vi.stubGlobal('fetch', serve());
+    const headResponse = new Response(null, { headers: { 'Content-Length': String(FILE.length), ETag: '"v1"' } });
+
+    await cache.downloadModel(URL, headResponse, { cache: true });
+    expect(storeModel).toHaveBeenCalledWith(URL, FILE, '"v1"', expect.objectContaining({ cacheable: true }));
+  });
+});
@@ -0,0 +1,67 @@
+/**
+ * validateFeeds 测试
+ */
+
+import { describe, it, expect } from 'vitest';
+import { FeedValidationError, validateFeeds } from '../src/model-metadata.js';
+import { TensorData } from '../src/worker-types.js';
+
+const INPUTS = {
+  input_ids: { type: 'int64', shape: ['batch_size', 'sequence_length'] },
+  pixel_values: { type: 'float32', shape: [1, 3] }
+};
+
+/** 返回校验问题列表，通过时返回 [] */
+const issuesOf = feeds => {
+  try {
+    validateFeeds('test', feeds, INPUTS);
+    return [];
+  } catch (error) {
+    expect(error).toBeInstanceOf(FeedValidationError);
+    return error.issues;
+  }
+};
+
+describe('validateFeeds', () => {
+  it('类型与形状匹配时通过', () => {
+    expect(issuesOf({
+      input_ids: new TensorData(new BigInt64Array(4), [2, 2], 'int64'),
+      pixel_values: new TensorData(new Float32Array(3), [1, 3], 'float32')
+    })).toEqual([]);
+  });
+
+  it('未指定 type 的张量按数据数组推断类型', () => {
+    expect(issuesOf({
+      input_ids: { data: new BigInt64Array(2), dims: [1, 2] },
+      pixel_values: { data: [0.1, 0.2, 0.3], dims: [1, 3] }
+    })).toEqual([]);
+
+    expect(issuesOf({
+      input_ids: { data: new Int32Array(2), dims: [1, 2] },
+      pixel_values: { data: new Float32Array(3), dims: [1, 3] }
+    })).toEqual([{ input: 'input_ids', reason: 'type', expectedType: 'int64', actualType: 'int32' }]);
+  });
+
+  it('既没有 type 也没有 data 时跳过类型检查', () => {
+    expect(issuesOf({
+      input_ids: { dims: [1, 2], location: 'gpu-buffer' },
+      pixel_values: new TensorData(new Float32Array(3), [1, 3])
+    })).toEqual([]);
+  });
+
+  it('报告缺少、多余、形状和长度问题', () => {
+    expect(issuesOf({
+      input_ids: new TensorData(new BigInt64Array(3), [1, 2], 'int64'),
+      attention_mask: new TensorData(new BigInt64Array(2), [1, 2], 'int64')
+    })).toEqual([
+      { input: 'pixel_values', reason: 'missing' },
+      { input: 'input_ids', reason: 'size', actualShape: [1, 2], expectedSize: 2, actualSize: 3 },
+      { input: 'attention_mask', reason: 'unexpected' }
+    ]);
+
+    expect(issuesOf({
+      input_ids: new TensorData(new BigInt64Array(2), [2], 'int64'),
+      pixel_values: new TensorData(new Float32Array(3), [1, 3], 'float32')
+    })).toEqual([{ input: 'input_ids', reason: 'shape', expectedShape: INPUTS.input_ids.shape, actualShape: [2] }]);
+  });
+});
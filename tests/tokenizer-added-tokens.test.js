@@ -0,0 +1,126 @@
+/**
+ * added token 与特殊 token 测试
+ */
+
+import { describe, it, expect } from 'vitest';
+import { createTokenizer } from '../src/tokenizer.js';
+import bert from './fixtures/bert-wordpiece.json';
+import gpt2 from './fixtures/gpt2-bpe.json';
+
+const addedToken = token => ({ single_word: false, lstrip: false, rstrip: false, normalized: false, special: false, ...token });
+
+const withAddedTokens = () => createTokenizer({
+  ...bert,
+  added_tokens: [
+    ...bert.added_tokens.filter(token => token.content !== '[MASK]'),
+    addedToken({ id: 4, content: '[MASK]', lstrip: true, special: true }),
+    addedToken({ id: 46, content: 'NewToken', normalized: true }),
+    addedToken({ id: 47, content: 'cat', single_word: true })
+  ]
+});
+
+describe('added tokens', () => {
+  const tokenizer = withAddedTokens();
+  const encode = text => tokenizer.encode(text, { addSpecialTokens: false });
+
+  it('在预分词之前整体匹配', () => {
+    const encoding = encode('the [MASK] is good');
+
+    expect(encoding.tokens).toEqual(['the', '[MASK]', 'is', 'good']);
+    expect(encoding.ids).toEqual([10, 4, 12, 32]);
+  });
+
+  it('lstrip 时 token 吞掉左侧空白', () => {
+    expect(encode('the [MASK] is good').offsets[1]).toEqual([3, 10]);
+    expect(encode('the [MASK][MASK]').ids).toEqual([10, 4, 4]);
+  });
+
+  it('normalized 为 false 的 token 匹配原始文本', () => {
+    expect(encode('the [mask] is good').tokens).toEqual(['the', '[UNK]', '[UNK]', '[UNK]', 'is', 'good']);
+  });
+
+  it('normalized 的 token 匹配规范化后的文本', () => {
+    const encoding = encode('NEWTOKEN newtoken');
+
+    expect(encoding.ids).toEqual([46, 46]);
+    expect(encoding.offsets).toEqual([[0, 8], [9, 17]]);
+  });
+
+  it('single_word 只匹配完整的词', () => {
+    expect(encode('cat cats').tokens).toEqual(['cat', '[UNK]']);
+  });
+
+  it('较长的 added token 优先匹配', () => {
+    const overlapping = createTokenizer({
+      ...gpt2,
+      added_tokens: [...gpt2.added_tokens, addedToken({ id: 50257, content: '<|end', special: true })]
+    });
+
+    expect(overlapping.encode('a<|endoftext|>').ids).toEqual([64, 50256]);
+  });
+
+  it('added token 不在模型词表中时计入 vocabSize', () => {
+    expect(tokenizer.vocabSize).toBe(Object.keys(bert.model.vocab).length + 2);
+  });
+});
+
+describe('special tokens', () => {
+  it('decode 可跳过特殊 token，保留普通 added token', () => {
+    const tokenizer = withAddedTokens();
+    const { ids } = tokenizer.encode('the [MASK] is NewToken');
+
+    expect(tokenizer.decode(ids)).toBe('[CLS] the [MASK] is NewToken [SEP]');
+    expect(tokenizer.decode(ids, { skipSpecialTokens: true })).toBe('the is NewToken');
+  });
+
+  it('tokenToId / idToToken 包含 added token，不存在时返回 null', () => {
+    const tokenizer = withAddedTokens();
+
+    expect(tokenizer.tokenToId('NewToken')).toBe(46);
+    expect(tokenizer.idToToken(46)).toBe('NewToken');
+    expect(tokenizer.tokenToId('constructor')).toBeNull();
+    expect(tokenizer.idToToken(1000)).toBeNull();
+  });
+
+  it('getSpecialTokens 合并 tokenizer_config.json 与 special_tokens_map.json', () => {
+    const tokenizer = createTokenizer(bert, 'json', {
+      tokenizerConfig: {
+        cls_token: '[CLS]',
+        sep_token: '[SEP]',
+        mask_token: { content: '[MASK]', lstrip: true },
+        added_tokens_decoder: {
+          46: { content: '<extra>', special: true, single_word: false, lstrip: false, rstrip: false, normalized: false }
+        }
+      },
+      specialTokensMap: {
+        pad_token: '[PAD]',
+        additional_special_tokens: ['<extra>']
+      }
+    });
+
+    expect(tokenizer.getSpecialTokens()).toEqual({
+      unkToken: '[UNK]',
+      clsToken: '[CLS]',
+      sepToken: '[SEP]',
+      maskToken: '[MASK]',
+      padToken: '[PAD]',
+      additionalSpecialTokens: ['<extra>']
+    });
+    // added_tokens_decoder 中的 token 同样参与匹配
+    expect(tokenizer.encode('hello<extra>', { addSpecialTokens: false }).ids).toEqual([13, 46]);
+    expect(tokenizer.decode([2, 13, 46, 3], { skipSpecialTokens: true })).toBe('hello');
+  });
+
+  it('unk token 不在词表中时抛出错误而不是返回 undefined', () => {
+    const vocab = { ...bert.model.vocab };
+    delete vocab['[UNK]'];
+    const tokenizer = createTokenizer({
+      ...bert,
+      added_tokens: bert.added_tokens.filter(token => token.content !== '[UNK]'),
+      model: { ...bert.model, vocab }
+    });
+
+    expect(tokenizer.encode('hello', { addSpecialTokens: false }).ids).toEqual([13]);
+    expect(() => tokenizer.encode('xyzzy')).toThrow("unk token '[UNK]' is not in the vocabulary");
+  });
+});
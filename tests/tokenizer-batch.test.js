@@ -0,0 +1,117 @@
+/**
+ * 批量编码测试：填充、截断、句对与 toTensorFeeds
+ */
+
+import { describe, it, expect } from 'vitest';
+import { createTokenizer, toTensorFeeds } from '../src/tokenizer.js';
+import { TensorData } from '../src/worker-types.js';
+import bert from './fixtures/bert-wordpiece.json';
+
+describe('encodeBatch', () => {
+  const tokenizer = createTokenizer(bert);
+
+  it('默认填充到最长样本', () => {
+    expect(tokenizer.encodeBatch(['hello world', 'unaffable'])).toEqual({
+      ids: [[2, 13, 14, 3, 0], [2, 15, 16, 17, 3]],
+      attentionMask: [[1, 1, 1, 1, 0], [1, 1, 1, 1, 1]],
+      typeIds: [[0, 0, 0, 0, 0], [0, 0, 0, 0, 0]]
+    });
+  });
+
+  it("padding 'max_length' 与左侧填充", () => {
+    const batch = tokenizer.encodeBatch(['hello world', 'unaffable'], {
+      padding: 'max_length',
+      maxLength: 6,
+      paddingSide: 'left'
+    });
+
+    expect(batch.ids).toEqual([[0, 0, 2, 13, 14, 3], [0, 2, 15, 16, 17, 3]]);
+    expect(batch.attentionMask).toEqual([[0, 0, 1, 1, 1, 1], [0, 1, 1, 1, 1, 1]]);
+  });
+
+  it('padding 方向与 pad id 跟随 tokenizer.json 的 padding 配置', () => {
+    const padded = createTokenizer({ ...bert, padding: { direction: 'Left', pad_id: 4, pad_type_id: 1 } });
+    const batch = padded.encodeBatch(['hello', 'hello world']);
+
+    expect(batch.ids[0]).toEqual([4, 2, 13, 3]);
+    expect(batch.typeIds[0]).toEqual([1, 0, 0, 0]);
+  });
+
+  it('指定 maxLength 时默认截断，保留特殊 token', () => {
+    expect(tokenizer.encodeBatch(['what is the weather today'], { maxLength: 4 }).ids).toEqual([[2, 27, 12, 3]]);
+  });
+
+  it('句对：第二句的 type id 为 1，按最长样本填充', () => {
+    const batch = tokenizer.encodeBatch(['what is the capital of france', 'hello'], { pairs: ['paris', 'world'] });
+
+    expect(batch.ids).toEqual([[2, 27, 12, 10, 40, 41, 42, 3, 39, 3], [2, 13, 3, 14, 3, 0, 0, 0, 0, 0]]);
+    expect(batch.typeIds).toEqual([[0, 0, 0, 0, 0, 0, 0, 0, 1, 1], [0, 0, 0, 1, 1, 0, 0, 0, 0, 0]]);
+  });
+
+  it('参数校验', () => {
+    expect(() => tokenizer.encodeBatch(['a'], { padding: 'do_not_pad' })).toThrow('Unsupported padding strategy');
+    expect(() => tokenizer.encodeBatch(['a'], { padding: 'max_length' })).toThrow('requires maxLength');
+    expect(() => tokenizer.encodeBatch(['a', 'b'], { pairs: ['c'] })).toThrow('does not match');
+  });
+});
+
+describe('truncation', () => {
+  const tokenizer = createTokenizer(bert);
+  const tokens = (text, options) => tokenizer.encode(text, options).tokens;
+
+  it('longest_first：较短的句子完整保留，截断较长的句子', () => {
+    expect(tokens('what is the capital of france', { pair: 'paris', maxLength: 7 }))
+      .toEqual(['[CLS]', 'what', 'is', 'the', '[SEP]', 'paris', '[SEP]']);
+    expect(tokens('paris', { pair: 'what is the capital of france', maxLength: 7 }))
+      .toEqual(['[CLS]', 'paris', '[SEP]', 'what', 'is', 'the', '[SEP]']);
+  });
+
+  it('longest_first：两句都超过一半时各保留约一半', () => {
+    const encoding = tokenizer.encode('what is the weather', { pair: 'the capital of france today', maxLength: 8 });
+
+    expect(encoding.tokens).toEqual(['[CLS]', 'what', 'is', '[SEP]', 'the', 'capital', 'of', '[SEP]']);
+    expect(encoding.typeIds).toEqual([0, 0, 0, 0, 1, 1, 1, 1]);
+  });
+
+  it('only_first / only_second', () => {
+    expect(tokens('what is the weather', { pair: 'the capital of france', maxLength: 8, truncation: 'only_second' }))
+      .toEqual(['[CLS]', 'what', 'is', 'the', 'weather', '[SEP]', 'the', '[SEP]']);
+    expect(tokens('what is the capital of france', { pair: 'the weather', maxLength: 8, truncation: 'only_first' }))
+      .toEqual(['[CLS]', 'what', 'is', 'the', '[SEP]', 'the', 'weather', '[SEP]']);
+  });
+
+  it('指定的句子不够截断时抛出错误', () => {
+    expect(() => tokenizer.encode('what is the capital of france', { pair: 'the weather today', maxLength: 8, truncation: 'only_second' }))
+      .toThrow("strategy 'only_second'");
+    expect(() => tokenizer.encode('hello', { maxLength: 1 })).toThrow('smaller than the number of special tokens');
+  });
+
+  it('truncation 为 false 时忽略 maxLength', () => {
+    expect(tokenizer.encode('what is the weather today', { maxLength: 4, truncation: false }).ids).toHaveLength(7);
+  });
+});
+
+describe('toTensorFeeds', () => {
+  const tokenizer = createTokenizer(bert);
+  const batch = tokenizer.encodeBatch(['hello world', 'unaffable']);
+
+  it('按 inputNames 生成 int64 TensorData', () => {
+    const feeds = toTensorFeeds(batch, ['input_ids', 'attention_mask', 'position_ids']);
+
+    expect(Object.keys(feeds)).toEqual(['input_ids', 'attention_mask']);
+    expect(feeds.input_ids).toBeInstanceOf(TensorData);
+    expect(feeds.input_ids.type).toBe('int64');
+    expect(feeds.input_ids.dims).toEqual([2, 5]);
+    expect(feeds.input_ids.data).toEqual(BigInt64Array.from([2n, 13n, 14n, 3n, 0n, 2n, 15n, 16n, 17n, 3n]));
+    expect(Array.from(feeds.attention_mask.data, Number)).toEqual(batch.attentionMask.flat());
+  });
+
+  it('默认生成 input_ids / attention_mask / token_type_ids', () => {
+    expect(Object.keys(toTensorFeeds(batch))).toEqual(['input_ids', 'attention_mask', 'token_type_ids']);
+  });
+
+  it('拒绝不规则的批次', () => {
+    expect(() => toTensorFeeds({ ids: [[1, 2], [3]], attentionMask: [[1, 1], [1]], typeIds: [[0, 0], [0]] }))
+      .toThrow('not rectangular');
+  });
+});
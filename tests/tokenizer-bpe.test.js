@@ -0,0 +1,105 @@
+/**
+ * BPE（GPT-2 byte-level）分词测试
+ *
+ * fixtures/gpt2-bpe.json 是 GPT-2 tokenizer.json 的子集：保留全部 256 个字节字符、
+ * 下列语料编码时实际用到的 merges 和 token（id 与原词表一致），因此在这些文本上的结果与完整词表相同。
+ * 期望的 ids 与 gpt-3-encoder 的输出一致
+ */
+
+import { describe, it, expect } from 'vitest';
+import { JSONTokenizer, createTokenizer } from '../src/tokenizer.js';
+import gpt2 from './fixtures/gpt2-bpe.json';
+
+const CASES = [
+  {
+    text: 'Hello world',
+    ids: [15496, 995],
+    offsets: [[0, 5], [5, 11]]
+  },
+  {
+    text: 'I\'m sure they\'ll say it\'s fine, isn\'t it?',
+    ids: [40, 1101, 1654, 484, 1183, 910, 340, 338, 3734, 11, 2125, 470, 340, 30],
+    offsets: [[0, 1], [1, 3], [3, 8], [8, 13], [13, 16], [16, 20], [20, 23], [23, 25], [25, 30], [30, 31], [31, 35], [35, 37], [37, 40], [40, 41]]
+  },
+  {
+    text: 'The year 2024 had 366 days.',
+    ids: [464, 614, 48609, 550, 44856, 1528, 13],
+    offsets: [[0, 3], [3, 8], [8, 13], [13, 17], [17, 21], [21, 26], [26, 27]]
+  },
+  {
+    text: '  leading and trailing spaces  ',
+    ids: [220, 3756, 290, 25462, 9029, 220, 220],
+    offsets: [[0, 1], [1, 9], [9, 13], [13, 22], [22, 29], [29, 30], [30, 31]]
+  },
+  {
+    text: 'tabs\tand\nnewlines\n\n',
+    ids: [8658, 82, 197, 392, 198, 3605, 6615, 628],
+    offsets: [[0, 3], [3, 4], [4, 5], [5, 8], [8, 9], [9, 12], [12, 17], [17, 19]]
+  },
+  {
+    text: 'naïve café résumé',
+    ids: [2616, 38776, 40304, 40560, 16345, 2634],
+    offsets: [[0, 2], [2, 5], [5, 10], [10, 13], [13, 16], [16, 17]]
+  },
+  {
+    text: '你好，世界',
+    ids: [19526, 254, 25001, 121, 171, 120, 234, 10310, 244, 45911, 234],
+    offsets: [[0, 1], [0, 1], [1, 2], [1, 2], [2, 3], [2, 3], [2, 3], [3, 4], [3, 4], [4, 5], [4, 5]]
+  },
+  {
+    text: 'emoji 🤗 and 👍🏽!',
+    ids: [368, 31370, 12520, 97, 245, 290, 50169, 235, 8582, 237, 121, 0],
+    offsets: [[0, 2], [2, 5], [5, 8], [6, 8], [6, 8], [8, 12], [12, 15], [13, 15], [15, 17], [15, 17], [15, 17], [17, 18]]
+  },
+  {
+    text: 'camelCaseIdentifier = foo_bar(42);',
+    ids: [66, 17983, 20448, 33234, 7483, 796, 22944, 62, 5657, 7, 3682, 1776],
+    offsets: [[0, 1], [1, 5], [5, 9], [9, 14], [14, 19], [19, 21], [21, 25], [25, 26], [26, 29], [29, 30], [30, 32], [32, 34]]
+  },
+  {
+    text: 'first<|endoftext|>second',
+    ids: [11085, 50256, 12227],
+    offsets: [[0, 5], [5, 18], [18, 24]]
+  }
+
+];
+
+describe('JSONTokenizer (BPE)', () => {
+  const tokenizer = createTokenizer(gpt2);
+
+  it('根据 model.type 创建 JSONTokenizer', () => {
+    expect(tokenizer).toBeInstanceOf(JSONTokenizer);
+  });
+
+  it.each(CASES)('编码 $text', ({ text, ids, offsets }) => {
+    const encoding = tokenizer.encode(text);
+
+    expect(encoding.ids).toEqual(ids);
+    expect(encoding.offsets).toEqual(offsets);
+    expect(encoding.attentionMask).toEqual(ids.map(() => 1));
+    expect(encoding.typeIds).toEqual(ids.map(() => 0));
+  });
+
+  it.each(CASES)('解码还原原文 $text', ({ text, ids }) => {
+    expect(tokenizer.decode(ids)).toBe(text);
+  });
+
+  it('tokens 与 ids 一一对应', () => {
+    const { ids, tokens } = tokenizer.encode('Hello world');
+
+    expect(tokens).toEqual(['Hello', 'Ġworld']);
+    expect(tokens.map(token => tokenizer.tokenToId(token))).toEqual(ids);
+    expect(ids.map(id => tokenizer.idToToken(id))).toEqual(tokens);
+  });
+
+  it('<|endoftext|> 作为 added token 整体编码为 50256', () => {
+    expect(tokenizer.encode('<|endoftext|>').ids).toEqual([50256]);
+    expect(tokenizer.tokenToId('<|endoftext|>')).toBe(50256);
+    expect(tokenizer.decode([15496, 50256], { skipSpecialTokens: true })).toBe('Hello');
+  });
+
+  it('未知 token 返回 null', () => {
+    expect(tokenizer.tokenToId('not-in-vocab')).toBeNull();
+    expect(tokenizer.idToToken(-1)).toBeNull();
+  });
+});
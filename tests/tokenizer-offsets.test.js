@@ -0,0 +1,76 @@
+/**
+ * encode() 的 tokens / offsets / wordIds 测试
+ *
+ * offsets 经规范化（去重音、全角转半角、CJK 加空格）和子词切分后仍需指向原文
+ */
+
+import { describe, it, expect } from 'vitest';
+import { createTokenizer } from '../src/tokenizer.js';
+import bert from './fixtures/bert-wordpiece.json';
+import gpt2 from './fixtures/gpt2-bpe.json';
+import unigram from './fixtures/unigram.json';
+
+/** 按 offsets 从原文中取出每个 token 对应的片段 */
+const spans = (text, offsets) => offsets.map(([start, end]) => text.slice(start, end));
+
+describe('offsets / wordIds', () => {
+  it('WordPiece：子词共享 word id，特殊 token 为 [0, 0] / null', () => {
+    const text = 'Café unaffable';
+    const encoding = createTokenizer(bert).encode(text);
+
+    expect(encoding.tokens).toEqual(['[CLS]', 'cafe', 'un', '##aff', '##able', '[SEP]']);
+    expect(encoding.offsets).toEqual([[0, 0], [0, 4], [5, 7], [7, 10], [10, 14], [0, 0]]);
+    expect(encoding.wordIds).toEqual([null, 0, 1, 1, 1, null]);
+    expect(spans(text, encoding.offsets.slice(1, -1))).toEqual(['Café', 'un', 'aff', 'able']);
+  });
+
+  it('句对：第二句的 offsets 相对于第二句文本', () => {
+    const pair = '你好 World';
+    const encoding = createTokenizer(bert).encode('hello', { pair });
+
+    expect(encoding.tokens).toEqual(['[CLS]', 'hello', '[SEP]', '你', '好', 'world', '[SEP]']);
+    expect(encoding.offsets.slice(3, 6)).toEqual([[0, 1], [1, 2], [3, 8]]);
+    expect(spans(pair, encoding.offsets.slice(3, 6))).toEqual(['你', '好', 'World']);
+    expect(encoding.wordIds).toEqual([null, 0, null, 0, 1, 2, null]);
+  });
+
+  it('ByteLevel：拆开的多字节字符都指向完整字符', () => {
+    const encoding = createTokenizer(gpt2).encode('Hello  world 🤗');
+
+    expect(encoding.tokens).toEqual(['Hello', 'Ġ', 'Ġworld', 'ĠðŁ', '¤', 'Ĺ']);
+    expect(encoding.offsets).toEqual([[0, 5], [5, 6], [6, 12], [12, 15], [13, 15], [13, 15]]);
+    expect(encoding.wordIds).toEqual([0, 1, 2, 3, 3, 3]);
+  });
+
+  it('ByteLevel trim_offsets：去掉 offsets 覆盖的前导空格', () => {
+    const tokenizer = createTokenizer({ ...gpt2, post_processor: { ...gpt2.post_processor, trim_offsets: true } });
+
+    expect(tokenizer.encode('Hello  world 🤗').offsets).toEqual([[0, 5], [6, 6], [7, 12], [13, 15], [13, 15], [13, 15]]);
+  });
+
+  it('Unigram：▁ 前缀对齐到词首，NFKC 后的字符对齐到原字符', () => {
+    const text = 'ｈｅｌｌｏ the cats';
+    const encoding = createTokenizer(unigram).encode(text);
+
+    expect(encoding.tokens).toEqual(['▁hello', '▁the', '▁cat', 's', '</s>']);
+    expect(encoding.offsets).toEqual([[0, 5], [5, 9], [9, 13], [13, 14], [0, 0]]);
+    expect(encoding.wordIds).toEqual([0, 1, 2, 2, null]);
+    expect(spans(text, encoding.offsets.slice(0, 1))).toEqual(['ｈｅｌｌｏ']);
+  });
+
+  it('added token 单独占一个 word id', () => {
+    const encoding = createTokenizer(gpt2).encode('first<|endoftext|>second');
+
+    expect(encoding.offsets).toEqual([[0, 5], [5, 18], [18, 24]]);
+    expect(encoding.wordIds).toEqual([0, 1, 2]);
+  });
+
+  it('截断后 tokens / offsets / wordIds 与 ids 等长', () => {
+    const encoding = createTokenizer(bert).encode('unaffable tokenizers', { maxLength: 5 });
+
+    expect(encoding.tokens).toEqual(['[CLS]', 'un', '##aff', '##able', '[SEP]']);
+    for (const key of ['tokens', 'offsets', 'wordIds', 'typeIds', 'attentionMask']) {
+      expect(encoding[key]).toHaveLength(encoding.ids.length);
+    }
+  });
+});
@@ -0,0 +1,231 @@
+/**
+ * tokenizer.json 流水线组件测试：normalizer、pre_tokenizer、post_processor、decoder
+ *
+ * 期望结果与 HuggingFace tokenizers 对应组件一致
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  NormalizedString,
+  createNormalizer,
+  createPreTokenizer,
+  createPostProcessor,
+  createDecoder
+} from '../src/tokenizer-pipeline.js';
+import { createTokenizer } from '../src/tokenizer.js';
+import unigram from './fixtures/unigram.json';
+
+const normalize = (config, text) => createNormalizer(config).normalizeString(new NormalizedString(text));
+
+const preTokenize = (config, text) => createPreTokenizer(config)
+  .preTokenize([new NormalizedString(text)])
+  .map(piece => [piece.text, piece.offsets()]);
+
+const decode = (config, tokens) => createDecoder(config).decode(tokens);
+
+/** 每个 token 的 offsets 为 [i, i + 1]、wordIds 为 i */
+const sequence = (ids, tokens) => ({
+  ids,
+  tokens,
+  offsets: ids.map((_, i) => [i, i + 1]),
+  wordIds: ids.map((_, i) => i)
+});
+
+describe('normalizers', () => {
+  it('NFKC 并保留到原文的对齐', () => {
+    const normalized = normalize({ type: 'NFKC' }, 'ﬁ①');
+
+    expect(normalized.text).toBe('fi1');
+    expect(normalized.offsets(0, 2)).toEqual([0, 1]);
+    expect(normalized.offsets(2, 3)).toEqual([1, 2]);
+  });
+
+  it('Sequence(NFD, StripAccents, Lowercase)', () => {
+    const config = { type: 'Sequence', normalizers: [{ type: 'NFD' }, { type: 'StripAccents' }, { type: 'Lowercase' }] };
+
+    expect(normalize(config, 'Ünïcode').text).toBe('unicode');
+    expect(createNormalizer(config).normalize('Ünïcode')).toBe('unicode');
+  });
+
+  it('BertNormalizer 清理控制字符并在 CJK 字符两侧加空格', () => {
+    const config = { type: 'BertNormalizer', clean_text: true, handle_chinese_chars: true, strip_accents: null, lowercase: true };
+    const normalized = normalize(config, 'Héllo\u0000\t世界');
+
+    expect(normalized.text).toBe('hello  世  界 ');
+    // "世" 两侧插入的空格对齐到 "世" 本身
+    expect(normalized.offsets(6, 9)).toEqual([7, 8]);
+  });
+
+  it('Prepend 与 Replace', () => {
+    const config = {
+      type: 'Sequence',
+      normalizers: [{ type: 'Prepend', prepend: '▁' }, { type: 'Replace', pattern: { String: ' ' }, content: '▁' }]
+    };
+
+    expect(normalize(config, 'a b').text).toBe('▁a▁b');
+  });
+
+  it('Strip 去掉首尾空白', () => {
+    const normalized = normalize({ type: 'Strip', strip_left: true, strip_right: true }, '  hi  ');
+
+    expect(normalized.text).toBe('hi');
+    expect(normalized.offsets()).toEqual([2, 4]);
+  });
+});
+
+describe('pre_tokenizers', () => {
+  it('BertPreTokenizer 按空白和标点切分', () => {
+    expect(preTokenize({ type: 'BertPreTokenizer' }, "Hello, world! it's")).toEqual([
+      ['Hello', [0, 5]], [',', [5, 6]], ['world', [7, 12]], ['!', [12, 13]], ['it', [14, 16]], ["'", [16, 17]], ['s', [17, 18]]
+    ]);
+  });
+
+  it('Whitespace 按 \\w+|[^\\w\\s]+ 切分', () => {
+    expect(preTokenize({ type: 'Whitespace' }, 'hi, there!').map(([text]) => text)).toEqual(['hi', ',', 'there', '!']);
+  });
+
+  it('ByteLevel 使用 GPT-2 正则并映射字节', () => {
+    const config = { type: 'ByteLevel', add_prefix_space: false, use_regex: true };
+
+    expect(preTokenize(config, "I'm here  now")).toEqual([
+      ['I', [0, 1]], ["'m", [1, 3]], ['Ġhere', [3, 8]], ['Ġ', [8, 9]], ['Ġnow', [9, 13]]
+    ]);
+  });
+
+  it('ByteLevel add_prefix_space', () => {
+    const config = { type: 'ByteLevel', add_prefix_space: true, use_regex: true };
+
+    expect(preTokenize(config, 'Hello world')).toEqual([['ĠHello', [0, 5]], ['Ġworld', [5, 11]]]);
+  });
+
+  it('Metaspace 替换空格并在 ▁ 之前切分', () => {
+    const config = { type: 'Metaspace', replacement: '▁', prepend_scheme: 'always', split: true };
+
+    expect(preTokenize(config, 'Hello  world')).toEqual([['▁Hello', [0, 5]], ['▁', [5, 6]], ['▁world', [6, 12]]]);
+  });
+
+  it('Metaspace prepend_scheme never / split false', () => {
+    const never = { type: 'Metaspace', replacement: '▁', prepend_scheme: 'never', split: true };
+    const noSplit = { type: 'Metaspace', replacement: '▁', prepend_scheme: 'always', split: false };
+
+    expect(preTokenize(never, 'Hello world').map(([text]) => text)).toEqual(['Hello', '▁world']);
+    expect(preTokenize(noSplit, 'Hello world').map(([text]) => text)).toEqual(['▁Hello▁world']);
+  });
+
+  it('Metaspace prepend_scheme first 只给原文开头加 ▁', () => {
+    const config = { type: 'Metaspace', replacement: '▁', prepend_scheme: 'first', split: true };
+    const preTokenizer = createPreTokenizer(config);
+    const text = new NormalizedString('hello world');
+
+    expect(preTokenizer.preTokenize([text]).map(piece => piece.text)).toEqual(['▁hello', '▁world']);
+    // 从原文中间切出的片段（如 added token 之后）不加前缀
+    expect(preTokenizer.preTokenize([text.slice(6)]).map(piece => piece.text)).toEqual(['world']);
+  });
+
+  it.each([
+    ['Isolated', 'ab12cd345', { Regex: '\\d+' }, ['ab', '12', 'cd', '345']],
+    ['Removed', 'a-b--c', { String: '-' }, ['a', 'b', 'c']],
+    ['MergedWithPrevious', 'a-b-c', { String: '-' }, ['a-', 'b-', 'c']],
+    ['MergedWithNext', 'a-b-c', { String: '-' }, ['a', '-b', '-c']],
+    ['Contiguous', 'a--b-c', { String: '-' }, ['a', '--', 'b', '-', 'c']]
+  ])('Split behavior %s', (behavior, text, pattern, expected) => {
+    const config = { type: 'Split', pattern, behavior, invert: false };
+
+    expect(preTokenize(config, text).map(([piece]) => piece)).toEqual(expected);
+  });
+
+  it('Sequence(WhitespaceSplit, Digits)', () => {
+    const config = { type: 'Sequence', pretokenizers: [{ type: 'WhitespaceSplit' }, { type: 'Digits', individual_digits: true }] };
+
+    expect(preTokenize(config, 'abc 123')).toEqual([['abc', [0, 3]], ['1', [4, 5]], ['2', [5, 6]], ['3', [6, 7]]]);
+  });
+});
+
+describe('post_processors', () => {
+  it('BertProcessing：[CLS] A [SEP] B [SEP]', () => {
+    const processor = createPostProcessor({ type: 'BertProcessing', sep: ['[SEP]', 102], cls: ['[CLS]', 101] });
+    const result = processor.process(sequence([7, 8], ['a', 'b']), sequence([9], ['c']));
+
+    expect(result.ids).toEqual([101, 7, 8, 102, 9, 102]);
+    expect(result.typeIds).toEqual([0, 0, 0, 0, 1, 1]);
+    expect(result.offsets).toEqual([[0, 0], [0, 1], [1, 2], [0, 0], [0, 1], [0, 0]]);
+    expect(result.wordIds).toEqual([null, 0, 1, null, 0, null]);
+  });
+
+  it('RobertaProcessing：<s> A </s> </s> B </s>', () => {
+    const processor = createPostProcessor({ type: 'RobertaProcessing', sep: ['</s>', 2], cls: ['<s>', 0], trim_offsets: true });
+    const result = processor.process(sequence([7], ['a']), sequence([9], ['c']));
+
+    expect(result.tokens).toEqual(['<s>', 'a', '</s>', '</s>', 'c', '</s>']);
+    expect(processor.trimOffsets).toBe(true);
+  });
+
+  it('TemplateProcessing 按模板插入特殊 token', () => {
+    const processor = createPostProcessor(unigram.post_processor);
+
+    expect(processor.process(sequence([7], ['a'])).ids).toEqual([7, 1]);
+    expect(processor.process(sequence([7], ['a']), sequence([9], ['c'])).ids).toEqual([7, 1, 9, 1]);
+  });
+
+  it('Sequence 使用其中的模板处理器', () => {
+    const processor = createPostProcessor({
+      type: 'Sequence',
+      processors: [
+        { type: 'ByteLevel', trim_offsets: false },
+        {
+          type: 'TemplateProcessing',
+          single: [{ SpecialToken: { id: '<s>', type_id: 0 } }, { Sequence: { id: 'A', type_id: 0 } }],
+          pair: [],
+          special_tokens: { '<s>': { id: '<s>', ids: [1], tokens: ['<s>'] } }
+        }
+      ]
+    });
+
+    expect(processor.process(sequence([7], ['a'])).tokens).toEqual(['<s>', 'a']);
+  });
+});
+
+describe('decoders', () => {
+  it('ByteLevel 还原 UTF-8 字节', () => {
+    expect(decode({ type: 'ByteLevel' }, ['Hello', 'Ġworld', 'Ġ', 'ðŁ', '¤', 'Ĺ'])).toBe('Hello world 🤗');
+  });
+
+  it('WordPiece 合并 "##" 子词并清理空格', () => {
+    const config = { type: 'WordPiece', prefix: '##', cleanup: true };
+
+    expect(decode(config, ['hello', ',', 'un', '##aff', '##able', 'do', "n't", '.'])).toBe("hello, unaffable don't.");
+  });
+
+  it('WordPiece 只在拼接后的文本上清理一次', () => {
+    const decoder = createDecoder({ type: 'WordPiece', prefix: '##', cleanup: true });
+
+    expect(decoder.decodeChain(['hello', '.', 'a'])).toEqual(['hello', ' .', ' a']);
+    expect(decoder.decode(['hello', '.', 'a'])).toBe('hello. a');
+  });
+
+  it('Metaspace 把 ▁ 还原为空格并去掉开头的空格', () => {
+    const config = { type: 'Metaspace', replacement: '▁', prepend_scheme: 'always', split: true };
+
+    expect(decode(config, ['▁Hello', '▁wor', 'ld'])).toBe('Hello world');
+  });
+
+  it('Sequence(Replace, ByteFallback, Fuse, Strip)', () => {
+    expect(decode(unigram.decoder, ['▁caf', '<0xC3>', '<0xA9>', '▁ok'])).toBe('café ok');
+  });
+
+  it('BPEDecoder 把词尾后缀还原为空格', () => {
+    expect(decode({ type: 'BPEDecoder', suffix: '</w>' }, ['hel', 'lo</w>', 'world</w>'])).toBe('hello world');
+  });
+});
+
+describe('JSONTokenizer 流水线', () => {
+  it('Metaspace first：added token 之后的片段不加 ▁', () => {
+    const tokenizer = createTokenizer({
+      ...unigram,
+      pre_tokenizer: { type: 'Metaspace', replacement: '▁', prepend_scheme: 'first', split: true }
+    });
+
+    expect(tokenizer.encode('hello world', { addSpecialTokens: false }).tokens).toEqual(['▁hello', '▁world']);
+    expect(tokenizer.encode('hello</s>world', { addSpecialTokens: false }).tokens).toEqual(['▁hello', '</s>', 'w', 'o', 'r', 'ld']);
+  });
+});
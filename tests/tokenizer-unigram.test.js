@@ -0,0 +1,96 @@
+/**
+ * Unigram（SentencePiece）分词测试
+ *
+ * fixtures/unigram.json 是带分数的小词表，包含全部 256 个 <0xXX> 字节 token；
+ * 分数的设置使得 Viterbi 最优切分与贪心最长匹配的结果不同
+ */
+
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { UnigramTokenizer, TokenizerLoader, createTokenizer } from '../src/tokenizer.js';
+import unigram from './fixtures/unigram.json';
+
+const CASES = [
+  { text: 'the cat sat on the mat.', tokens: ['▁the', '▁cat', '▁sat', '▁on', '▁the', '▁mat', '.'], ids: [260, 261, 262, 263, 260, 264, 279] },
+  { text: 'hello world', tokens: ['▁hello', '▁world'], ids: [266, 269] },
+  { text: 'the cats', tokens: ['▁the', '▁cat', 's'], ids: [260, 261, 265] },
+  // ▁newyork (-12) < ▁new (-4) + york (-5)
+  { text: 'newyork', tokens: ['▁new', 'york'], ids: [272, 273] },
+  // ▁ab (-2) + c (-8) < ▁a (-2) + bc (-2)
+  { text: 'abc', tokens: ['▁a', 'bc'], ids: [277, 278] }
+];
+
+describe('UnigramTokenizer', () => {
+  const tokenizer = createTokenizer(unigram);
+  const encodeWithoutSpecial = text => tokenizer.encode(text, { addSpecialTokens: false });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+    vi.restoreAllMocks();
+  });
+
+  it('model.type 为 Unigram 时使用 UnigramTokenizer', () => {
+    expect(tokenizer).toBeInstanceOf(UnigramTokenizer);
+    expect(tokenizer.vocabSize).toBe(unigram.model.vocab.length);
+  });
+
+  it.each(CASES)('Viterbi 最优切分 $text', ({ text, tokens, ids }) => {
+    const encoding = encodeWithoutSpecial(text);
+
+    expect(encoding.tokens).toEqual(tokens);
+    expect(encoding.ids).toEqual(ids);
+  });
+
+  it('按 post_processor 在末尾添加 </s>', () => {
+    expect(tokenizer.encode('hello world').ids).toEqual([266, 269, 1]);
+    expect(tokenizer.encode('the cat', { pair: 'hello' }).ids).toEqual([260, 261, 1, 266, 1]);
+  });
+
+  it('先经过 NFKC 等规范化', () => {
+    expect(encodeWithoutSpecial('ｈｅｌｌｏ   world').tokens).toEqual(['▁hello', '▁world']);
+  });
+
+  it('未登录字符回退为 UTF-8 字节 token', () => {
+    expect(encodeWithoutSpecial('café').tokens).toEqual(['▁caf', '<0xC3>', '<0xA9>']);
+    expect(encodeWithoutSpecial('Hello').tokens).toEqual(['▁', '<0x48>', 'e', 'llo']);
+  });
+
+  it('相邻的未登录字符合并后再回退为字节', () => {
+    const encoding = encodeWithoutSpecial('你好');
+
+    expect(encoding.tokens).toEqual(['▁', '<0xE4>', '<0xBD>', '<0xA0>', '<0xE5>', '<0xA5>', '<0xBD>']);
+    expect(encoding.ids).toEqual([259, 231, 192, 163, 232, 168, 192]);
+  });
+
+  it('关闭字节回退时未登录片段映射为单个 <unk>', () => {
+    const noFallback = createTokenizer({ ...unigram, model: { ...unigram.model, byte_fallback: false } });
+
+    expect(noFallback.encode('你好 café', { addSpecialTokens: false }).tokens).toEqual(['▁', '<unk>', '▁caf', '<unk>']);
+  });
+
+  it.each(['the cat sat on the mat.', 'Hello world!', 'café 你好'])('解码还原原文 %s', text => {
+    const { ids } = tokenizer.encode(text);
+
+    expect(tokenizer.decode(ids, { skipSpecialTokens: true })).toBe(text);
+  });
+
+  it('只有 model 配置时使用 Metaspace 默认流水线', () => {
+    const bare = createTokenizer({ model: unigram.model }, 'unigram');
+    const { ids, tokens } = bare.encode('the cat sat', { addSpecialTokens: false });
+
+    expect(tokens).toEqual(['▁the', '▁cat', '▁sat']);
+    expect(bare.decode(ids)).toBe('the cat sat');
+  });
+
+  it('loadFromUrl 根据 model.type 自动选择 UnigramTokenizer', async () => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.stubGlobal('fetch', vi.fn(async () => new Response(JSON.stringify(unigram))));
+
+    const loaded = await new TokenizerLoader().loadFromUrl('https://example.com/t5/tokenizer.json', {
+      persistentCache: false,
+      loadTokenizerConfig: false
+    });
+
+    expect(loaded).toBeInstanceOf(UnigramTokenizer);
+    expect(loaded.encode('hello world').ids).toEqual([266, 269, 1]);
+  });
+});
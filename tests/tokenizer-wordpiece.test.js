@@ -0,0 +1,79 @@
+/**
+ * WordPiece 分词测试
+ *
+ * fixtures/bert-wordpiece.json 是 BERT uncased 风格的小词表；期望结果与 HuggingFace tokenizers 一致
+ */
+
+import { describe, it, expect } from 'vitest';
+import { WordPieceTokenizer, createTokenizer } from '../src/tokenizer.js';
+import bert from './fixtures/bert-wordpiece.json';
+
+const CASES = [
+  { text: 'Hello, World!', tokens: ['hello', ',', 'world', '!'], ids: [13, 6, 14, 5] },
+  { text: 'unaffable', tokens: ['un', '##aff', '##able'], ids: [15, 16, 17] },
+  { text: 'Running quickly', tokens: ['run', '##ning', 'quick', '##ly'], ids: [18, 19, 20, 21] },
+  { text: 'tokenizers', tokens: ['token', '##izer', '##s'], ids: [24, 25, 26] },
+  { text: "New Yorker's weather", tokens: ['new', 'york', '##er', "'", 's', 'weather'], ids: [43, 44, 45, 9, 31, 28] },
+  { text: '  what   is\tthe weather?\n', tokens: ['what', 'is', 'the', 'weather', '?'], ids: [27, 12, 10, 28, 8] }
+];
+
+describe('WordPieceTokenizer', () => {
+  const tokenizer = createTokenizer(bert);
+  const encodeWithoutSpecial = text => tokenizer.encode(text, { addSpecialTokens: false });
+
+  it('model.type 为 WordPiece 时使用 WordPieceTokenizer', () => {
+    expect(tokenizer).toBeInstanceOf(WordPieceTokenizer);
+  });
+
+  it.each(CASES)('贪心最长匹配切分 $text', ({ text, tokens, ids }) => {
+    const encoding = encodeWithoutSpecial(text);
+
+    expect(encoding.tokens).toEqual(tokens);
+    expect(encoding.ids).toEqual(ids);
+  });
+
+  it('按 post_processor 添加 [CLS] / [SEP]', () => {
+    expect(tokenizer.encode('Hello, World!').ids).toEqual([2, 13, 6, 14, 5, 3]);
+  });
+
+  it('小写并去除重音', () => {
+    expect(encodeWithoutSpecial('Café RÉSUMÉ').tokens).toEqual(['cafe', 'resume']);
+  });
+
+  it('CJK 字符按字切分，词表外的字符映射为 [UNK]', () => {
+    const encoding = encodeWithoutSpecial('你好，世界');
+
+    expect(encoding.tokens).toEqual(['你', '好', '[UNK]', '世', '界']);
+    expect(encoding.ids).toEqual([33, 34, 1, 35, 36]);
+  });
+
+  it('任一位置无法匹配时整个词映射为 [UNK]', () => {
+    expect(encodeWithoutSpecial('xyzzy hello').tokens).toEqual(['[UNK]', 'hello']);
+    // "un" 可以匹配，但 "##zzz" 不在词表中
+    expect(encodeWithoutSpecial('unzzz').tokens).toEqual(['[UNK]']);
+  });
+
+  it('超过 max_input_chars_per_word 的词映射为 [UNK]', () => {
+    const limited = createTokenizer({ ...bert, model: { ...bert.model, max_input_chars_per_word: 5 } });
+
+    expect(limited.encode('unaffable hello', { addSpecialTokens: false }).tokens).toEqual(['[UNK]', 'hello']);
+  });
+
+  it('options 覆盖 BertNormalizer 配置', () => {
+    const cased = createTokenizer(bert, 'json', { lowercase: false });
+
+    expect(cased.encode('Hello hello', { addSpecialTokens: false }).tokens).toEqual(['[UNK]', 'hello']);
+  });
+
+  it('只有 model 配置时使用 BERT 默认流水线', () => {
+    const bare = createTokenizer({ model: bert.model }, 'wordpiece');
+
+    expect(bare.encode('Héllo, 世界!').tokens).toEqual(['hello', ',', '世', '界', '!']);
+  });
+
+  it('解码时合并 "##" 子词并清理标点前的空格', () => {
+    const { ids } = tokenizer.encode("New Yorker's unaffable weather!");
+
+    expect(tokenizer.decode(ids, { skipSpecialTokens: true })).toBe("new yorker's unaffable weather!");
+  });
+});
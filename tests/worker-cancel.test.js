@@ -0,0 +1,205 @@
+/**
+ * Worker 请求取消和串行队列：AbortSignal、CANCEL 消息
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { ONNXWorkerProxy } from '../src/worker-proxy.js';
+import { WorkerMessageType } from '../src/worker-types.js';
+import { createTokenizer } from '../src/tokenizer.js';
+import { createRuntimeWorker, fetchRoutes, FakeSession, FakeTensor, ort } from './helpers/worker-runtime.js';
+import bert from './fixtures/bert-wordpiece.json';
+
+vi.mock('onnxruntime-web', async () => (await import('./helpers/worker-runtime.js')).ort);
+
+const TOKENIZER_URL = 'https://example.com/bert/tokenizer.json';
+const LOAD_OPTIONS = { persistentCache: false, loadTokenizerConfig: false, useCache: false };
+
+const tokenizer = createTokenizer(bert);
+
+const inputs = () => ({ input: { data: new Float32Array([1, 2]), dims: [1, 2], type: 'float32' } });
+
+/** 等待消息在两端之间传递完 */
+const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+
+/**
+ * 由测试手动放行的 session.run：每次调用返回一个等待 release() 的 Promise
+ */
+function gatedSession() {
+  const gates = [];
+  const session = new FakeSession({
+    run: feeds => new Promise((resolve) => {
+      gates.push(() => resolve({
+        output: new FakeTensor('float32', Float32Array.from(feeds.input.data, value => value * 2), feeds.input.dims)
+      }));
+    })
+  });
+  return { session, release: () => gates.shift()() };
+}
+
+describe('Worker cancellation', () => {
+  let worker;
+  let proxy;
+
+  /** 发给运行时的某类消息 */
+  const sent = type => worker.sent.filter(message => message.type === type);
+
+  beforeEach(async () => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    worker = await createRuntimeWorker();
+    proxy = new ONNXWorkerProxy(worker);
+    await proxy.initialize();
+  });
+
+  afterEach(async () => {
+    await proxy.dispose();
+    vi.unstubAllGlobals();
+    vi.restoreAllMocks();
+  });
+
+  it('请求按顺序逐个处理', async () => {
+    const { session, release } = gatedSession();
+    ort.InferenceSession.create.mockResolvedValueOnce(session);
+    await proxy.loadModel('model', new ArrayBuffer(8));
+
+    const first = proxy.run('model', inputs());
+    const second = proxy.run('model', inputs());
+    await flush();
+    expect(session.run).toHaveBeenCalledTimes(1);
+
+    release();
+    await expect(first).resolves.toMatchObject({ output: { dims: [1, 2] } });
+    await flush();
+    expect(session.run).toHaveBeenCalledTimes(2);
+
+    release();
+    await expect(second).resolves.toMatchObject({ output: { dims: [1, 2] } });
+  });
+
+  it('中止进行中的请求时以 AbortError 拒绝并通知 Worker 取消', async () => {
+    const { session, release } = gatedSession();
+    ort.InferenceSession.create.mockResolvedValueOnce(session);
+    await proxy.loadModel('model', new ArrayBuffer(8));
+
+    const controller = new AbortController();
+    const request = proxy.run('model', inputs(), { signal: controller.signal });
+    await flush();
+    controller.abort();
+
+    await expect(request).rejects.toMatchObject({ name: 'AbortError', message: 'Request aborted: run_inference' });
+    const { id } = sent(WorkerMessageType.RUN_INFERENCE)[0];
+    expect(sent(WorkerMessageType.CANCEL)).toEqual([expect.objectContaining({ requestId: id })]);
+
+    // 推理结束后 Worker 以 ERROR 响应，代理忽略它
+    release();
+    await flush();
+    expect(worker.received.filter(message => message.id === id)).toEqual([
+      expect.objectContaining({ type: WorkerMessageType.ERROR, error: 'Request aborted: run_inference' })
+    ]);
+    expect(console.warn).not.toHaveBeenCalled();
+  });
+
+  it('中止排队中的请求时直接丢弃，不再运行', async () => {
+    const { session, release } = gatedSession();
+    ort.InferenceSession.create.mockResolvedValueOnce(session);
+    await proxy.loadModel('model', new ArrayBuffer(8));
+
+    const first = proxy.run('model', inputs());
+    const controller = new AbortController();
+    const queued = proxy.run('model', inputs(), { signal: controller.signal });
+    await flush();
+    controller.abort();
+
+    await expect(queued).rejects.toMatchObject({ name: 'AbortError' });
+    await flush();
+    const { id } = sent(WorkerMessageType.RUN_INFERENCE)[1];
+    expect(worker.received.filter(message => message.id === id)).toEqual([
+      expect.objectContaining({ type: WorkerMessageType.ERROR, error: 'Request aborted: run_inference' })
+    ]);
+
+    release();
+    await first;
+    await flush();
+    expect(session.run).toHaveBeenCalledTimes(1);
+  });
+
+  it('已中止的信号直接拒绝，不发送消息', async () => {
+    const messages = worker.sent.length;
+
+    await expect(proxy.run('model', inputs(), { signal: AbortSignal.abort() })).rejects
+      .toMatchObject({ name: 'AbortError' });
+    await expect(proxy.generate('model', 'bert', [1], { signal: AbortSignal.abort() }).next()).rejects
+      .toMatchObject({ name: 'AbortError' });
+    expect(worker.sent).toHaveLength(messages);
+  });
+
+  describe('生成', () => {
+    let session;
+    let gate;
+
+    /** 输出 "hello world ..." 的 decoder 替身，第二步推理等待 gate 放行 */
+    function decoder() {
+      const helloId = tokenizer.tokenToId('hello');
+      const worldId = tokenizer.tokenToId('world');
+      return new FakeSession({
+        inputNames: ['input_ids', 'attention_mask'],
+        outputNames: ['logits'],
+        run: async (feeds) => {
+          const seqLength = feeds.input_ids.dims[1];
+          if (seqLength === 2) await new Promise(resolve => { gate = resolve; });
+          const logits = new Float32Array(seqLength * tokenizer.vocabSize);
+          logits[(seqLength - 1) * tokenizer.vocabSize + (seqLength === 1 ? helloId : worldId)] = 1;
+          return { logits: new FakeTensor('float32', logits, [1, seqLength, tokenizer.vocabSize]) };
+        }
+      });
+    }
+
+    beforeEach(async () => {
+      vi.stubGlobal('fetch', fetchRoutes({ [TOKENIZER_URL]: JSON.stringify(bert) }));
+      session = decoder();
+      ort.InferenceSession.create.mockResolvedValueOnce(session);
+      await proxy.loadModel('decoder', new ArrayBuffer(8));
+      await proxy.loadTokenizer('bert', TOKENIZER_URL, LOAD_OPTIONS);
+    });
+
+    it('中止后在两步之间停止生成', async () => {
+      const controller = new AbortController();
+      const iterator = proxy.generate('decoder', 'bert', [tokenizer.tokenToId('[CLS]')], {
+        maxNewTokens: 10,
+        signal: controller.signal
+      });
+
+      await expect(iterator.next()).resolves.toEqual({ value: 'hello', done: false });
+      const next = iterator.next();
+      controller.abort();
+      await expect(next).rejects.toMatchObject({ name: 'AbortError', message: 'Request aborted: generate' });
+
+      gate();
+      await flush();
+      const { id } = sent(WorkerMessageType.GENERATE)[0];
+      expect(sent(WorkerMessageType.CANCEL)).toEqual([expect.objectContaining({ requestId: id })]);
+      expect(worker.received.filter(message => message.id === id).map(message => message.type)).toEqual([
+        WorkerMessageType.PARTIAL,
+        WorkerMessageType.PARTIAL,
+        WorkerMessageType.ERROR
+      ]);
+      expect(session.run).toHaveBeenCalledTimes(2);
+    });
+
+    it('提前结束迭代时取消 Worker 中的生成', async () => {
+      const iterator = proxy.generate('decoder', 'bert', [tokenizer.tokenToId('[CLS]')], { maxNewTokens: 10 });
+
+      await expect(iterator.next()).resolves.toEqual({ value: 'hello', done: false });
+      await iterator.return(undefined);
+
+      const { id } = sent(WorkerMessageType.GENERATE)[0];
+      expect(sent(WorkerMessageType.CANCEL)).toEqual([expect.objectContaining({ requestId: id })]);
+
+      gate();
+      await flush();
+      expect(worker.received.filter(message => message.id === id).at(-1))
+        .toMatchObject({ type: WorkerMessageType.ERROR, error: 'Request aborted: generate' });
+    });
+  });
+});
@@ -0,0 +1,73 @@
+/**
+ * Worker 中的模型管理：UNLOAD_MODEL / LIST_MODELS / GET_MODEL_INFO
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { ONNXWorkerProxy } from '../src/worker-proxy.js';
+import { createRuntimeWorker, FakeSession, ort } from './helpers/worker-runtime.js';
+
+vi.mock('onnxruntime-web', async () => (await import('./helpers/worker-runtime.js')).ort);
+
+const inputs = () => ({ input: { data: new Float32Array([1, 2]), dims: [1, 2], type: 'float32' } });
+
+describe('Worker model management', () => {
+  let proxy;
+
+  beforeEach(async () => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    proxy = new ONNXWorkerProxy(await createRuntimeWorker());
+    await proxy.initialize();
+  });
+
+  afterEach(async () => {
+    await proxy.dispose();
+    vi.restoreAllMocks();
+  });
+
+  it('列出已加载的模型并返回模型信息', async () => {
+    ort.InferenceSession.create.mockResolvedValueOnce(new FakeSession({
+      inputNames: ['input_ids', 'attention_mask'],
+      outputNames: ['logits']
+    }));
+    await proxy.loadModel('bert', new ArrayBuffer(8));
+    await proxy.loadModel('detector', new ArrayBuffer(8));
+
+    await expect(proxy.listModels()).resolves.toEqual(['bert', 'detector']);
+    await expect(proxy.getModelInfo('bert')).resolves.toMatchObject({
+      modelName: 'bert',
+      inputNames: ['input_ids', 'attention_mask'],
+      outputNames: ['logits']
+    });
+  });
+
+  it('未加载的模型信息为 null', async () => {
+    await expect(proxy.getModelInfo('missing')).resolves.toBeNull();
+    await expect(proxy.listModels()).resolves.toEqual([]);
+  });
+
+  it('卸载模型时释放会话，之后无法再运行', async () => {
+    const session = new FakeSession();
+    ort.InferenceSession.create.mockResolvedValueOnce(session);
+    await proxy.loadModel('detector', new ArrayBuffer(8));
+    await proxy.loadModel('classifier', new ArrayBuffer(8));
+
+    await expect(proxy.unloadModel('detector')).resolves.toBe(true);
+
+    expect(session.release).toHaveBeenCalledTimes(1);
+    await expect(proxy.listModels()).resolves.toEqual(['classifier']);
+    await expect(proxy.getModelInfo('detector')).resolves.toBeNull();
+    await expect(proxy.run('detector', inputs())).rejects.toThrow("Model 'detector' not loaded");
+  });
+
+  it('卸载未加载的模型返回 false', async () => {
+    await expect(proxy.unloadModel('missing')).resolves.toBe(false);
+    expect(console.warn).toHaveBeenCalledWith("[ONNX Worker] 模型 'missing' 未加载");
+  });
+
+  it('参数校验', async () => {
+    await expect(proxy.unloadModel('')).rejects.toThrow('modelName is required');
+    await expect(proxy.getModelInfo('')).rejects.toThrow('modelName is required');
+  });
+});
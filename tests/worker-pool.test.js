@@ -0,0 +1,254 @@
+/**
+ * ONNXWorkerPool 分发、排队、取消、转移和统计测试
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { ONNXWorkerPool } from '../src/worker-pool.js';
+import { WorkerMessageType } from '../src/worker-types.js';
+
+/**
+ * 模拟 Worker：推理请求由测试手动完成（reply / fail），其余请求立即成功
+ */
+class FakeWorker {
+  constructor() {
+    this.messages = [];
+    this.onmessage = null;
+    this.onerror = null;
+    this.terminated = false;
+  }
+
+  postMessage(message, transfer = []) {
+    this.messages.push({ message, transfer });
+
+    if (message.type === WorkerMessageType.LOAD_MODEL) {
+      this.reply(message.id, { modelName: message.modelName, inputNames: ['input'], outputNames: ['output'] });
+    } else if (message.type !== WorkerMessageType.RUN_INFERENCE && message.type !== WorkerMessageType.CANCEL) {
+      this.reply(message.id, { success: true });
+    }
+  }
+
+  reply(id, data) {
+    queueMicrotask(() => this.onmessage?.({ data: { id, type: WorkerMessageType.RESULT, data } }));
+  }
+
+  fail(id, error) {
+    queueMicrotask(() => this.onmessage?.({ data: { id, type: WorkerMessageType.ERROR, error } }));
+  }
+
+  /** 收到的某类消息 */
+  sent(type) {
+    return this.messages.filter(({ message }) => message.type === type).map(({ message }) => message);
+  }
+
+  terminate() {
+    this.terminated = true;
+  }
+}
+
+const INPUTS = { input: { data: new Float32Array([1, 2]), dims: [1, 2], type: 'float32' } };
+
+/** 等待微任务（Worker 响应）处理完 */
+const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+
+describe('ONNXWorkerPool', () => {
+  let workers;
+  let pool;
+
+  beforeEach(() => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    workers = [];
+    pool = new ONNXWorkerPool(null, {
+      size: 2,
+      createWorker: () => {
+        const worker = new FakeWorker();
+        workers.push(worker);
+        return worker;
+      }
+    });
+  });
+
+  afterEach(async () => {
+    if (!pool.disposed) await pool.dispose();
+    vi.restoreAllMocks();
+  });
+
+  it('参数校验', () => {
+    expect(() => new ONNXWorkerPool(null)).toThrow('workerUrl or createWorker is required');
+    expect(() => new ONNXWorkerPool(null, { size: 0, createWorker: () => new FakeWorker() }))
+      .toThrow('size must be a positive integer');
+    expect(() => new ONNXWorkerPool(null, { maxConcurrentPerWorker: 0, createWorker: () => new FakeWorker() }))
+      .toThrow('maxConcurrentPerWorker must be a positive integer');
+  });
+
+  it('在每个 Worker 中初始化并加载模型', async () => {
+    const modelBuffer = new ArrayBuffer(8);
+
+    await pool.initialize({ numThreads: 1 });
+    const info = await pool.loadModel('model', modelBuffer);
+
+    expect(info).toMatchObject({ modelName: 'model', inputNames: ['input'] });
+    for (const worker of workers) {
+      expect(worker.sent(WorkerMessageType.INITIALIZE)).toHaveLength(1);
+      expect(worker.sent(WorkerMessageType.LOAD_MODEL)).toEqual([
+        expect.objectContaining({ modelName: 'model', modelBuffer })
+      ]);
+    }
+  });
+
+  it('加载模型时复制给前面的 Worker，只转移给最后一个', async () => {
+    const modelBuffer = new ArrayBuffer(8);
+    const copied = new ArrayBuffer(8);
+    const transferOf = worker => worker.messages
+      .filter(({ message }) => message.type === WorkerMessageType.LOAD_MODEL)
+      .map(({ transfer }) => transfer);
+
+    await pool.loadModel('model', modelBuffer);
+    await pool.loadModel('copy', copied, { transfer: false });
+
+    expect(transferOf(workers[0])).toEqual([[], []]);
+    expect(transferOf(workers[1])).toEqual([[modelBuffer], []]);
+  });
+
+  it('run 按 transfer 选项转移输入张量', async () => {
+    pool.run('model', INPUTS).catch(() => {});
+    pool.run('model', INPUTS, { transfer: false }).catch(() => {});
+
+    const [transferred] = workers[0].messages.filter(({ message }) => message.type === WorkerMessageType.RUN_INFERENCE);
+    const [copied] = workers[1].messages.filter(({ message }) => message.type === WorkerMessageType.RUN_INFERENCE);
+    expect(transferred.transfer).toEqual([INPUTS.input.data.buffer]);
+    expect(copied.transfer).toEqual([]);
+    expect(copied.message.transfer).toBe(false);
+  });
+
+  it('按 URL 加载时第一个 Worker 先下载，其余 Worker 随后加载', async () => {
+    const loading = pool.loadModel('model', 'https://example.com/model.onnx');
+
+    expect(workers[0].sent(WorkerMessageType.LOAD_MODEL)).toEqual([
+      expect.objectContaining({ url: 'https://example.com/model.onnx' })
+    ]);
+    expect(workers[1].sent(WorkerMessageType.LOAD_MODEL)).toHaveLength(0);
+
+    await expect(loading).resolves.toMatchObject({ modelName: 'model' });
+    expect(workers[1].sent(WorkerMessageType.LOAD_MODEL)).toEqual([
+      expect.objectContaining({ url: 'https://example.com/model.onnx' })
+    ]);
+    expect(workers.every(worker => worker.messages.every(({ transfer }) => transfer.length === 0))).toBe(true);
+  });
+
+  it('从所有 Worker 中卸载模型', async () => {
+    await pool.loadModel('model', new ArrayBuffer(8));
+
+    await expect(pool.unloadModel('model')).resolves.toBe(true);
+    for (const worker of workers) {
+      expect(worker.sent(WorkerMessageType.UNLOAD_MODEL)).toEqual([
+        expect.objectContaining({ modelName: 'model' })
+      ]);
+    }
+  });
+
+  it('分发给最空闲的 Worker，全部忙碌时排队', async () => {
+    const first = pool.run('model', INPUTS);
+    const second = pool.run('model', INPUTS);
+    const third = pool.run('model', INPUTS);
+
+    expect(workers[0].sent(WorkerMessageType.RUN_INFERENCE)).toHaveLength(1);
+    expect(workers[1].sent(WorkerMessageType.RUN_INFERENCE)).toHaveLength(1);
+    expect(pool.queueDepth).toBe(1);
+    expect(pool.getStats().activeRequests).toBe(2);
+
+    // 第二个 Worker 先完成，排队的请求分发给它
+    workers[1].reply(workers[1].sent(WorkerMessageType.RUN_INFERENCE)[0].id, { output: 2 });
+    await expect(second).resolves.toEqual({ output: 2 });
+    expect(pool.queueDepth).toBe(0);
+    expect(workers[1].sent(WorkerMessageType.RUN_INFERENCE)).toHaveLength(2);
+
+    workers[0].reply(workers[0].sent(WorkerMessageType.RUN_INFERENCE)[0].id, { output: 1 });
+    workers[1].reply(workers[1].sent(WorkerMessageType.RUN_INFERENCE)[1].id, { output: 3 });
+    await expect(first).resolves.toEqual({ output: 1 });
+    await expect(third).resolves.toEqual({ output: 3 });
+  });
+
+  it('进行中请求数相同时选择累计耗时最少的 Worker', async () => {
+    const now = vi.spyOn(performance, 'now');
+
+    now.mockReturnValue(0);
+    const slow = pool.run('model', INPUTS);
+    const fast = pool.run('model', INPUTS);
+
+    now.mockReturnValue(10);
+    workers[1].reply(workers[1].sent(WorkerMessageType.RUN_INFERENCE)[0].id, {});
+    await fast;
+    now.mockReturnValue(50);
+    workers[0].reply(workers[0].sent(WorkerMessageType.RUN_INFERENCE)[0].id, {});
+    await slow;
+
+    pool.run('model', INPUTS).catch(() => {});
+    expect(workers[0].sent(WorkerMessageType.RUN_INFERENCE)).toHaveLength(1);
+    expect(workers[1].sent(WorkerMessageType.RUN_INFERENCE)).toHaveLength(2);
+  });
+
+  it('统计每个 Worker 的完成数、失败数和平均耗时', async () => {
+    const ok = pool.run('model', INPUTS);
+    const failing = pool.run('model', INPUTS);
+
+    workers[0].reply(workers[0].sent(WorkerMessageType.RUN_INFERENCE)[0].id, {});
+    workers[1].fail(workers[1].sent(WorkerMessageType.RUN_INFERENCE)[0].id, 'boom');
+    await ok;
+    await expect(failing).rejects.toThrow('boom');
+
+    const stats = pool.getStats();
+    expect(stats).toMatchObject({ size: 2, queueDepth: 0, activeRequests: 0 });
+    expect(stats.workers[0]).toMatchObject({ index: 0, activeRequests: 0, completed: 1, failed: 0 });
+    expect(stats.workers[0].averageTime).toBeGreaterThanOrEqual(0);
+    expect(stats.workers[1]).toMatchObject({ index: 1, activeRequests: 0, completed: 0, failed: 1, averageTime: 0 });
+  });
+
+  it('排队中的请求被中止时移出队列，不发送给 Worker', async () => {
+    pool.run('model', INPUTS).catch(() => {});
+    pool.run('model', INPUTS).catch(() => {});
+    const controller = new AbortController();
+    const queued = pool.run('model', INPUTS, { signal: controller.signal });
+
+    controller.abort();
+
+    await expect(queued).rejects.toMatchObject({ name: 'AbortError' });
+    expect(pool.queueDepth).toBe(0);
+
+    workers[0].reply(workers[0].sent(WorkerMessageType.RUN_INFERENCE)[0].id, {});
+    await flush();
+    expect(workers[0].sent(WorkerMessageType.RUN_INFERENCE)).toHaveLength(1);
+  });
+
+  it('进行中的请求被中止时通知 Worker 取消', async () => {
+    const controller = new AbortController();
+    const request = pool.run('model', INPUTS, { signal: controller.signal });
+
+    controller.abort();
+
+    await expect(request).rejects.toMatchObject({ name: 'AbortError' });
+    const { id } = workers[0].sent(WorkerMessageType.RUN_INFERENCE)[0];
+    expect(workers[0].sent(WorkerMessageType.CANCEL)).toEqual([expect.objectContaining({ requestId: id })]);
+    expect(pool.getStats().workers[0]).toMatchObject({ activeRequests: 0, failed: 1 });
+  });
+
+  it('已中止的信号直接拒绝', async () => {
+    await expect(pool.run('model', INPUTS, { signal: AbortSignal.abort() }))
+      .rejects.toMatchObject({ name: 'AbortError' });
+    expect(workers[0].sent(WorkerMessageType.RUN_INFERENCE)).toHaveLength(0);
+  });
+
+  it('释放时拒绝排队中的请求并终止所有 Worker', async () => {
+    pool.run('model', INPUTS).catch(() => {});
+    pool.run('model', INPUTS).catch(() => {});
+    const queued = pool.run('model', INPUTS);
+
+    await pool.dispose();
+
+    await expect(queued).rejects.toThrow('Worker pool disposed');
+    expect(workers.every(worker => worker.terminated)).toBe(true);
+    expect(workers.every(worker => worker.sent(WorkerMessageType.DISPOSE).length === 1)).toBe(true);
+    await expect(pool.run('model', INPUTS)).rejects.toThrow('WorkerPool has been disposed');
+    await expect(pool.loadModel('model', new ArrayBuffer(8))).rejects.toThrow('WorkerPool has been disposed');
+  });
+});
@@ -0,0 +1,113 @@
+/**
+ * ONNXWorkerProxy supervisor 心跳测试
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { ONNXWorkerProxy } from '../src/worker-proxy.js';
+import { WorkerMessageType } from '../src/worker-types.js';
+
+/**
+ * 模拟 Worker：blocked 为 true 时不响应任何消息（模拟 WASM 推理阻塞线程），
+ * 解除阻塞后按顺序处理积压的消息
+ */
+class FakeWorker {
+  constructor() {
+    this.blocked = false;
+    this.queue = [];
+    this.onmessage = null;
+    this.onerror = null;
+    this.terminated = false;
+  }
+
+  postMessage(message) {
+    this.queue.push(message);
+    if (!this.blocked) this.drain();
+  }
+
+  drain() {
+    this.blocked = false;
+    for (const { id } of this.queue.splice(0)) {
+      queueMicrotask(() => this.onmessage?.({ data: { id, type: WorkerMessageType.RESULT, data: [] } }));
+    }
+  }
+
+  terminate() {
+    this.terminated = true;
+  }
+}
+
+describe('ONNXWorkerProxy heartbeat', () => {
+  let workers;
+  let onRestart;
+  let proxy;
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    workers = [];
+    onRestart = vi.fn();
+    proxy = new ONNXWorkerProxy(() => {
+      const worker = new FakeWorker();
+      workers.push(worker);
+      return worker;
+    }, { supervisor: { heartbeatInterval: 1000, heartbeatTimeout: 3000, busyHeartbeatTimeout: 10000, onRestart } });
+  });
+
+  afterEach(() => {
+    proxy.dispose();
+    vi.useRealTimers();
+    vi.restoreAllMocks();
+  });
+
+  it('Worker 空闲且不响应心跳时重启', async () => {
+    workers[0].blocked = true;
+
+    await vi.advanceTimersByTimeAsync(5000);
+
+    expect(onRestart).toHaveBeenCalledWith('heartbeat timeout (3000ms)', 1);
+    expect(workers).toHaveLength(2);
+  });
+
+  it('请求进行中时继续发送心跳，推理阻塞短于 busyHeartbeatTimeout 时不重启', async () => {
+    workers[0].blocked = true;
+    const request = proxy.listModels();
+
+    await vi.advanceTimersByTimeAsync(8000);
+    expect(workers[0].queue.map(message => message.type)).toContain(WorkerMessageType.PING);
+    expect(onRestart).not.toHaveBeenCalled();
+    expect(workers).toHaveLength(1);
+
+    workers[0].drain();
+    await expect(request).resolves.toEqual([]);
+
+    await vi.advanceTimersByTimeAsync(5000);
+    expect(onRestart).not.toHaveBeenCalled();
+  });
+
+  it('请求进行中 Worker 卡死时在 busyHeartbeatTimeout 后重启并重试请求', async () => {
+    workers[0].blocked = true;
+    const request = proxy.listModels();
+
+    await vi.advanceTimersByTimeAsync(12000);
+
+    expect(onRestart).toHaveBeenCalledWith('heartbeat timeout (10000ms)', 1);
+    expect(workers).toHaveLength(2);
+    expect(workers[0].terminated).toBe(true);
+    // 早于请求自身的超时（60 秒）发现卡死，重试的请求由新 Worker 响应
+    await expect(request).resolves.toEqual([]);
+  });
+
+  it('PING 发出后才开始的请求阻塞 Worker 时按 busyHeartbeatTimeout 判断', async () => {
+    workers[0].blocked = true;
+    // 第一次心跳已发出，之后才开始推理
+    await vi.advanceTimersByTimeAsync(1000);
+    const request = proxy.listModels();
+
+    await vi.advanceTimersByTimeAsync(8000);
+    expect(onRestart).not.toHaveBeenCalled();
+
+    workers[0].drain();
+    await expect(request).resolves.toEqual([]);
+  });
+});
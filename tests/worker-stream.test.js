@@ -0,0 +1,135 @@
+/**
+ * Worker 中的流式生成：GENERATE 请求的 PARTIAL / RESULT / ERROR 响应
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { ONNXWorkerProxy } from '../src/worker-proxy.js';
+import { WorkerMessageType } from '../src/worker-types.js';
+import { createTokenizer } from '../src/tokenizer.js';
+import { createRuntimeWorker, fetchRoutes, FakeSession, FakeTensor, ort } from './helpers/worker-runtime.js';
+import bert from './fixtures/bert-wordpiece.json';
+
+vi.mock('onnxruntime-web', async () => (await import('./helpers/worker-runtime.js')).ort);
+
+const TOKENIZER_URL = 'https://example.com/bert/tokenizer.json';
+const LOAD_OPTIONS = { persistentCache: false, loadTokenizerConfig: false, useCache: false };
+
+const tokenizer = createTokenizer(bert);
+const PROMPT = [tokenizer.tokenToId('[CLS]')];
+const OPTIONS = { maxNewTokens: 10, stopTokens: ['[SEP]'] };
+
+/**
+ * 按顺序输出给定 tokens 的 decoder 替身：每一步最后一个位置的 logits 只有下一个 token 为 1
+ *
+ * @param {string[]} tokens
+ * @param {(step: number) => void} [beforeStep] - 每一步推理前调用，可抛出错误
+ */
+function scriptedDecoder(tokens, beforeStep = () => {}) {
+  let step = 0;
+  return new FakeSession({
+    inputNames: ['input_ids', 'attention_mask'],
+    outputNames: ['logits'],
+    run: async (feeds) => {
+      beforeStep(step);
+      const seqLength = feeds.input_ids.dims[1];
+      const logits = new Float32Array(seqLength * tokenizer.vocabSize);
+      logits[(seqLength - 1) * tokenizer.vocabSize + tokenizer.tokenToId(tokens[step++])] = 1;
+      return { logits: new FakeTensor('float32', logits, [1, seqLength, tokenizer.vocabSize]) };
+    }
+  });
+}
+
+/** 迭代到结束，返回产出的值和迭代器的返回值 */
+async function drain(iterator) {
+  const values = [];
+  let step = await iterator.next();
+  while (!step.done) {
+    values.push(step.value);
+    step = await iterator.next();
+  }
+  return { values, result: step.value };
+}
+
+describe('Worker streaming generation', () => {
+  let worker;
+  let proxy;
+
+  /** 初始化 Worker 并加载 decoder 和 Tokenizer */
+  async function load(session) {
+    ort.InferenceSession.create.mockResolvedValueOnce(session);
+    await proxy.initialize();
+    await proxy.loadModel('decoder', new ArrayBuffer(8));
+    await proxy.loadTokenizer('bert', TOKENIZER_URL, LOAD_OPTIONS);
+  }
+
+  beforeEach(async () => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    vi.stubGlobal('fetch', fetchRoutes({ [TOKENIZER_URL]: JSON.stringify(bert) }));
+    worker = await createRuntimeWorker();
+    proxy = new ONNXWorkerProxy(worker);
+  });
+
+  afterEach(async () => {
+    await proxy.dispose();
+    vi.unstubAllGlobals();
+    vi.restoreAllMocks();
+  });
+
+  it('PARTIAL 按顺序产出，RESULT 作为迭代器的返回值', async () => {
+    await load(scriptedDecoder(['hello', ',', 'world', '!', '[SEP]']));
+
+    const { values, result } = await drain(proxy.generate('decoder', 'bert', PROMPT, OPTIONS));
+
+    expect(values).toEqual(['hello', ',', ' world', '!']);
+    expect(result).toEqual({
+      text: 'hello, world!',
+      tokenIds: ['hello', ',', 'world', '!'].map(token => tokenizer.tokenToId(token)),
+      finishReason: 'stop'
+    });
+
+    const { id } = worker.sent.find(message => message.type === WorkerMessageType.GENERATE);
+    const responses = worker.received.filter(message => message.id === id);
+    expect(responses.map(message => message.type)).toEqual([
+      ...Array(4).fill(WorkerMessageType.PARTIAL),
+      WorkerMessageType.RESULT
+    ]);
+  });
+
+  it('PARTIAL 之后收到 ERROR 时迭代器拒绝', async () => {
+    await load(scriptedDecoder(['hello', 'world', '!'], (step) => {
+      if (step === 2) throw new Error('decoder failed');
+    }));
+
+    const iterator = proxy.generate('decoder', 'bert', PROMPT, OPTIONS);
+
+    await expect(iterator.next()).resolves.toEqual({ value: 'hello', done: false });
+    await expect(iterator.next()).resolves.toEqual({ value: ' world', done: false });
+    await expect(iterator.next()).rejects.toThrow('decoder failed');
+
+    const { id } = worker.sent.find(message => message.type === WorkerMessageType.GENERATE);
+    expect(worker.received.filter(message => message.id === id).map(message => message.type)).toEqual([
+      WorkerMessageType.PARTIAL,
+      WorkerMessageType.PARTIAL,
+      WorkerMessageType.ERROR
+    ]);
+  });
+
+  it('达到 maxNewTokens 时以 length 结束', async () => {
+    await load(scriptedDecoder(['hello', 'world', '!']));
+
+    const { values, result } = await drain(proxy.generate('decoder', 'bert', PROMPT, { ...OPTIONS, maxNewTokens: 2 }));
+
+    expect(values).toEqual(['hello', ' world']);
+    expect(result).toMatchObject({ text: 'hello world', finishReason: 'length' });
+  });
+
+  it('参数校验', async () => {
+    await expect(proxy.generate('', 'bert', PROMPT).next()).rejects.toThrow('modelName is required');
+    await expect(proxy.generate('decoder', '', PROMPT).next()).rejects.toThrow('tokenizerName is required');
+    await expect(proxy.generate('decoder', 'bert', 42).next()).rejects
+      .toThrow('prompt must be a string or an array of token ids');
+    expect(worker.sent).toEqual([]);
+  });
+});
@@ -0,0 +1,97 @@
+/**
+ * Worker 中的分词：LOAD_TOKENIZER / TOKENIZE / DETOKENIZE / RUN_TEXT
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { ONNXWorkerProxy } from '../src/worker-proxy.js';
+import { createTokenizer } from '../src/tokenizer.js';
+import { createRuntimeWorker, fetchRoutes, FakeSession, FakeTensor, ort } from './helpers/worker-runtime.js';
+import bert from './fixtures/bert-wordpiece.json';
+
+vi.mock('onnxruntime-web', async () => (await import('./helpers/worker-runtime.js')).ort);
+
+const TOKENIZER_URL = 'https://example.com/bert/tokenizer.json';
+const LOAD_OPTIONS = { persistentCache: false, loadTokenizerConfig: false, useCache: false };
+const BATCH_OPTIONS = { padding: 'max_length', maxLength: 8 };
+
+describe('Worker tokenization', () => {
+  const tokenizer = createTokenizer(bert);
+  let proxy;
+
+  beforeEach(async () => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    vi.stubGlobal('fetch', fetchRoutes({ [TOKENIZER_URL]: JSON.stringify(bert) }));
+    proxy = new ONNXWorkerProxy(await createRuntimeWorker());
+  });
+
+  afterEach(async () => {
+    await proxy.dispose();
+    vi.unstubAllGlobals();
+    vi.restoreAllMocks();
+  });
+
+  it('加载 Tokenizer 并返回词表大小和特殊 token', async () => {
+    const info = await proxy.loadTokenizer('bert', TOKENIZER_URL, LOAD_OPTIONS);
+
+    expect(info).toEqual({
+      tokenizerName: 'bert',
+      vocabSize: tokenizer.vocabSize,
+      specialTokens: tokenizer.getSpecialTokens()
+    });
+    expect(fetch).toHaveBeenCalledWith(TOKENIZER_URL);
+  });
+
+  it('单条文本返回 encode() 结果，文本数组返回 encodeBatch() 结果', async () => {
+    await proxy.loadTokenizer('bert', TOKENIZER_URL, LOAD_OPTIONS);
+
+    await expect(proxy.tokenize('bert', 'hello world')).resolves
+      .toEqual(tokenizer.encode('hello world'));
+    await expect(proxy.tokenize('bert', ['hello', 'hello world'], BATCH_OPTIONS)).resolves
+      .toEqual(tokenizer.encodeBatch(['hello', 'hello world'], BATCH_OPTIONS));
+  });
+
+  it('number[] 解码为字符串，number[][] 解码为字符串数组', async () => {
+    await proxy.loadTokenizer('bert', TOKENIZER_URL, LOAD_OPTIONS);
+    const { ids } = tokenizer.encode('hello world');
+
+    await expect(proxy.detokenize('bert', ids, { skipSpecialTokens: true })).resolves.toBe('hello world');
+    await expect(proxy.detokenize('bert', [ids, ids.slice(0, 2)], { skipSpecialTokens: true })).resolves
+      .toEqual(['hello world', 'hello']);
+  });
+
+  it('runText 按模型的 inputNames 生成输入并推理', async () => {
+    const session = new FakeSession({
+      inputNames: ['input_ids', 'attention_mask', 'token_type_ids'],
+      outputNames: ['logits'],
+      run: async feeds => ({ logits: new FakeTensor('float32', new Float32Array(feeds.input_ids.data.length), feeds.input_ids.dims) })
+    });
+    ort.InferenceSession.create.mockResolvedValueOnce(session);
+
+    await proxy.initialize();
+    await proxy.loadModel('bert', new ArrayBuffer(8));
+    await proxy.loadTokenizer('bert', TOKENIZER_URL, LOAD_OPTIONS);
+    const { outputs, encoding } = await proxy.runText('bert', 'bert', ['hello', 'hello world'], BATCH_OPTIONS);
+
+    const expected = tokenizer.encodeBatch(['hello', 'hello world'], BATCH_OPTIONS);
+    expect(encoding).toEqual(expected);
+    expect(outputs.logits.dims).toEqual([2, expected.ids[0].length]);
+
+    const [feeds] = session.run.mock.calls[0];
+    expect(Object.keys(feeds)).toEqual(['input_ids', 'attention_mask', 'token_type_ids']);
+    expect(feeds.input_ids.type).toBe('int64');
+    expect(Array.from(feeds.input_ids.data, Number)).toEqual(expected.ids.flat());
+    expect(Array.from(feeds.attention_mask.data, Number)).toEqual(expected.attentionMask.flat());
+  });
+
+  it('Tokenizer 未加载时返回错误', async () => {
+    await expect(proxy.tokenize('missing', 'hello')).rejects
+      .toThrow("Tokenizer 'missing' not loaded. Call loadTokenizer() first.");
+  });
+
+  it('Tokenizer 下载失败时返回错误', async () => {
+    await expect(proxy.loadTokenizer('bert', 'https://example.com/missing.json', LOAD_OPTIONS)).rejects
+      .toThrow('Failed to load tokenizer: Not Found');
+  });
+});
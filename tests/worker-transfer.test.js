@@ -0,0 +1,157 @@
+/**
+ * 模型和张量 ArrayBuffer 的转移：collectTransferables、代理请求和 Worker 响应的 transfer 列表
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { ONNXWorkerProxy } from '../src/worker-proxy.js';
+import { WorkerMessageType, collectTransferables } from '../src/worker-types.js';
+import { createRuntimeWorker, fetchRoutes, FakeSession, FakeTensor, ort } from './helpers/worker-runtime.js';
+import bert from './fixtures/bert-wordpiece.json';
+
+vi.mock('onnxruntime-web', async () => (await import('./helpers/worker-runtime.js')).ort);
+
+const TOKENIZER_URL = 'https://example.com/bert/tokenizer.json';
+const LOAD_OPTIONS = { persistentCache: false, loadTokenizerConfig: false, useCache: false };
+
+const inputs = () => ({ input: { data: new Float32Array([1, 2]), dims: [1, 2], type: 'float32' } });
+
+describe('collectTransferables', () => {
+  it('收集 ArrayBuffer 和完整占用 buffer 的视图，去重', () => {
+    const buffer = new ArrayBuffer(8);
+    const view = new Float32Array(4);
+
+    expect(collectTransferables([buffer, view, new Uint8Array(buffer), null, undefined]))
+      .toEqual([buffer, view.buffer]);
+  });
+
+  it('跳过只占用部分 buffer 的视图和 SharedArrayBuffer', () => {
+    const memory = new ArrayBuffer(16);
+
+    expect(collectTransferables([
+      new Float32Array(memory, 4, 2),
+      new Float32Array(memory, 0, 2),
+      new SharedArrayBuffer(8),
+      new Float32Array(new SharedArrayBuffer(8))
+    ])).toEqual([]);
+  });
+});
+
+describe('Worker transfer', () => {
+  let worker;
+  let proxy;
+
+  /** 运行时发回的某个请求的最终响应及其 transfer 列表 */
+  const responseTo = (type) => {
+    const { id } = worker.sent.find(message => message.type === type);
+    const [message, transfer] = worker.receive.mock.calls
+      .find(([message]) => message.id === id && message.type !== WorkerMessageType.PARTIAL);
+    return { message, transfer };
+  };
+
+  beforeEach(async () => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    worker = await createRuntimeWorker();
+    vi.spyOn(worker, 'receive');
+    vi.spyOn(worker, 'postMessage');
+    proxy = new ONNXWorkerProxy(worker);
+    await proxy.initialize();
+  });
+
+  afterEach(async () => {
+    await proxy.dispose();
+    vi.unstubAllGlobals();
+    vi.restoreAllMocks();
+  });
+
+  it('loadModel 默认转移 modelBuffer，transfer 为 false 时复制', async () => {
+    const transferred = new ArrayBuffer(8);
+    const copied = new ArrayBuffer(8);
+
+    await proxy.loadModel('model', transferred);
+    await proxy.loadModel('copy', copied, { transfer: false });
+
+    expect(transferred.byteLength).toBe(0);
+    expect(copied.byteLength).toBe(8);
+    expect(worker.sent.filter(message => message.type === WorkerMessageType.LOAD_MODEL)
+      .map(message => message.sessionOptions)).toEqual([{}, {}]);
+  });
+
+  it('run 转移输入张量，Worker 转移结果张量', async () => {
+    const session = new FakeSession();
+    ort.InferenceSession.create.mockResolvedValueOnce(session);
+    await proxy.loadModel('model', new ArrayBuffer(8));
+    const feeds = inputs();
+
+    const outputs = await proxy.run('model', feeds);
+
+    expect(feeds.input.data.byteLength).toBe(0);
+    expect(Array.from(outputs.output.data)).toEqual([2, 4]);
+
+    const { transfer } = responseTo(WorkerMessageType.RUN_INFERENCE);
+    const { output } = await session.run.mock.results[0].value;
+    expect(transfer).toHaveLength(1);
+    expect(transfer[0]).toBe(output.data.buffer);
+  });
+
+  it('run 的 transfer 为 false 时两个方向都复制', async () => {
+    ort.InferenceSession.create.mockResolvedValueOnce(new FakeSession());
+    await proxy.loadModel('model', new ArrayBuffer(8));
+    const feeds = inputs();
+
+    const outputs = await proxy.run('model', feeds, { transfer: false });
+
+    expect(Array.from(feeds.input.data)).toEqual([1, 2]);
+    expect(Array.from(outputs.output.data)).toEqual([2, 4]);
+    expect(worker.postMessage).toHaveBeenLastCalledWith(
+      expect.objectContaining({ type: WorkerMessageType.RUN_INFERENCE, transfer: false }),
+      []
+    );
+    expect(responseTo(WorkerMessageType.RUN_INFERENCE).transfer).toEqual([]);
+  });
+
+  it('代理的 transfer 选项作为默认值', async () => {
+    await proxy.dispose();
+    worker = await createRuntimeWorker();
+    vi.spyOn(worker, 'receive');
+    proxy = new ONNXWorkerProxy(worker, { transfer: false });
+    await proxy.initialize();
+    ort.InferenceSession.create.mockResolvedValueOnce(new FakeSession());
+    const modelBuffer = new ArrayBuffer(8);
+    await proxy.loadModel('model', modelBuffer);
+    const feeds = inputs();
+
+    await proxy.run('model', feeds);
+
+    expect(modelBuffer.byteLength).toBe(8);
+    expect(feeds.input.data.byteLength).toBe(8);
+    expect(responseTo(WorkerMessageType.RUN_INFERENCE).transfer).toEqual([]);
+  });
+
+  it('runText 转移结果张量，transfer 为 false 时复制', async () => {
+    vi.stubGlobal('fetch', fetchRoutes({ [TOKENIZER_URL]: JSON.stringify(bert) }));
+    ort.InferenceSession.create.mockResolvedValueOnce(new FakeSession({
+      inputNames: ['input_ids', 'attention_mask'],
+      outputNames: ['logits'],
+      run: async feeds => ({ logits: new FakeTensor('float32', new Float32Array(feeds.input_ids.data.length), feeds.input_ids.dims) })
+    }));
+    await proxy.loadModel('bert', new ArrayBuffer(8));
+    await proxy.loadTokenizer('bert', TOKENIZER_URL, LOAD_OPTIONS);
+
+    await proxy.runText('bert', 'bert', 'hello world');
+    await proxy.runText('bert', 'bert', 'hello world', { transfer: false });
+
+    const responses = worker.receive.mock.calls
+      .filter(([message]) => message.type === WorkerMessageType.RESULT && message.data?.outputs);
+    expect(responses.map(([, transfer]) => transfer.length)).toEqual([1, 0]);
+    expect(responses[0][1][0]).toBe(responses[0][0].data.outputs.logits.data.buffer);
+  });
+
+  it('其余响应不转移', async () => {
+    await proxy.loadModel('model', new ArrayBuffer(8));
+
+    expect(responseTo(WorkerMessageType.LOAD_MODEL).transfer).toEqual([]);
+    expect(responseTo(WorkerMessageType.INITIALIZE).transfer).toEqual([]);
+  });
+});
@@ -0,0 +1,116 @@
+/**
+ * Worker 协议中的张量数据测试：类型推断、类型转换与 transfer 列表
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  TENSOR_ARRAY_TYPES,
+  TensorData,
+  collectTransferables,
+  inferTensorDataType,
+  toTensorArray
+} from '../src/worker-types.js';
+
+describe('toTensorArray', () => {
+  it.each([
+    ['float16', [15360, 16384], Uint16Array],
+    ['bool', [true, false, 1, 0], Uint8Array],
+    ['int64', [1, -2, 2 ** 40], BigInt64Array],
+    ['uint64', [0, 7], BigUint64Array],
+    ['int32', [1, -2], Int32Array],
+    ['float32', [0.5, 1.5], Float32Array],
+    ['string', ['a', 'b'], Array]
+  ])('%s 转换为对应的数组，并经 TensorData 原样传递', (type, values, ArrayType) => {
+    const data = toTensorArray(type, values);
+    expect(data).toBeInstanceOf(ArrayType);
+    expect(TENSOR_ARRAY_TYPES[type]).toBe(ArrayType);
+
+    // 模拟 postMessage 的结构化克隆
+    const tensor = structuredClone(new TensorData(data, [values.length], type));
+    expect(tensor.type).toBe(type);
+    expect(tensor.dims).toEqual([values.length]);
+    expect(tensor.data).toBeInstanceOf(ArrayType);
+    expect(Array.from(tensor.data)).toEqual(Array.from(data));
+  });
+
+  it('按类型转换元素值', () => {
+    expect(toTensorArray('bool', [true, false, 2, 0])).toEqual(Uint8Array.of(1, 0, 1, 0));
+    expect(toTensorArray('int64', [1, -2, 2 ** 40])).toEqual(BigInt64Array.of(1n, -2n, 2n ** 40n));
+  });
+
+  it('已是对应类型的数组原样返回，不复制', () => {
+    const ids = new BigInt64Array(3);
+    const mask = new Uint8Array(3);
+    const half = new Uint16Array(3);
+
+    expect(toTensorArray('int64', ids)).toBe(ids);
+    expect(toTensorArray('bool', mask)).toBe(mask);
+    expect(toTensorArray('float16', half)).toBe(half);
+  });
+
+  it('拒绝不支持的类型和其他类型的 TypedArray', () => {
+    expect(() => toTensorArray('complex64', [1])).toThrow('Unsupported tensor type: complex64');
+    expect(() => toTensorArray('int64', new Int32Array(2))).toThrow('must be BigInt64Array, got Int32Array');
+    expect(() => toTensorArray('string', ['a', 1])).toThrow('must be an array of strings');
+  });
+});
+
+describe('inferTensorDataType', () => {
+  it.each([
+    [new Float32Array(1), 'float32'],
+    [new Float64Array(1), 'float64'],
+    [new Int8Array(1), 'int8'],
+    [new Uint8Array(1), 'uint8'],
+    [new Uint16Array(1), 'uint16'],
+    [new Int32Array(1), 'int32'],
+    [new BigInt64Array(1), 'int64'],
+    [new BigUint64Array(1), 'uint64'],
+    [['a', 'b'], 'string'],
+    [[0.5, 1], 'float32']
+  ])('%o -> %s', (data, type) => {
+    expect(inferTensorDataType(data)).toBe(type);
+  });
+
+  it('共用数组的类型（float16 / bool / int4）不会被推断出来', () => {
+    expect(new TensorData(new Uint16Array(2), [2]).type).toBe('uint16');
+    expect(new TensorData(new Uint16Array(2), [2], 'float16').type).toBe('float16');
+    expect(new TensorData(new Uint8Array(2), [2], 'bool').type).toBe('bool');
+  });
+});
+
+describe('collectTransferables', () => {
+  it('转移完整占用 buffer 的视图和 ArrayBuffer，去重并跳过空值', () => {
+    const input = new Float32Array(4);
+    const raw = new ArrayBuffer(8);
+
+    expect(collectTransferables([input, input, raw, null, undefined])).toEqual([input.buffer, raw]);
+  });
+
+  it('只占用部分 buffer 的视图复制而不转移', () => {
+    const memory = new Float32Array(16);
+    const view = memory.subarray(4, 8);
+    const transfer = collectTransferables([view]);
+
+    expect(transfer).toEqual([]);
+
+    const copy = structuredClone(view, { transfer });
+    expect(copy).toEqual(view);
+    expect(memory.buffer.byteLength).toBe(64);
+  });
+
+  it('转移后发送方的 buffer 被分离', () => {
+    const data = Float32Array.of(1, 2, 3);
+    const tensor = new TensorData(data, [3]);
+
+    const received = structuredClone(tensor, { transfer: collectTransferables([tensor.data]) });
+
+    expect(Array.from(received.data)).toEqual([1, 2, 3]);
+    expect(data.buffer.byteLength).toBe(0);
+  });
+
+  it('SharedArrayBuffer 上的视图不转移', () => {
+    const shared = new Int32Array(new SharedArrayBuffer(16));
+
+    expect(collectTransferables([shared])).toEqual([]);
+  });
+});
@@ -0,0 +1,96 @@
+/**
+ * Worker 中按 URL 加载模型：ModelCache 下载、.ort 优先、进度 PARTIAL、相对 URL
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { ONNXWorkerProxy } from '../src/worker-proxy.js';
+import { WorkerMessageType } from '../src/worker-types.js';
+import { createRuntimeWorker, fetchRoutes, ort } from './helpers/worker-runtime.js';
+
+vi.mock('onnxruntime-web', async () => (await import('./helpers/worker-runtime.js')).ort);
+
+const MODEL_BYTES = new Uint8Array([1, 2, 3, 4]);
+
+/** 带 Content-Length 的模型文件响应 */
+const modelFile = bytes => () => new Response(bytes, { headers: { 'Content-Length': String(bytes.byteLength) } });
+
+describe('Worker URL model loading', () => {
+  let worker;
+  let proxy;
+
+  beforeEach(async () => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    worker = await createRuntimeWorker();
+    proxy = new ONNXWorkerProxy(worker);
+    // 不读写 IndexedDB 缓存
+    await proxy.initialize({ enableCache: false });
+  });
+
+  afterEach(async () => {
+    await proxy.dispose();
+    vi.unstubAllGlobals();
+    vi.restoreAllMocks();
+  });
+
+  it('优先加载同名的 .ort 模型', async () => {
+    vi.stubGlobal('fetch', fetchRoutes({ 'https://example.com/models/model.ort': modelFile(MODEL_BYTES) }));
+
+    const info = await proxy.loadModel('model', 'https://example.com/models/model.onnx');
+
+    expect(info).toMatchObject({ modelName: 'model', inputNames: ['input'], outputNames: ['output'] });
+    expect(fetch.mock.calls.map(([url]) => url)).not.toContain('https://example.com/models/model.onnx');
+    const [modelData] = ort.InferenceSession.create.mock.lastCall;
+    expect(Array.from(new Uint8Array(modelData))).toEqual(Array.from(MODEL_BYTES));
+  });
+
+  it('.ort 模型不可用时回退到 .onnx', async () => {
+    const onnxBytes = new Uint8Array([5, 6, 7]);
+    vi.stubGlobal('fetch', fetchRoutes({ 'https://example.com/models/model.onnx': modelFile(onnxBytes) }));
+
+    await proxy.loadModel('model', 'https://example.com/models/model.onnx');
+
+    expect(fetch).toHaveBeenCalledWith('https://example.com/models/model.ort', { method: 'HEAD' });
+    const [modelData] = ort.InferenceSession.create.mock.lastCall;
+    expect(Array.from(new Uint8Array(modelData))).toEqual([5, 6, 7]);
+  });
+
+  it('下载进度以 PARTIAL 响应传给 onProgress', async () => {
+    vi.stubGlobal('fetch', fetchRoutes({ 'https://example.com/models/model.ort': modelFile(MODEL_BYTES) }));
+    const onProgress = vi.fn();
+
+    await proxy.loadModel('model', 'https://example.com/models/model.ort', { onProgress });
+
+    expect(onProgress).toHaveBeenLastCalledWith(expect.objectContaining({
+      modelName: 'model',
+      url: 'https://example.com/models/model.ort',
+      loaded: MODEL_BYTES.byteLength,
+      total: MODEL_BYTES.byteLength
+    }));
+    const { id } = worker.sent.find(message => message.type === WorkerMessageType.LOAD_MODEL);
+    const responses = worker.received.filter(message => message.id === id);
+    expect(responses.at(-1).type).toBe(WorkerMessageType.RESULT);
+    expect(responses.slice(0, -1).every(message => message.type === WorkerMessageType.PARTIAL)).toBe(true);
+    expect(onProgress).toHaveBeenCalledTimes(responses.length - 1);
+  });
+
+  it('相对 URL 按当前页面解析后发送给 Worker', async () => {
+    vi.stubGlobal('location', { href: 'https://example.com/app/index.html' });
+    vi.stubGlobal('fetch', fetchRoutes({ 'https://example.com/app/models/model.ort': modelFile(MODEL_BYTES) }));
+
+    await proxy.loadModel('model', 'models/model.ort');
+
+    expect(worker.sent.find(message => message.type === WorkerMessageType.LOAD_MODEL))
+      .toMatchObject({ url: 'https://example.com/app/models/model.ort' });
+    expect(worker.sent.find(message => message.type === WorkerMessageType.LOAD_MODEL))
+      .not.toHaveProperty('modelBuffer');
+  });
+
+  it('下载失败时返回错误', async () => {
+    vi.stubGlobal('fetch', fetchRoutes({}));
+
+    await expect(proxy.loadModel('model', 'https://example.com/models/missing.onnx')).rejects.toThrow();
+    await expect(proxy.listModels()).resolves.toEqual([]);
+  });
+});